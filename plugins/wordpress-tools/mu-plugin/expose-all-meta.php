@@ -2,13 +2,14 @@
 /**
  * Plugin Name: Expose All Meta and Options to REST API
  * Description: Exposes all post meta and plugin options to the REST API for wp-content-sync export
- * Version: 1.1.0
+ * Version: 1.3.0
  */
 
 add_action('rest_api_init', function() {
-    // Expose all meta for posts and pages
+    // Expose all meta for posts, pages and custom post types
+    $content_types = array_diff(get_post_types(['show_in_rest' => true]), ['attachment', 'nav_menu_item']);
     register_rest_field(
-        ['post', 'page'],
+        array_values($content_types),
         'all_meta',
         [
             'get_callback' => function($post) {
@@ -53,6 +54,37 @@ add_action('rest_api_init', function() {
             );
         }
     }
+
+    // Sync state: checksums of the last wp-import, for change detection.
+    // _wp_ meta is hidden from all_meta and not registered for meta, so it gets its own route.
+    $sync_permission = function($request) {
+        return get_post($request['id']) !== null && current_user_can('edit_post', $request['id']);
+    };
+    $sync_response = function($id) {
+        $state = get_post_meta($id, '_wp_sync_checksums', true);
+        return ['id' => (int) $id, 'checksums' => $state ? json_decode($state, true) : null];
+    };
+    register_rest_route('wp-content-sync/v1', '/sync-state/(?P<id>\d+)', [
+        [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => function($request) use ($sync_response) {
+                return $sync_response($request['id']);
+            },
+            'permission_callback' => $sync_permission,
+        ],
+        [
+            'methods' => WP_REST_Server::EDITABLE,
+            'callback' => function($request) use ($sync_response) {
+                $checksums = $request->get_param('checksums');
+                if (!is_array($checksums)) {
+                    return new WP_Error('rest_invalid_param', 'checksums must be an object', ['status' => 400]);
+                }
+                update_post_meta($request['id'], '_wp_sync_checksums', wp_slash(wp_json_encode($checksums)));
+                return $sync_response($request['id']);
+            },
+            'permission_callback' => $sync_permission,
+        ],
+    ]);
 });
 
 // Enable Application Passwords on non-SSL (for local development)
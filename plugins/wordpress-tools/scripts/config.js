@@ -1,47 +1,152 @@
 import { config as dotenvConfig } from 'dotenv';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { getSiteProfile, profilePassword, profileAuth, envAuth, isSiteName } from './lib/sites.js';
+import { loadProjectConfig } from './lib/project-config.js';
+import { VAULT_FILE, CredentialVault, readVaultSecret } from './lib/vault.js';
+import { checkAuth } from './lib/auth.js';
+import { registerSecret } from './lib/redact.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-// Load .env from project root
-dotenvConfig({ path: resolve(__dirname, '..', '.env') });
+/**
+ * Directory holding .env, .env.<site>, wp-sites.json, wp-vault.json and wp-sync.config.js
+ */
+export const CONFIG_DIR = resolve(__dirname, '..');
+
+// Load .env from project root (quietly: stdout may carry --json output)
+dotenvConfig({ path: resolve(CONFIG_DIR, '.env'), quiet: true });
+
+/**
+ * Credential vault opened by this process, shared by all its configurations (one passphrase prompt)
+ */
+let openedVault = null;
+
+/**
+ * Get the credentials the vault (wp-auth) stores for a site
+ * @param {string} site - Site profile name or URL
+ * @returns {Promise<Object|null>} { user, appPassword }, or null without a vault or entry
+ * @throws {Error} If the vault cannot be unlocked
+ */
+async function getVaultCredentials(site) {
+  const file = resolve(CONFIG_DIR, VAULT_FILE);
+  if (!(await CredentialVault.exists(file))) return null;
+
+  openedVault ??= readVaultSecret().then((secret) => CredentialVault.open(file, secret));
+  return (await openedVault).get(site);
+}
 
 /**
- * Get configuration from environment variables and CLI options
+ * Get configuration from environment variables, CLI options and the project config
+ * With --site, the named profile replaces the .env connection and provides defaults
+ * for the CLI options (CLI options still win).
  * @param {Object} cliOptions - Options passed from CLI
- * @returns {Object} Configuration object
+ * @returns {Promise<Object>} Configuration object
+ * @throws {Error} If the site profile does not exist, or the site profile or project config is invalid
  */
-export function getConfig(cliOptions = {}) {
+export async function getConfig(cliOptions = {}) {
+  const profile = cliOptions.site ? getSiteProfile(CONFIG_DIR, cliOptions.site) : null;
+
+  // A profile brings its own connection: never mix in the .env site's credentials
+  const connection = profile
+    ? { url: profile.url, user: profile.user, appPassword: profilePassword(profile) }
+    : { url: process.env.WP_REMOTE_URL, user: process.env.WP_REMOTE_USER, appPassword: process.env.WP_REMOTE_APP_PASSWORD };
+
   const config = {
     // WordPress connection
-    url: cliOptions.url || process.env.WP_REMOTE_URL || 'http://localhost:8080',
-    user: cliOptions.user || process.env.WP_REMOTE_USER || 'admin',
-    appPassword: cliOptions.password || process.env.WP_REMOTE_APP_PASSWORD || '',
+    site: profile?.name ?? null,
+    url: cliOptions.url || connection.url || 'http://localhost:8080',
+    user: cliOptions.user || connection.user || 'admin',
+    appPassword: cliOptions.password || connection.appPassword || '',
+    auth: profile ? profileAuth(profile) : envAuth(process.env), // { method, gate, oauth }, see lib/auth.js
 
     // Export/Import paths
-    exportDir: cliOptions.output || resolve(__dirname, '..', 'export'),
-    importDir: cliOptions.input || resolve(__dirname, '..', 'export'),
+    exportDir: cliOptions.output || profile?.exportDir || './export',
+    importDir: cliOptions.input || profile?.exportDir || './export',
 
     // Content options
-    contentType: cliOptions.type || 'all', // 'posts', 'pages', or 'all'
-    postStatus: cliOptions.status || 'publish', // 'publish', 'draft', or 'all'
+    contentType: cliOptions.type || profile?.type || 'all', // 'all' or comma-separated post types (e.g. 'posts,portfolio')
+    postStatus: cliOptions.status || profile?.status || 'publish', // 'publish', 'draft', or 'all'
 
     // Import options
-    importMode: cliOptions.mode || 'sync', // 'create', 'update', or 'sync'
+    importMode: cliOptions.mode || 'sync', // 'create', 'update', 'sync', or 'mirror'
+    maxDeletePercent: parseFloat(cliOptions.maxDelete ?? '10'), // Mirror mode refuses to trash more than this share of remote items
+    onConflict: cliOptions.onConflict || 'skip', // 'skip', 'overwrite', or 'abort' when the remote changed since export
     dryRun: cliOptions.dryRun || false,
 
     // API settings
     perPage: 100, // Posts per API request
     timeout: 30000, // Request timeout in ms
+    maxRetries: parseInt(cliOptions.retries ?? process.env.WP_MAX_RETRIES ?? '3', 10), // Retries for 429/5xx/timeouts
+    retryDelay: 1000, // Base backoff delay in ms (doubles per attempt, jittered)
+    maxRetryDelay: 30000, // Upper bound for backoff and Retry-After waits in ms
+    concurrency: parseInt(cliOptions.concurrency ?? profile?.concurrency ?? process.env.WP_CONCURRENCY ?? '1', 10), // Parallel page requests
+
+    // Include/exclude rules, plugin prefix mappings and transforms (wp-sync.config.js)
+    project: await loadProjectConfig(CONFIG_DIR),
   };
 
   // Normalize URL (remove trailing slash)
   config.url = config.url.replace(/\/$/, '');
 
+  // Without a plaintext password, use the one stored in the vault for the profile or URL
+  if (!config.appPassword && config.auth.method !== 'oauth1') {
+    const stored = await getVaultCredentials(profile ? profile.name : config.url);
+    if (stored) {
+      config.appPassword = stored.appPassword;
+      if (!cliOptions.user && !connection.user && stored.user) config.user = stored.user;
+    }
+  }
+  for (const secret of [config.appPassword, config.auth.gate?.password, config.auth.oauth?.consumerSecret, config.auth.oauth?.tokenSecret]) {
+    registerSecret(secret);
+  }
+
   return config;
 }
 
+/**
+ * Get the configurations of the two sites of wp-compare and wp-promote
+ * --from and --to take a URL or a site profile name. The first site defaults to WP_REMOTE_*,
+ * the second to WP_TARGET_*; a second site given by URL without a password of its own (option,
+ * WP_TARGET_APP_PASSWORD or vault) falls back to the first site's credentials.
+ * @param {Object} cliOptions - Options passed from CLI (from, fromUser, fromPassword, to, toUser, toPassword, ...)
+ * @returns {Promise<Object>} { from, to } configuration objects
+ * @throws {Error} If no second site is given, or a site profile does not exist
+ */
+export async function getSiteConfigs(cliOptions = {}) {
+  const toSite = cliOptions.to || process.env.WP_TARGET_URL;
+  if (!toSite) {
+    throw new Error('Target site is required. Use --to <url|site> or set WP_TARGET_URL in .env.');
+  }
+
+  const siteOptions = (value, user, password) => (isSiteName(value)
+    ? { site: value, url: undefined, user, password }
+    : { site: undefined, url: value, user, password });
+
+  const from = await getConfig({
+    ...cliOptions,
+    ...siteOptions(cliOptions.from, cliOptions.fromUser, cliOptions.fromPassword),
+  });
+
+  if (isSiteName(toSite)) {
+    const to = await getConfig({ ...cliOptions, ...siteOptions(toSite, cliOptions.toUser, cliOptions.toPassword) });
+    return { from, to };
+  }
+
+  const password = cliOptions.toPassword || process.env.WP_TARGET_APP_PASSWORD;
+  const stored = password ? null : await getVaultCredentials(toSite.replace(/\/$/, ''));
+  const to = await getConfig({
+    ...cliOptions,
+    ...siteOptions(
+      toSite,
+      cliOptions.toUser || process.env.WP_TARGET_USER || stored?.user || from.user,
+      password || stored?.appPassword || from.appPassword
+    ),
+  });
+
+  return { from, to };
+}
+
 /**
  * Validate configuration
  * @param {Object} config - Configuration object
@@ -52,15 +157,30 @@ export function validateConfig(config) {
     throw new Error('WordPress URL is required. Set WP_REMOTE_URL in .env or use --url option.');
   }
 
-  if (!config.user || !config.appPassword) {
+  checkAuth(config.auth);
+
+  if (config.auth.method === 'oauth1') {
+    const { oauth } = config.auth;
+    if (!oauth?.consumerKey || !oauth.consumerSecret || !oauth.token || !oauth.tokenSecret) {
+      throw new Error(
+        config.site
+          ? `OAuth1 credentials are required. Set oauthConsumerKey, oauthConsumerSecret, oauthToken and oauthTokenSecret for site "${config.site}".`
+          : 'OAuth1 credentials are required. Set WP_OAUTH_CONSUMER_KEY, WP_OAUTH_CONSUMER_SECRET, WP_OAUTH_TOKEN and WP_OAUTH_TOKEN_SECRET in .env.'
+      );
+    }
+  } else if (!config.user || !config.appPassword) {
     throw new Error(
-      'WordPress credentials are required. Set WP_REMOTE_USER and WP_REMOTE_APP_PASSWORD in .env.'
+      config.site
+        ? `WordPress credentials are required. Store them with: node wp-auth.js add ${config.site} (or set appPassword/appPasswordEnv for site "${config.site}").`
+        : `WordPress credentials are required. Store them with: node wp-auth.js add ${config.url} (or set WP_REMOTE_USER and WP_REMOTE_APP_PASSWORD in .env).`
     );
   }
 
-  const validTypes = ['posts', 'pages', 'all'];
-  if (!validTypes.includes(config.contentType)) {
-    throw new Error(`Invalid content type: ${config.contentType}. Use: ${validTypes.join(', ')}`);
+  // Post types are resolved against the site's /types endpoint at runtime
+  if (!/^[a-z0-9_-]+(,[a-z0-9_-]+)*$/i.test(config.contentType)) {
+    throw new Error(
+      `Invalid content type: ${config.contentType}. Use: all, or post types like posts,pages,portfolio`
+    );
   }
 
   const validStatuses = ['publish', 'draft', 'all'];
@@ -68,10 +188,29 @@ export function validateConfig(config) {
     throw new Error(`Invalid status: ${config.postStatus}. Use: ${validStatuses.join(', ')}`);
   }
 
-  const validModes = ['create', 'update', 'sync'];
+  if (!Number.isInteger(config.maxRetries) || config.maxRetries < 0) {
+    throw new Error(`Invalid retries value: ${config.maxRetries}. Use a non-negative integer.`);
+  }
+
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    throw new Error(`Invalid concurrency value: ${config.concurrency}. Use a positive integer.`);
+  }
+
+  const validModes = ['create', 'update', 'sync', 'mirror'];
   if (!validModes.includes(config.importMode)) {
     throw new Error(`Invalid import mode: ${config.importMode}. Use: ${validModes.join(', ')}`);
   }
+
+  if (Number.isNaN(config.maxDeletePercent) || config.maxDeletePercent < 0 || config.maxDeletePercent > 100) {
+    throw new Error(`Invalid max-delete value: ${config.maxDeletePercent}. Use a percentage between 0 and 100.`);
+  }
+
+  const validConflictActions = ['skip', 'overwrite', 'abort'];
+  if (!validConflictActions.includes(config.onConflict)) {
+    throw new Error(
+      `Invalid conflict action: ${config.onConflict}. Use: ${validConflictActions.join(', ')}`
+    );
+  }
 }
 
-export default { getConfig, validateConfig };
+export default { CONFIG_DIR, getConfig, getSiteConfigs, validateConfig };
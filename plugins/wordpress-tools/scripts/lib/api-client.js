@@ -1,6 +1,42 @@
 import fetch from 'node-fetch';
 import fs from 'fs-extra';
 import { basename } from 'path';
+import { isRetryable, parseRetryAfter, computeBackoff, sleep } from './retry.js';
+import { prefetchInOrder } from './concurrency.js';
+import { createAuthProvider, readErrorCode, GatedAuth } from './auth.js';
+import { WPApiError } from './api-error.js';
+
+/**
+ * REST namespace of the sync-state route (expose-all-meta mu-plugin, generated by wp-export)
+ */
+export const SYNC_NAMESPACE = 'wp-content-sync/v1';
+
+/**
+ * Sub-requests per batch request (WordPress' default, see the rest_get_max_batch_size filter)
+ */
+export const MAX_BATCH_SIZE = 25;
+
+/**
+ * Apply the default status filter and expand 'all' to every non-trash status
+ * @param {Object} params - Query parameters
+ * @returns {Object} Query parameters with a concrete status
+ */
+function statusQuery(params) {
+  const queryParams = { status: 'publish', ...params };
+  if (queryParams.status === 'all') {
+    queryParams.status = 'publish,draft,pending,private';
+  }
+  return queryParams;
+}
+
+/**
+ * Collection an endpoint belongs to ('/posts/5?force=true' -> 'posts')
+ * @param {string} endpoint - Endpoint relative to /wp-json/wp/v2
+ * @returns {string} REST base
+ */
+function collectionOf(endpoint) {
+  return endpoint.split(/[/?]/)[1];
+}
 
 /**
  * WordPress REST API Client
@@ -11,19 +47,159 @@ export class WPApiClient {
    * @param {Object} config - Configuration object
    * @param {string} config.url - WordPress site URL
    * @param {string} config.user - WordPress username
-   * @param {string} config.appPassword - Application password
+   * @param {string} config.appPassword - Application password (account password for jwt and cookie auth)
+   * @param {Object} config.auth - Auth settings ({ method, gate, oauth }, see lib/auth.js)
    * @param {number} config.timeout - Request timeout in ms
    * @param {number} config.perPage - Items per page for pagination
+   * @param {number} config.maxRetries - Retries for transient failures (0 disables)
+   * @param {number} config.retryDelay - Base backoff delay in ms
+   * @param {number} config.maxRetryDelay - Maximum backoff delay in ms
+   * @param {number} config.concurrency - Parallel page requests in fetchAll
    */
   constructor(config) {
     this.baseUrl = config.url;
     this.apiUrl = `${config.url}/wp-json/wp/v2`;
     this.timeout = config.timeout || 30000;
     this.perPage = config.perPage || 100;
+    this.maxRetries = config.maxRetries ?? 3;
+    this.retryDelay = config.retryDelay || 1000;
+    this.maxRetryDelay = config.maxRetryDelay || 30000;
+    this.concurrency = config.concurrency || 1;
+
+    // Optional callback invoked before each retry: ({ url, method, attempt, delay, reason })
+    this.onRetry = null;
+
+    // Optional callback invoked when items shifted between pages during fetchAll:
+    // ({ endpoint, duplicates, missing, recovered })
+    this.onPageDrift = null;
 
-    // Create Basic Auth header
-    const credentials = `${config.user}:${config.appPassword}`;
-    this.authHeader = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    // Optional callback invoked once when the site rejects batch requests: (error)
+    this.onBatchFallback = null;
+
+    // Per-run retry statistics
+    this.retryStats = {
+      retries: 0, // Total retry attempts
+      recovered: 0, // Requests that succeeded after retrying
+      exhausted: 0, // Requests that failed after all retries
+      reasons: {}, // Retry count per reason (HTTP status or error type)
+    };
+
+    // API requests sent this run (retries not counted)
+    this.requestCount = 0;
+
+    // Per-run batch statistics
+    this.batchStats = {
+      batches: 0, // Batch requests sent
+      requests: 0, // Sub-requests they ran
+    };
+
+    // Collections whose routes do not allow batching (custom controllers)
+    this.unbatchable = new Set();
+
+    // Signs requests (Application Password, JWT, cookie or OAuth1, optionally behind an HTTP Basic gate)
+    this.auth = createAuthProvider(config, (url, options) => this.fetchWithRetry(url, options));
+  }
+
+  /**
+   * Fetch with retry and jittered exponential backoff
+   * Retries timeouts, network errors and transient HTTP statuses (see lib/retry.js),
+   * honoring the Retry-After header when the server sends one.
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @param {number} timeout - Per-attempt timeout in ms
+   * @returns {Promise<Response>} Final response (may be non-ok once retries are exhausted)
+   */
+  async fetchWithRetry(url, options = {}, timeout = this.timeout) {
+    const method = (options.method || 'GET').toUpperCase();
+    let attempt = 0;
+
+    while (true) {
+      let response = null;
+      let error = null;
+
+      try {
+        response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeout) });
+      } catch (err) {
+        error = err;
+      }
+
+      const status = response ? response.status : null;
+      const failed = error || !response.ok;
+
+      if (!failed) {
+        if (attempt > 0) this.retryStats.recovered++;
+        return response;
+      }
+
+      if (attempt >= this.maxRetries || !isRetryable(method, status)) {
+        if (attempt > 0) this.retryStats.exhausted++;
+        if (error) throw error;
+        return response;
+      }
+
+      const retryAfter = response ? parseRetryAfter(response.headers.get('Retry-After')) : null;
+      const delay = retryAfter !== null
+        ? Math.min(retryAfter, this.maxRetryDelay)
+        : computeBackoff(attempt, this.retryDelay, this.maxRetryDelay);
+      const reason = status ? `HTTP ${status}` : (error.name === 'TimeoutError' ? 'timeout' : 'network');
+
+      this.retryStats.retries++;
+      this.retryStats.reasons[reason] = (this.retryStats.reasons[reason] || 0) + 1;
+      if (this.onRetry) {
+        this.onRetry({ url, method, attempt: attempt + 1, delay, reason });
+      }
+
+      // Drain the failed response so the connection can be reused
+      if (response) await response.arrayBuffer().catch(() => {});
+
+      await sleep(delay);
+      attempt++;
+    }
+  }
+
+  /**
+   * Fetch with the site's authentication and retries
+   * A request rejected with 401/403 is repeated once if the auth provider could renew its
+   * credentials (expired JWT, nonce or session).
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @param {number} timeout - Per-attempt timeout in ms
+   * @returns {Promise<Response>} Final response (may be non-ok)
+   */
+  async authorizedFetch(url, options = {}, timeout = this.timeout) {
+    const method = (options.method || 'GET').toUpperCase();
+    const send = async () => {
+      this.requestCount++;
+      const signed = await this.auth.authorize({ url, method });
+      return this.fetchWithRetry(signed.url, { ...options, headers: { ...signed.headers, ...options.headers } }, timeout);
+    };
+
+    const response = await send();
+    if (response.status !== 401 && response.status !== 403) {
+      return response;
+    }
+
+    const code = await readErrorCode(response);
+    if (!(await this.auth.refresh({ status: response.status, code }))) {
+      return response;
+    }
+    await response.arrayBuffer().catch(() => {});
+    return send();
+  }
+
+  /**
+   * Headers for downloading a file of the site (the HTTP Basic gate, if any)
+   * Other hosts get none, so gate credentials never leave the site.
+   * @param {string} url - File URL
+   * @returns {Object} Headers
+   */
+  downloadHeaders(url) {
+    if (!(this.auth instanceof GatedAuth)) return {};
+    try {
+      return new URL(url).origin === new URL(this.baseUrl).origin ? { Authorization: this.auth.header } : {};
+    } catch {
+      return {};
+    }
   }
 
   /**
@@ -31,23 +207,21 @@ export class WPApiClient {
    * @param {string} endpoint - API endpoint (relative to /wp-json/wp/v2)
    * @param {Object} options - Fetch options
    * @returns {Promise<Object>} Response data
+   * @throws {WPApiError} If WordPress answers with an error
    */
   async request(endpoint, options = {}) {
     const url = endpoint.startsWith('http') ? endpoint : `${this.apiUrl}${endpoint}`;
 
-    const response = await fetch(url, {
+    const response = await this.authorizedFetch(url, {
       ...options,
       headers: {
-        Authorization: this.authHeader,
         'Content-Type': 'application/json',
         ...options.headers,
       },
-      signal: AbortSignal.timeout(this.timeout),
     });
 
     if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`API Error ${response.status}: ${error}`);
+      throw await WPApiError.fromResponse(response, options.method, url);
     }
 
     // Return headers along with data for pagination
@@ -61,51 +235,426 @@ export class WPApiClient {
     };
   }
 
+  /**
+   * Make an authenticated request to any REST namespace
+   * Shares timeouts, retries, auth and error handling with the wp/v2 calls.
+   * @param {string} route - Route relative to /wp-json (e.g. 'contact-form-7/v1/contact-forms')
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} Response data (see request)
+   */
+  async rest(route, options = {}) {
+    return await this.request(`${this.baseUrl}/wp-json/${route.replace(/^\//, '')}`, options);
+  }
+
+  /**
+   * Iterate over all items of a collection, page by page
+   * Items are yielded as soon as their page arrives, so callers can process
+   * large collections without holding them in memory. The first page reports
+   * X-WP-TotalPages; with `this.concurrency` > 1 the following pages are
+   * prefetched in parallel while earlier ones are consumed.
+   *
+   * Results are ordered by ID (unless params set orderby) so items created
+   * mid-walk land on the last page. Duplicates caused by items shifting between
+   * pages are skipped, and IDs missed because of shifts are recovered at the
+   * end with a follow-up `include` query.
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Iteration options
+   * @param {Function} options.onTotal - Called with X-WP-Total once the first page arrives
+   * @returns {AsyncGenerator<Object>} Items
+   */
+  async *iterate(endpoint, params = {}, { onTotal = null } = {}) {
+    const queryParams = new URLSearchParams({
+      per_page: this.perPage.toString(),
+      ...(params.orderby ? {} : { orderby: 'id', order: 'asc' }),
+      ...params,
+    });
+
+    const fetchPage = async (page) => {
+      const pageParams = new URLSearchParams(queryParams);
+      pageParams.set('page', page.toString());
+      return await this.request(`${endpoint}?${pageParams}`);
+    };
+
+    const seen = new Set();
+    let yielded = 0;
+    let duplicates = 0;
+
+    // Skip duplicates (an item pushed onto the next page while walking)
+    function* unseen(data) {
+      for (const item of data) {
+        if (item.id !== undefined) {
+          if (seen.has(item.id)) {
+            duplicates++;
+            continue;
+          }
+          seen.add(item.id);
+        }
+        yielded++;
+        yield item;
+      }
+    }
+
+    const first = await fetchPage(1);
+    const { totalPages, total } = first.headers;
+    if (onTotal) onTotal(total);
+
+    yield* unseen(first.data);
+
+    const remaining = Array.from({ length: Math.max(0, totalPages - 1) }, (_, i) => i + 2);
+    for await (const { data } of prefetchInOrder(remaining, this.concurrency, fetchPage)) {
+      yield* unseen(data);
+    }
+
+    // Recover items pulled back onto an already-fetched page
+    let missing = 0;
+    let recovered = 0;
+    if (total > yielded) {
+      const missingIds = await this.findMissingIds(endpoint, queryParams, seen);
+      missing = missingIds.length;
+
+      for (let i = 0; i < missingIds.length; i += this.perPage) {
+        const includeParams = new URLSearchParams(queryParams);
+        includeParams.set('include', missingIds.slice(i, i + this.perPage).join(','));
+        includeParams.set('page', '1');
+        const { data } = await this.request(`${endpoint}?${includeParams}`);
+        const before = yielded;
+        yield* unseen(data);
+        recovered += yielded - before;
+      }
+    }
+
+    if ((duplicates > 0 || missing > 0) && this.onPageDrift) {
+      this.onPageDrift({ endpoint, duplicates, missing, recovered });
+    }
+  }
+
   /**
    * Fetch all items with pagination
+   * Collects the results of iterate() into an array.
    * @param {string} endpoint - API endpoint
    * @param {Object} params - Query parameters
    * @returns {Promise<Array>} All items
    */
   async fetchAll(endpoint, params = {}) {
     const items = [];
-    let page = 1;
-    let totalPages = 1;
+    for await (const item of this.iterate(endpoint, params)) {
+      items.push(item);
+    }
+    return items;
+  }
 
-    const queryParams = new URLSearchParams({
-      per_page: this.perPage.toString(),
-      ...params,
-    });
+  /**
+   * List IDs matching a collection query that were not seen yet
+   * Walks the collection requesting only the `id` field, which is cheap even
+   * for large sites.
+   * @param {string} endpoint - API endpoint
+   * @param {URLSearchParams} queryParams - Original query parameters
+   * @param {Set<number>} seen - IDs already fetched
+   * @returns {Promise<number[]>} Unseen IDs
+   */
+  async findMissingIds(endpoint, queryParams, seen) {
+    const missing = [];
+    const idParams = new URLSearchParams(queryParams);
+    idParams.set('per_page', '100');
+    idParams.set('_fields', 'id');
+    idParams.delete('context');
 
+    let page = 1;
+    let totalPages = 1;
     do {
-      queryParams.set('page', page.toString());
-      const { data, headers } = await this.request(`${endpoint}?${queryParams}`);
-
-      items.push(...data);
+      idParams.set('page', page.toString());
+      const { data, headers } = await this.request(`${endpoint}?${idParams}`);
+      for (const { id } of data) {
+        if (!seen.has(id)) missing.push(id);
+      }
       totalPages = headers.totalPages;
       page++;
     } while (page <= totalPages);
 
-    return items;
+    return missing;
   }
 
   /**
    * Test API connection
    * @returns {Promise<Object>} Site info
+   * @throws {WPApiError} If the site answers with an error (e.g. incorrect_password)
    */
   async testConnection() {
-    const response = await fetch(`${this.baseUrl}/wp-json`, {
-      headers: { Authorization: this.authHeader },
-      signal: AbortSignal.timeout(this.timeout),
-    });
+    const response = await this.authorizedFetch(`${this.baseUrl}/wp-json`);
 
     if (!response.ok) {
-      throw new Error(`Connection failed: ${response.status} ${response.statusText}`);
+      throw await WPApiError.fromResponse(response, 'GET', `${this.baseUrl}/wp-json`);
     }
 
     return await response.json();
   }
 
+  // ==================== Batch ====================
+
+  /**
+   * Send write requests through the batch API (WordPress 5.6+), up to MAX_BATCH_SIZE per round trip
+   * Sub-requests run in order. Requests to collections whose routes do not allow batching are sent on
+   * their own; after the site rejected a batch request as a whole (WordPress before 5.6, the route
+   * removed or blocked, a lower rest_get_max_batch_size), all requests are, for the lifetime of the client.
+   * @param {Array<Object>} requests - Requests ({ method, endpoint, body }), endpoint relative to /wp-json/wp/v2
+   * @param {Object} options - Batch options
+   * @param {string} options.validation - 'normal', or 'require-all-validate' to run no request of a
+   *   batch if one is invalid (sent on their own: none after one that failed)
+   * @returns {Promise<Array<Object>>} Results in request order: { data } or { error }
+   * @throws {WPApiError} The first invalid (or failed) request with 'require-all-validate', or a failed batch request
+   */
+  async batch(requests, { validation = 'normal' } = {}) {
+    const results = [];
+    for (let start = 0; start < requests.length; start += MAX_BATCH_SIZE) {
+      results.push(...await this.sendBatch(requests.slice(start, start + MAX_BATCH_SIZE), validation));
+    }
+    return results;
+  }
+
+  /**
+   * Send up to MAX_BATCH_SIZE requests in one batch request, or one by one where that is not possible
+   * @param {Array<Object>} requests - Requests (see batch)
+   * @param {string} validation - Validation mode (see batch)
+   * @returns {Promise<Array<Object>>} Results in request order
+   */
+  async sendBatch(requests, validation) {
+    // A single request gains nothing from the batch envelope
+    const unbatchable = requests.some(({ endpoint }) => this.unbatchable.has(collectionOf(endpoint)));
+    if (this.batchAvailable === false || requests.length === 1 || unbatchable) {
+      return await this.sendEach(requests, validation);
+    }
+
+    let data;
+    try {
+      ({ data } = await this.rest('batch/v1', {
+        method: 'POST',
+        body: JSON.stringify({
+          validation,
+          requests: requests.map(({ method, endpoint, body }) => ({ method, path: `/wp/v2${endpoint}`, body })),
+        }),
+      }));
+    } catch (error) {
+      // WordPress checks a batch request as a whole before running any sub-request, so none ran
+      if (!(error instanceof WPApiError) || error.status < 400 || error.status >= 500) throw error;
+      this.batchAvailable = false;
+      if (this.onBatchFallback) this.onBatchFallback(error);
+      return await this.sendEach(requests, validation);
+    }
+
+    // Routes of custom controllers may not allow batching; such sub-requests did not run
+    const errorOf = (response, { method, endpoint }) => {
+      const error = WPApiError.fromBody(response.status, response.body, method, `${this.apiUrl}${endpoint}`);
+      if (error.code === 'rest_batch_not_allowed') this.unbatchable.add(collectionOf(endpoint));
+      return error;
+    };
+
+    // Nothing ran; sub-requests that passed validation have no response
+    if (data.failed === 'validation') {
+      const errors = data.responses.map((response, index) => response && errorOf(response, requests[index])).filter(Boolean);
+      const invalid = errors.find((error) => error.code !== 'rest_batch_not_allowed');
+      if (invalid) throw invalid;
+      return await this.sendEach(requests, validation);
+    }
+
+    const results = [];
+    let batched = 0;
+    for (const [index, response] of data.responses.entries()) {
+      if (response.status >= 200 && response.status < 300) {
+        results.push({ data: response.body });
+        batched++;
+        continue;
+      }
+      const error = errorOf(response, requests[index]);
+      if (error.code === 'rest_batch_not_allowed') {
+        results.push(...await this.sendEach([requests[index]], 'normal'));
+      } else {
+        results.push({ error });
+        batched++;
+      }
+    }
+
+    if (batched > 0) {
+      this.batchStats.batches++;
+      this.batchStats.requests += batched;
+    }
+    return results;
+  }
+
+  /**
+   * Send requests one by one, with the results of a batch request
+   * @param {Array<Object>} requests - Requests (see batch)
+   * @param {string} validation - Validation mode (see batch)
+   * @returns {Promise<Array<Object>>} Results in request order
+   */
+  async sendEach(requests, validation) {
+    const results = [];
+    for (const { method, endpoint, body } of requests) {
+      try {
+        const { data } = await this.request(endpoint, { method, body: JSON.stringify(body) });
+        results.push({ data });
+      } catch (error) {
+        if (validation === 'require-all-validate') throw error;
+        results.push({ error });
+      }
+    }
+    return results;
+  }
+
+  // ==================== Site ====================
+
+  /**
+   * Get the REST API index (site name, namespaces, routes)
+   * @returns {Promise<Object>} API index
+   */
+  async getApiIndex() {
+    const { data } = await this.rest('');
+    return data;
+  }
+
+  /**
+   * Get the site settings exposed to the REST API (/settings, needs manage_options)
+   * @returns {Promise<Object>} Option values by name
+   */
+  async getSettings() {
+    const { data } = await this.request('/settings');
+    return data;
+  }
+
+  /**
+   * Update site settings
+   * @param {Object} values - Option values by name
+   * @returns {Promise<Object>} All settings after the update
+   */
+  async updateSettings(values) {
+    const { data } = await this.request('/settings', {
+      method: 'POST',
+      body: JSON.stringify(values),
+    });
+    return data;
+  }
+
+  /**
+   * Get the installed plugins (/plugins, needs activate_plugins)
+   * @returns {Promise<Array>} Plugins
+   */
+  async getPlugins() {
+    const { data } = await this.request('/plugins');
+    return data;
+  }
+
+  // ==================== Post Types ====================
+
+  /**
+   * Get all post types exposed to the REST API
+   * @returns {Promise<Object>} Post types keyed by type slug
+   */
+  async getPostTypes() {
+    const { data } = await this.request('/types?context=edit');
+    return data;
+  }
+
+  /**
+   * Get all taxonomies exposed to the REST API
+   * @returns {Promise<Object>} Taxonomies keyed by taxonomy slug
+   */
+  async getTaxonomies() {
+    const { data } = await this.request('/taxonomies?context=edit');
+    return data;
+  }
+
+  // ==================== Content Items (any post type) ====================
+
+  /**
+   * Get all items of a post type
+   * @param {string} restBase - Post type REST base (e.g. 'posts', 'pages', 'portfolio')
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} Items
+   */
+  async getItems(restBase, params = {}) {
+    return await this.fetchAll(`/${restBase}`, statusQuery(params));
+  }
+
+  /**
+   * Iterate over all items of a post type without loading them all into memory
+   * @param {string} restBase - Post type REST base
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Iteration options (see iterate)
+   * @returns {AsyncGenerator<Object>} Items
+   */
+  iterateItems(restBase, params = {}, options = {}) {
+    return this.iterate(`/${restBase}`, statusQuery(params), options);
+  }
+
+  /**
+   * Get a single item by ID
+   * @param {string} restBase - Post type REST base
+   * @param {number} id - Item ID
+   * @param {Object} params - Query parameters (e.g. { context: 'edit' })
+   * @returns {Promise<Object>} Item data
+   */
+  async getItem(restBase, id, params = {}) {
+    const query = Object.keys(params).length > 0 ? `?${new URLSearchParams(params)}` : '';
+    const { data } = await this.request(`/${restBase}/${id}${query}`);
+    return data;
+  }
+
+  /**
+   * Get an item by slug
+   * @param {string} restBase - Post type REST base
+   * @param {string} slug - Item slug
+   * @param {Object} params - Additional query parameters (e.g. { context: 'edit' })
+   * @returns {Promise<Object|null>} Item data or null
+   */
+  async getItemBySlug(restBase, slug, params = {}) {
+    const queryParams = new URLSearchParams({ ...params, slug });
+    const { data } = await this.request(`/${restBase}?${queryParams}`);
+    return data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Create a new item
+   * @param {string} restBase - Post type REST base
+   * @param {Object} itemData - Item data
+   * @returns {Promise<Object>} Created item
+   */
+  async createItem(restBase, itemData) {
+    const { data } = await this.request(`/${restBase}`, {
+      method: 'POST',
+      body: JSON.stringify(itemData),
+    });
+    return data;
+  }
+
+  /**
+   * Update an existing item
+   * @param {string} restBase - Post type REST base
+   * @param {number} id - Item ID
+   * @param {Object} itemData - Item data
+   * @returns {Promise<Object>} Updated item
+   */
+  async updateItem(restBase, id, itemData) {
+    const { data } = await this.request(`/${restBase}/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(itemData),
+    });
+    return data;
+  }
+
+  /**
+   * Delete an item
+   * @param {string} restBase - Post type REST base
+   * @param {number} id - Item ID
+   * @param {boolean} force - Force delete (skip trash)
+   * @returns {Promise<Object>} Deleted item
+   */
+  async deleteItem(restBase, id, force = false) {
+    const { data } = await this.request(`/${restBase}/${id}?force=${force}`, {
+      method: 'DELETE',
+    });
+    return data;
+  }
+
   // ==================== Posts ====================
 
   /**
@@ -114,11 +663,17 @@ export class WPApiClient {
    * @returns {Promise<Array>} Posts
    */
   async getPosts(params = {}) {
-    const queryParams = { status: 'publish', ...params };
-    if (queryParams.status === 'all') {
-      queryParams.status = 'publish,draft,pending,private';
-    }
-    return await this.fetchAll('/posts', queryParams);
+    return await this.fetchAll('/posts', statusQuery(params));
+  }
+
+  /**
+   * Iterate over all posts without loading them all into memory
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Iteration options (see iterate)
+   * @returns {AsyncGenerator<Object>} Posts
+   */
+  iteratePosts(params = {}, options = {}) {
+    return this.iterate('/posts', statusQuery(params), options);
   }
 
   /**
@@ -189,11 +744,17 @@ export class WPApiClient {
    * @returns {Promise<Array>} Pages
    */
   async getPages(params = {}) {
-    const queryParams = { status: 'publish', ...params };
-    if (queryParams.status === 'all') {
-      queryParams.status = 'publish,draft,pending,private';
-    }
-    return await this.fetchAll('/pages', queryParams);
+    return await this.fetchAll('/pages', statusQuery(params));
+  }
+
+  /**
+   * Iterate over all pages without loading them all into memory
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Iteration options (see iterate)
+   * @returns {AsyncGenerator<Object>} Pages
+   */
+  iteratePages(params = {}, options = {}) {
+    return this.iterate('/pages', statusQuery(params), options);
   }
 
   /**
@@ -300,6 +861,7 @@ export class WPApiClient {
    * @param {string} filePath - Local file path
    * @param {Object} metadata - Optional metadata (title, alt_text, caption)
    * @returns {Promise<Object>} Uploaded media data
+   * @throws {WPApiError} If WordPress rejects the upload
    */
   async uploadMedia(filePath, metadata = {}) {
     const fileName = basename(filePath);
@@ -318,20 +880,21 @@ export class WPApiClient {
     };
     const contentType = contentTypes[ext] || 'application/octet-stream';
 
-    const response = await fetch(`${this.apiUrl}/media`, {
-      method: 'POST',
-      headers: {
-        Authorization: this.authHeader,
-        'Content-Type': contentType,
-        'Content-Disposition': `attachment; filename="${fileName}"`,
+    const response = await this.authorizedFetch(
+      `${this.apiUrl}/media`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': contentType,
+          'Content-Disposition': `attachment; filename="${fileName}"`,
+        },
+        body: fileBuffer,
       },
-      body: fileBuffer,
-      signal: AbortSignal.timeout(this.timeout * 2), // Longer timeout for uploads
-    });
+      this.timeout * 2 // Longer timeout for uploads
+    );
 
     if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Media upload failed: ${response.status} - ${error}`);
+      throw await WPApiError.fromResponse(response, 'POST', `${this.apiUrl}/media`);
     }
 
     const data = await response.json();
@@ -363,7 +926,7 @@ export class WPApiClient {
   /**
    * Get post meta (including RankMath SEO data)
    * @param {number} postId - Post ID
-   * @param {string} type - Content type ('posts' or 'pages')
+   * @param {string} type - Post type REST base ('posts', 'pages', or a custom type)
    * @returns {Promise<Object>} Meta data
    */
   async getPostMeta(postId, type = 'posts') {
@@ -373,8 +936,7 @@ export class WPApiClient {
       return data;
     } catch {
       // Fall back to getting meta from post itself
-      const endpoint = type === 'pages' ? '/pages' : '/posts';
-      const { data } = await this.request(`${endpoint}/${postId}?context=edit`);
+      const { data } = await this.request(`/${type}/${postId}?context=edit`);
       return data.meta || {};
     }
   }
@@ -382,19 +944,61 @@ export class WPApiClient {
   /**
    * Update post meta
    * @param {number} postId - Post ID
-   * @param {string} type - Content type ('posts' or 'pages')
+   * @param {string} type - Post type REST base ('posts', 'pages', or a custom type)
    * @param {Object} meta - Meta data to update
    * @returns {Promise<Object>} Updated post
    */
   async updatePostMeta(postId, type = 'posts', meta) {
-    const endpoint = type === 'pages' ? '/pages' : '/posts';
-    const { data } = await this.request(`${endpoint}/${postId}`, {
+    const { data } = await this.request(`/${type}/${postId}`, {
       method: 'PUT',
       body: JSON.stringify({ meta }),
     });
     return data;
   }
 
+  // ==================== Sync State ====================
+
+  /**
+   * Check whether the site exposes the sync-state route of the expose-all-meta mu-plugin
+   * The result is cached for the lifetime of the client.
+   * @returns {Promise<boolean>} Whether the route is available
+   */
+  async hasSyncState() {
+    if (this.syncStateAvailable === undefined) {
+      try {
+        const response = await this.authorizedFetch(`${this.baseUrl}/wp-json/${SYNC_NAMESPACE}`);
+        this.syncStateAvailable = response.ok;
+      } catch {
+        this.syncStateAvailable = false;
+      }
+    }
+    return this.syncStateAvailable;
+  }
+
+  /**
+   * Get the checksums stored by the last import of a post
+   * @param {number} postId - Post ID (any post type)
+   * @returns {Promise<Object|null>} Checksums, or null if none are stored
+   */
+  async getSyncState(postId) {
+    const { data } = await this.rest(`${SYNC_NAMESPACE}/sync-state/${postId}`);
+    return data.checksums || null;
+  }
+
+  /**
+   * Store the checksums of an import of a post (does not touch the post's modified date)
+   * @param {number} postId - Post ID (any post type)
+   * @param {Object} checksums - Checksums object
+   * @returns {Promise<Object|null>} Stored checksums
+   */
+  async setSyncState(postId, checksums) {
+    const { data } = await this.rest(`${SYNC_NAMESPACE}/sync-state/${postId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ checksums }),
+    });
+    return data.checksums || null;
+  }
+
   // ==================== Categories & Tags ====================
 
   /**
@@ -439,6 +1043,43 @@ export class WPApiClient {
     return data;
   }
 
+  // ==================== Terms (any taxonomy) ====================
+
+  /**
+   * Get all terms of a taxonomy
+   * @param {string} restBase - Taxonomy REST base (e.g. 'categories', 'tags', 'project-cats')
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} Terms
+   */
+  async getTerms(restBase, params = {}) {
+    return await this.fetchAll(`/${restBase}`, params);
+  }
+
+  /**
+   * Get a term by slug
+   * @param {string} restBase - Taxonomy REST base
+   * @param {string} slug - Term slug
+   * @returns {Promise<Object|null>} Term data or null
+   */
+  async getTermBySlug(restBase, slug) {
+    const { data } = await this.request(`/${restBase}?slug=${encodeURIComponent(slug)}`);
+    return data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Create a term
+   * @param {string} restBase - Taxonomy REST base
+   * @param {Object} termData - Term data (name, slug, description, parent)
+   * @returns {Promise<Object>} Created term
+   */
+  async createTerm(restBase, termData) {
+    const { data } = await this.request(`/${restBase}`, {
+      method: 'POST',
+      body: JSON.stringify(termData),
+    });
+    return data;
+  }
+
   // ==================== Users ====================
 
   /**
@@ -0,0 +1,155 @@
+/**
+ * Hints for WordPress error codes
+ */
+const CODE_HINTS = {
+  incorrect_password: 'Wrong Application Password. Create a new one under Users → Profile → Application Passwords and update .env, the site profile or the vault (node wp-auth.js add <site>).',
+  invalid_username: 'Unknown username. Use the login name of the user the Application Password belongs to (WP_REMOTE_USER, or user in the site profile).',
+  application_passwords_disabled: 'Application Passwords are disabled on this site (security plugin or wp_is_application_passwords_available filter). Enable them, or use another auth method (auth: jwt, cookie or oauth1 in the site profile).',
+  rest_not_logged_in: 'The site did not see any credentials. Check the user and password, and that the server passes the Authorization header to PHP (Apache: CGIPassAuth On).',
+  rest_cookie_invalid_nonce: 'The REST nonce of the cookie session was rejected. Check that no security plugin or cache strips the login cookies.',
+  jwt_auth_invalid_token: 'The JWT was rejected. Check JWT_AUTH_SECRET_KEY in wp-config.php and that the server passes the Authorization header to PHP.',
+  jwt_auth_bad_config: 'The JWT plugin is not configured. Define JWT_AUTH_SECRET_KEY in wp-config.php.',
+  rest_post_invalid_id: 'The item does not exist on the site (deleted, or an ID of another site). Export again, or check the sync ledger with wp-status.',
+  rest_term_invalid: 'The term does not exist on the site. Import taxonomies first (without --no-taxonomies).',
+  rest_no_route: 'The site has no such REST route. Check that the plugin or post type is active and exposed to the REST API (show_in_rest).',
+  term_exists: 'A term with this name or slug exists already on this level of the taxonomy.',
+  rest_upload_unknown_error: 'The upload was rejected. Check that the file type is allowed and its size is below upload_max_filesize.',
+  rest_upload_sideload_error: 'The upload was rejected. Check that the file type is allowed and its size is below upload_max_filesize.',
+};
+
+/**
+ * Hints for HTTP statuses without a known error code
+ */
+const STATUS_HINTS = {
+  401: CODE_HINTS.rest_not_logged_in,
+  404: CODE_HINTS.rest_no_route,
+  413: 'The request is too large for the server. Raise client_max_body_size (nginx), LimitRequestBody (Apache) or post_max_size/upload_max_filesize (PHP).',
+  429: 'The site rate-limits requests. Lower --concurrency, or raise --retries.',
+};
+
+/**
+ * Meta fields rejected by rest_invalid_param when keys are not registered for the REST API
+ */
+const META_PARAMS = ['meta', 'all_meta'];
+
+/**
+ * Make a readable message out of an error body that is not a WordPress error (HTML error pages, proxies)
+ */
+function bodyExcerpt(text) {
+  const plain = text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  return plain.length > 200 ? `${plain.slice(0, 200)}…` : plain;
+}
+
+/**
+ * Error answered by the WordPress REST API
+ * Carries the HTTP status, the WordPress error code and data (data.params names the invalid
+ * parameters of rest_invalid_param) and the request, so callers can tell rest_cannot_edit from
+ * rest_post_invalid_id or term_exists, and print a hint.
+ */
+export class WPApiError extends Error {
+  /**
+   * @param {Object} details - Error details
+   * @param {number} details.status - HTTP status
+   * @param {string|null} details.code - WordPress error code (e.g. 'rest_cannot_edit')
+   * @param {string} details.message - WordPress error message
+   * @param {Object|null} details.data - WordPress error data ({ status, params, details, term_id, ... })
+   * @param {string} details.url - Request URL
+   * @param {string} details.method - Request method
+   */
+  constructor({ status, code = null, message, data = null, url, method = 'GET' }) {
+    const params = data?.params && typeof data.params === 'object' ? data.params : null;
+    const paramDetails = params
+      ? ` (${Object.entries(params).map(([param, reason]) => `${param}: ${reason}`).join('; ')})`
+      : '';
+    super(`API Error ${status}${code ? ` ${code}` : ''}: ${message || 'no message'}${paramDetails}`);
+
+    this.name = 'WPApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.params = params;
+    this.url = url;
+    this.method = method.toUpperCase();
+  }
+
+  /**
+   * Create the error of a failed response
+   * @param {Response} response - Failed response (its body is consumed)
+   * @param {string} method - Request method
+   * @param {string} url - Request URL (default: the response's)
+   * @returns {Promise<WPApiError>} Error
+   */
+  static async fromResponse(response, method = 'GET', url = response.url) {
+    const text = await response.text().catch(() => '');
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // Not JSON: an HTML error page of the server or a proxy
+    }
+
+    return WPApiError.fromBody(response.status, body, method, url, response.statusText);
+  }
+
+  /**
+   * Create the error of a response body (a failed sub-request of a batch request answers with one)
+   * @param {number} status - HTTP status
+   * @param {Object|string} body - Parsed body, or the raw text of a non-JSON body
+   * @param {string} method - Request method
+   * @param {string} url - Request URL
+   * @param {string} statusText - Message when the body has none
+   * @returns {WPApiError} Error
+   */
+  static fromBody(status, body, method = 'GET', url = '', statusText = '') {
+    const isWordPressError = body && typeof body === 'object' && typeof body.code === 'string';
+    const text = typeof body === 'string' ? body : '';
+    return new WPApiError({
+      status,
+      code: isWordPressError ? body.code : null,
+      message: isWordPressError ? bodyExcerpt(body.message || '') : bodyExcerpt(text) || statusText,
+      data: isWordPressError ? body.data ?? null : null,
+      url,
+      method,
+    });
+  }
+
+  /**
+   * Route of the request (path below /wp-json)
+   */
+  get route() {
+    try {
+      return new URL(this.url).pathname.replace(/^\/wp-json/, '') || '/';
+    } catch {
+      return this.url;
+    }
+  }
+
+  /**
+   * What to do about the error, if there is a known remedy
+   * @returns {string|null} Hint
+   */
+  get hint() {
+    if (this.code === 'rest_invalid_param' && this.params) {
+      if (Object.keys(this.params).some((param) => META_PARAMS.includes(param))) {
+        return 'Meta keys are not registered for the REST API. Install _wordpress-plugin/expose-all-meta.php (written by wp-export) into wp-content/mu-plugins/, or register them with register_post_meta(..., [\'show_in_rest\' => true]).';
+      }
+      return `Check the value(s) of ${Object.keys(this.params).join(', ')} in metadata.json.`;
+    }
+    if (CODE_HINTS[this.code]) {
+      return CODE_HINTS[this.code];
+    }
+    // WordPress answers 401 to requests without a user and 403 to users without the capability
+    if (this.status === 401) {
+      return STATUS_HINTS[401];
+    }
+    if (this.status === 403 || this.code?.startsWith('rest_cannot_') || this.code?.startsWith('rest_forbidden')) {
+      return `The user lacks the capability for ${this.method} ${this.route}. Use an Editor or Administrator account (settings and plugins need an Administrator).`;
+    }
+    if (this.status >= 500) {
+      return 'The server failed. Check the PHP error log of the site; --retries repeats transient failures.';
+    }
+    return STATUS_HINTS[this.status] || null;
+  }
+}
+
+export default WPApiError;
@@ -0,0 +1,398 @@
+import { createHmac, randomBytes } from 'crypto';
+import { registerSecret } from './redact.js';
+
+/**
+ * Authentication methods selectable per site (auth in wp-sites.json, WP_AUTH in .env)
+ */
+export const AUTH_METHODS = ['application-password', 'jwt', 'cookie', 'oauth1'];
+
+/**
+ * Environment variables carrying a site's auth settings (.env, .env.<name>, child processes)
+ */
+export const AUTH_ENV = {
+  method: 'WP_AUTH',
+  gateUser: 'WP_GATE_USER',
+  gatePassword: 'WP_GATE_PASSWORD',
+  consumerKey: 'WP_OAUTH_CONSUMER_KEY',
+  consumerSecret: 'WP_OAUTH_CONSUMER_SECRET',
+  token: 'WP_OAUTH_TOKEN',
+  tokenSecret: 'WP_OAUTH_TOKEN_SECRET',
+};
+
+/**
+ * Renew JWTs this long before they expire (ms)
+ */
+const JWT_EXPIRY_MARGIN = 60000;
+
+/**
+ * Build a Basic Authorization header value
+ */
+function basicAuth(user, password) {
+  return `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+}
+
+/**
+ * Percent-encode as RFC 3986 (OAuth 1.0a signatures)
+ */
+function percentEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Read the error code of a WordPress error response without consuming the response
+ * @param {Response} response - Failed response
+ * @returns {Promise<string|null>} WordPress error code, e.g. 'rest_cookie_invalid_nonce'
+ */
+export async function readErrorCode(response) {
+  try {
+    const data = await response.clone().json();
+    return typeof data?.code === 'string' ? data.code : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Application Passwords (WordPress 5.6+): HTTP Basic auth on every request
+ */
+export class ApplicationPasswordAuth {
+  constructor({ user, appPassword }) {
+    this.header = basicAuth(user, appPassword);
+  }
+
+  /**
+   * Sign a request
+   * @param {Object} request - { url, method }
+   * @returns {Promise<Object>} { url, headers }
+   */
+  async authorize({ url }) {
+    return { url, headers: { Authorization: this.header } };
+  }
+
+  /**
+   * Renew the credentials after a 401/403
+   * @param {Object} failure - { status, code }
+   * @returns {Promise<boolean>} Whether the request is worth repeating
+   */
+  async refresh() {
+    return false;
+  }
+}
+
+/**
+ * JWT (JWT Authentication for WP REST API, or JWT Auth): a token from /jwt-auth/v1/token,
+ * sent as Bearer token and fetched again when it expires or is rejected
+ */
+export class JwtAuth {
+  constructor({ url, user, appPassword }, fetch) {
+    this.tokenUrl = `${url}/wp-json/jwt-auth/v1/token`;
+    this.user = user;
+    this.password = appPassword;
+    this.fetch = fetch;
+    this.token = null;
+    this.expires = null;
+  }
+
+  /**
+   * Get a token with the site credentials
+   * @throws {Error} If the site rejects the credentials or has no JWT plugin
+   */
+  async login() {
+    const response = await this.fetch(this.tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: this.user, password: this.password }),
+    });
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw new Error(
+        response.status === 404
+          ? `JWT login failed: ${this.tokenUrl} not found (is a JWT authentication plugin active?)`
+          : `JWT login failed: ${response.status} ${data?.message?.replace(/<[^>]+>/g, '') || response.statusText}`
+      );
+    }
+
+    // JWT Authentication for WP REST API answers { token }, JWT Auth { data: { token } }
+    const token = data?.token ?? data?.data?.token;
+    if (!token) {
+      throw new Error(`JWT login failed: no token in the response of ${this.tokenUrl}`);
+    }
+
+    this.token = token;
+    this.expires = JwtAuth.expiry(token);
+    registerSecret(token);
+  }
+
+  /**
+   * Read the expiry of a token (exp claim)
+   * @returns {number|null} Expiry in ms, or null if the token does not say
+   */
+  static expiry(token) {
+    try {
+      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf-8'));
+      return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async authorize({ url }) {
+    if (!this.token || (this.expires && this.expires - JWT_EXPIRY_MARGIN < Date.now())) {
+      await this.login();
+    }
+    return { url, headers: { Authorization: `Bearer ${this.token}` } };
+  }
+
+  /**
+   * Rejected tokens (401, jwt_auth_* codes) are fetched again
+   */
+  async refresh({ status, code }) {
+    if (status !== 401 && !code?.startsWith('jwt_auth')) return false;
+    this.token = null;
+    return true;
+  }
+}
+
+/**
+ * Cookie auth: logs in through wp-login.php and sends the session cookies with an X-WP-Nonce
+ * header, like the block editor does. Needs the account password; Application Passwords are
+ * not accepted by wp-login.php.
+ */
+export class CookieAuth {
+  constructor({ url, user, appPassword }, fetch) {
+    this.baseUrl = url;
+    this.user = user;
+    this.password = appPassword;
+    this.fetch = fetch;
+    this.cookies = null;
+    this.nonce = null;
+  }
+
+  /**
+   * Log in and keep the session cookies
+   * @throws {Error} If the login is rejected
+   */
+  async login() {
+    const response = await this.fetch(`${this.baseUrl}/wp-login.php`, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Cookie: 'wordpress_test_cookie=WP%20Cookie%20check',
+      },
+      body: new URLSearchParams({
+        log: this.user,
+        pwd: this.password,
+        rememberme: 'forever',
+        testcookie: '1',
+        redirect_to: `${this.baseUrl}/wp-admin/`,
+      }).toString(),
+    });
+    await response.arrayBuffer().catch(() => {});
+
+    const cookies = (response.headers.raw()['set-cookie'] || [])
+      .map((cookie) => cookie.split(';')[0])
+      .filter((cookie) => !cookie.endsWith('=deleted') && !cookie.endsWith('='));
+    if (!cookies.some((cookie) => cookie.startsWith('wordpress_logged_in_'))) {
+      throw new Error(`Cookie login failed: ${this.baseUrl}/wp-login.php did not accept the credentials (the account password is needed, not an Application Password)`);
+    }
+
+    this.cookies = cookies.join('; ');
+    await this.fetchNonce();
+  }
+
+  /**
+   * Get a REST nonce for the session (admin-ajax rest-nonce, WordPress 5.3+)
+   * @throws {Error} If the site does not hand out a nonce
+   */
+  async fetchNonce() {
+    const response = await this.fetch(`${this.baseUrl}/wp-admin/admin-ajax.php?action=rest-nonce`, {
+      headers: { Cookie: this.cookies },
+    });
+    const nonce = (await response.text()).trim();
+    if (!response.ok || !/^[a-f0-9]{6,}$/i.test(nonce)) {
+      throw new Error(`Cookie login failed: no REST nonce from ${this.baseUrl}/wp-admin/admin-ajax.php (${response.status})`);
+    }
+    this.nonce = nonce;
+  }
+
+  async authorize({ url }) {
+    if (!this.cookies) {
+      await this.login();
+    }
+    return { url, headers: { Cookie: this.cookies, 'X-WP-Nonce': this.nonce } };
+  }
+
+  /**
+   * An expired nonce only needs a new nonce, an expired session (401) a new login
+   */
+  async refresh({ status, code }) {
+    if (code === 'rest_cookie_invalid_nonce' && this.cookies) {
+      await this.fetchNonce().catch(() => {
+        this.cookies = null;
+      });
+      return true;
+    }
+    if (status !== 401) return false;
+    this.cookies = null;
+    return true;
+  }
+}
+
+/**
+ * OAuth 1.0a (WP REST API - OAuth 1.0a Server): every request signed with HMAC-SHA1 using
+ * a consumer and an access token authorized beforehand
+ */
+export class OAuth1Auth {
+  /**
+   * @param {Object} oauth - { consumerKey, consumerSecret, token, tokenSecret }
+   * @param {boolean} inQuery - Send the OAuth parameters in the query string (the Authorization header is taken)
+   */
+  constructor({ consumerKey, consumerSecret, token, tokenSecret }, inQuery = false) {
+    this.consumerKey = consumerKey;
+    this.signingKey = `${percentEncode(consumerSecret)}&${percentEncode(tokenSecret)}`;
+    this.token = token;
+    this.inQuery = inQuery;
+  }
+
+  async authorize({ url, method }) {
+    const target = new URL(url);
+    const oauthParams = {
+      oauth_consumer_key: this.consumerKey,
+      oauth_nonce: randomBytes(16).toString('hex'),
+      oauth_signature_method: 'HMAC-SHA1',
+      oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+      oauth_token: this.token,
+      oauth_version: '1.0',
+    };
+
+    // Signature base string: method, URL without query, sorted query and OAuth parameters
+    const params = [...target.searchParams.entries(), ...Object.entries(oauthParams)]
+      .map(([key, value]) => [percentEncode(key), percentEncode(value)])
+      .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+    const baseString = [method.toUpperCase(), percentEncode(`${target.origin}${target.pathname}`), percentEncode(params)].join('&');
+    oauthParams.oauth_signature = createHmac('sha1', this.signingKey).update(baseString).digest('base64');
+
+    if (this.inQuery) {
+      for (const [key, value] of Object.entries(oauthParams)) {
+        target.searchParams.append(key, value);
+      }
+      return { url: target.toString(), headers: {} };
+    }
+
+    const header = Object.entries(oauthParams)
+      .map(([key, value]) => `${key}="${percentEncode(value)}"`)
+      .join(', ');
+    return { url, headers: { Authorization: `OAuth ${header}` } };
+  }
+
+  async refresh() {
+    return false;
+  }
+}
+
+/**
+ * HTTP Basic gate in front of WordPress (e.g. a password-protected staging server)
+ * Adds the gate's Authorization header to every request of the wrapped provider.
+ */
+export class GatedAuth {
+  constructor(provider, header) {
+    this.provider = provider;
+    this.header = header;
+  }
+
+  async authorize(request) {
+    const { url, headers } = await this.provider.authorize(request);
+    return { url, headers: { Authorization: this.header, ...headers } };
+  }
+
+  async refresh(failure) {
+    return this.provider.refresh(failure);
+  }
+}
+
+/**
+ * Check auth settings
+ * @param {Object} auth - { method, gate, oauth }
+ * @throws {Error} If the method is unknown or cannot work behind the configured gate
+ */
+export function checkAuth({ method = 'application-password', gate = null } = {}) {
+  if (!AUTH_METHODS.includes(method)) {
+    throw new Error(`Invalid auth method: ${method}. Use: ${AUTH_METHODS.join(', ')}`);
+  }
+  // Behind a gate, the Authorization header belongs to the gate
+  if (gate && ['application-password', 'jwt'].includes(method)) {
+    throw new Error(`${method} auth and the HTTP Basic gate both need the Authorization header. Use cookie or oauth1 auth behind a gate.`);
+  }
+}
+
+/**
+ * Create the auth provider of a site
+ * Providers sign requests with authorize({ url, method }) => { url, headers } and get a
+ * chance to renew their credentials with refresh({ status, code }) after a 401/403.
+ * @param {Object} config - Configuration object (url, user, appPassword, auth)
+ * @param {Function} fetch - Fetch function for logins and token requests
+ * @returns {Object} Auth provider
+ * @throws {Error} If the auth settings are invalid (see checkAuth)
+ */
+export function createAuthProvider(config, fetch) {
+  const { method = 'application-password', gate = null, oauth = null } = config.auth || {};
+  checkAuth({ method, gate });
+
+  // Logins and token requests pass the gate too
+  const gateHeader = gate ? basicAuth(gate.user, gate.password) : null;
+  const gatedFetch = gateHeader
+    ? (url, options = {}) => fetch(url, { ...options, headers: { Authorization: gateHeader, ...options.headers } })
+    : fetch;
+
+  let provider;
+  switch (method) {
+    case 'application-password':
+      provider = new ApplicationPasswordAuth(config);
+      break;
+    case 'jwt':
+      provider = new JwtAuth(config, gatedFetch);
+      break;
+    case 'cookie':
+      provider = new CookieAuth(config, gatedFetch);
+      break;
+    default: // oauth1
+      provider = new OAuth1Auth(oauth, Boolean(gateHeader));
+  }
+
+  return gateHeader ? new GatedAuth(provider, gateHeader) : provider;
+}
+
+/**
+ * Environment variables handing a site's auth settings to a child process
+ * @param {Object} auth - { method, gate, oauth }
+ * @returns {Object} Variables (unset ones empty, so the parent's .env does not leak in)
+ */
+export function authEnv(auth) {
+  return {
+    [AUTH_ENV.method]: auth.method,
+    [AUTH_ENV.gateUser]: auth.gate?.user || '',
+    [AUTH_ENV.gatePassword]: auth.gate?.password || '',
+    [AUTH_ENV.consumerKey]: auth.oauth?.consumerKey || '',
+    [AUTH_ENV.consumerSecret]: auth.oauth?.consumerSecret || '',
+    [AUTH_ENV.token]: auth.oauth?.token || '',
+    [AUTH_ENV.tokenSecret]: auth.oauth?.tokenSecret || '',
+  };
+}
+
+export default {
+  AUTH_METHODS,
+  AUTH_ENV,
+  readErrorCode,
+  ApplicationPasswordAuth,
+  JwtAuth,
+  CookieAuth,
+  OAuth1Auth,
+  GatedAuth,
+  checkAuth,
+  createAuthProvider,
+  authEnv,
+};
@@ -0,0 +1,199 @@
+import fs from 'fs-extra';
+import { join } from 'path';
+import { getContentDir, writeJson, writeHtml } from './file-utils.js';
+
+/**
+ * Folder (inside the import directory) that holds pre-import backups
+ */
+export const BACKUP_DIR_NAME = '_backups';
+
+/**
+ * Build a timestamped, filesystem-safe snapshot name
+ * @param {Date} date - Snapshot time
+ * @returns {string} Snapshot name (e.g. 2025-01-31T12-00-00-000Z)
+ */
+export function snapshotName(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * List the snapshots in a backup directory, newest first
+ * @param {string} backupRoot - Backup directory
+ * @returns {Promise<Object[]>} { name, dir, manifest }
+ */
+export async function listSnapshots(backupRoot) {
+  if (!(await fs.pathExists(backupRoot))) {
+    return [];
+  }
+
+  const entries = await fs.readdir(backupRoot, { withFileTypes: true });
+  const snapshots = [];
+
+  for (const entry of entries.filter((e) => e.isDirectory())) {
+    const dir = join(backupRoot, entry.name);
+    const manifestPath = join(dir, 'manifest.json');
+    if (await fs.pathExists(manifestPath)) {
+      snapshots.push({ name: entry.name, dir, manifest: await fs.readJson(manifestPath) });
+    }
+  }
+
+  return snapshots.sort((a, b) => b.name.localeCompare(a.name));
+}
+
+/**
+ * Snapshot of the remote state an import is about to change
+ * Items are written in the export layout ({rest_base}/{slug}/), so a snapshot
+ * can be restored with wp-import. The snapshot folder is only created once
+ * something is recorded.
+ */
+export class ImportBackup {
+  /**
+   * @param {string} backupRoot - Backup directory
+   * @param {Object} options - Backup options
+   * @param {string} options.siteUrl - Site the snapshot is taken from
+   * @param {string} options.importDir - Export directory being imported
+   */
+  constructor(backupRoot, { siteUrl, importDir }) {
+    this.name = snapshotName();
+    this.dir = join(backupRoot, this.name);
+    this.manifest = {
+      version: 2,
+      backup: true,
+      exportDate: new Date().toISOString(),
+      sourceUrl: siteUrl,
+      importDir,
+      contentTypes: [],
+      exportedPlugins: [],
+      items: [], // { restBase, slug, id } of updated items
+      trashed: [], // { restBase, slug, id, status } of items trashed by mirror mode
+      created: [], // { restBase, slug, id } of items created by the import
+    };
+  }
+
+  /**
+   * Number of items and plugins recorded
+   * @returns {number} Count
+   */
+  get size() {
+    const { items, trashed, created, exportedPlugins } = this.manifest;
+    return items.length + trashed.length + created.length + exportedPlugins.length;
+  }
+
+  /**
+   * Write an item (fetched with context=edit) in the export layout
+   * @param {Object} contentType - Content type descriptor
+   * @param {Object} item - Remote item
+   * @returns {Promise<string>} Item folder
+   */
+  async writeItem(contentType, item) {
+    const contentDir = getContentDir(this.dir, contentType.restBase, item.slug);
+
+    await writeHtml(join(contentDir, 'body.html'), item.content?.raw ?? item.content?.rendered ?? '');
+
+    // Term, parent, author and media references stay numeric: a snapshot is restored into the same site
+    const metadata = {
+      id: item.id,
+      slug: item.slug,
+      title: item.title?.raw ?? item.title?.rendered ?? '',
+      status: item.status,
+      date: item.date,
+      date_gmt: item.date_gmt,
+      modified: item.modified,
+      modified_gmt: item.modified_gmt,
+      author: item.author,
+      excerpt: item.excerpt?.raw ?? item.excerpt?.rendered ?? '',
+      featured_media: item.featured_media ? { id: item.featured_media, file: null } : null,
+      template: item.template || '',
+      type: item.type,
+      link: item.link,
+    };
+    for (const field of contentType.taxonomyFields) {
+      if (Array.isArray(item[field])) metadata[field] = item[field];
+    }
+    for (const field of ['format', 'sticky', 'parent', 'menu_order']) {
+      if (field in item) metadata[field] = item[field];
+    }
+    await writeJson(join(contentDir, 'metadata.json'), metadata);
+
+    const meta = item.all_meta || item.meta || {};
+    if (Object.keys(meta).length > 0) {
+      await writeJson(join(contentDir, 'meta.json'), meta);
+    }
+
+    if (!this.manifest.contentTypes.some((t) => t.restBase === contentType.restBase)) {
+      this.manifest.contentTypes.push({
+        slug: contentType.slug,
+        restBase: contentType.restBase,
+        name: contentType.name,
+      });
+    }
+
+    return contentDir;
+  }
+
+  /**
+   * Snapshot an item before it is updated
+   * @param {Object} contentType - Content type descriptor
+   * @param {Object} item - Remote item (context=edit)
+   */
+  async snapshotItem(contentType, item) {
+    await this.writeItem(contentType, item);
+    this.manifest.items.push({ restBase: contentType.restBase, slug: item.slug, id: item.id });
+    await this.save();
+  }
+
+  /**
+   * Snapshot an item before it is moved to the trash
+   * @param {Object} contentType - Content type descriptor
+   * @param {Object} item - Remote item (context=edit)
+   */
+  async snapshotTrashed(contentType, item) {
+    await this.writeItem(contentType, item);
+    this.manifest.trashed.push({
+      restBase: contentType.restBase,
+      slug: item.slug,
+      id: item.id,
+      status: item.status,
+    });
+    await this.save();
+  }
+
+  /**
+   * Record an item created by the import (removed again on rollback)
+   * @param {string} restBase - Post type REST base
+   * @param {string} slug - Item slug
+   * @param {number} id - Item ID
+   */
+  async recordCreated(restBase, slug, id) {
+    this.manifest.created.push({ restBase, slug, id });
+    await this.save();
+  }
+
+  /**
+   * Snapshot current values of plugin options before they are overwritten
+   * @param {string} slug - Plugin slug
+   * @param {string} name - Plugin name
+   * @param {Object} options - Current option values (as returned by the Settings API)
+   */
+  async snapshotPluginOptions(slug, name, options) {
+    if (Object.keys(options).length === 0) return;
+
+    await writeJson(join(this.dir, `${slug}.json`), { plugin: slug, name, options });
+    this.manifest.exportedPlugins.push({ slug, name });
+    await this.save();
+  }
+
+  /**
+   * Write the snapshot manifest
+   */
+  async save() {
+    await writeJson(join(this.dir, 'manifest.json'), this.manifest);
+  }
+}
+
+export default {
+  BACKUP_DIR_NAME,
+  snapshotName,
+  listSnapshots,
+  ImportBackup,
+};
@@ -0,0 +1,200 @@
+/**
+ * Block delimiter comments, as matched by WordPress' block parser
+ * (<!-- wp:name {attrs} -->, <!-- /wp:name -->, <!-- wp:name {attrs} /-->)
+ */
+const BLOCK_DELIMITER = /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*\/)?([a-z][a-z0-9_-]*)\s+({(?:(?:[^}]+|}+(?=})|(?!}\s+\/?-->).)*)?}\s+)?(\/)?-->/g;
+
+/**
+ * Parse serialized block content into a block tree
+ * HTML outside of blocks at the top level becomes core/freeform blocks (classic content).
+ * @param {string} html - Block content (post_content)
+ * @returns {Object[]} { name, attrs, inner, raw } top-level blocks
+ */
+export function parseBlocks(html) {
+  const blocks = [];
+  const stack = [];
+  let last = 0;
+
+  const addFreeform = (end) => {
+    const raw = html.slice(last, end).trim();
+    if (raw) blocks.push({ name: 'core/freeform', attrs: {}, inner: [], raw });
+  };
+  const add = (block) => {
+    if (stack.length > 0) {
+      stack[stack.length - 1].inner.push(block);
+    } else {
+      blocks.push(block);
+    }
+  };
+
+  for (const match of html.matchAll(BLOCK_DELIMITER)) {
+    const [token, closer, namespace, blockName, attrsJson, selfClosing] = match;
+    const name = `${namespace || 'core/'}${blockName}`;
+    const end = match.index + token.length;
+
+    if (closer) {
+      // Close the matching opener (unbalanced inner openers are closed with it)
+      const openIndex = stack.map((block) => block.name).lastIndexOf(name);
+      if (openIndex === -1) continue;
+      while (stack.length > openIndex) {
+        const block = stack.pop();
+        block.raw = html.slice(block.start, end);
+        delete block.start;
+        add(block);
+      }
+    } else {
+      let attrs = {};
+      try {
+        attrs = attrsJson ? JSON.parse(attrsJson) : {};
+      } catch {
+        // Invalid attributes are compared as part of the raw block
+      }
+      if (stack.length === 0) addFreeform(match.index);
+
+      if (selfClosing) {
+        add({ name, attrs, inner: [], raw: token });
+      } else {
+        stack.push({ name, attrs, inner: [], start: match.index });
+      }
+    }
+
+    if (stack.length === 0) last = end;
+  }
+
+  // Unclosed blocks run to the end of the content
+  while (stack.length > 0) {
+    const block = stack.pop();
+    block.raw = html.slice(block.start);
+    delete block.start;
+    add(block);
+    last = html.length;
+  }
+  addFreeform(html.length);
+
+  return blocks;
+}
+
+/**
+ * Get the visible text of a block (tags and block comments stripped)
+ * @param {Object} block - Parsed block
+ * @returns {string} Text, whitespace collapsed
+ */
+export function blockText(block) {
+  return block.raw
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Longest-common-subsequence alignment of two block lists by their serialization
+ * @param {Object[]} from - Blocks before
+ * @param {Object[]} to - Blocks after
+ * @returns {Object[]} { op: 'equal'|'removed'|'added', from, to } in document order
+ */
+function alignBlocks(from, to) {
+  const key = (block) => block.raw.trim();
+  const lengths = Array.from({ length: from.length + 1 }, () => new Array(to.length + 1).fill(0));
+
+  for (let i = from.length - 1; i >= 0; i--) {
+    for (let j = to.length - 1; j >= 0; j--) {
+      lengths[i][j] = key(from[i]) === key(to[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < from.length || j < to.length) {
+    if (i < from.length && j < to.length && key(from[i]) === key(to[j])) {
+      ops.push({ op: 'equal', from: i++, to: j++ });
+    } else if (j < to.length && (i === from.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      ops.push({ op: 'added', to: j++ });
+    } else {
+      ops.push({ op: 'removed', from: i++ });
+    }
+  }
+  return ops;
+}
+
+/**
+ * Compare block attributes
+ * @returns {Object} attribute -> { from, to }
+ */
+function attrChanges(from, to) {
+  const changes = {};
+  for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (JSON.stringify(from[key]) !== JSON.stringify(to[key])) {
+      changes[key] = { from: from[key] ?? null, to: to[key] ?? null };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Diff two block lists
+ * Blocks are aligned by their serialization; within each run of differing blocks,
+ * a removed and an added block of the same type are reported as one changed block
+ * (with attribute, text and inner block changes).
+ * @param {Object[]} from - Blocks before (e.g. remote)
+ * @param {Object[]} to - Blocks after (e.g. local)
+ * @returns {Object[]} { change: 'added'|'removed'|'changed', name, position, text, attrs, inner }
+ *   (position is 1-based: in `to` for added/changed blocks, in `from` for removed ones)
+ */
+export function diffBlocks(from, to) {
+  const changes = [];
+  const ops = alignBlocks(from, to);
+
+  for (let start = 0; start < ops.length;) {
+    if (ops[start].op === 'equal') {
+      start++;
+      continue;
+    }
+
+    // Run of non-equal operations between two equal blocks
+    let end = start;
+    while (end < ops.length && ops[end].op !== 'equal') end++;
+    const removed = ops.slice(start, end).filter((op) => op.op === 'removed').map((op) => op.from);
+    const added = ops.slice(start, end).filter((op) => op.op === 'added').map((op) => op.to);
+
+    for (const toIndex of added) {
+      const after = to[toIndex];
+      const pairIndex = removed.findIndex((fromIndex) => from[fromIndex].name === after.name);
+      if (pairIndex === -1) {
+        changes.push({ change: 'added', name: after.name, position: toIndex + 1, text: blockText(after) });
+        continue;
+      }
+
+      // Container blocks report their inner changes instead of their combined text
+      const before = from[removed.splice(pairIndex, 1)[0]];
+      const inner = before.inner.length > 0 || after.inner.length > 0 ? diffBlocks(before.inner, after.inner) : [];
+      const textFrom = blockText(before);
+      const textTo = blockText(after);
+      changes.push({
+        change: 'changed',
+        name: after.name,
+        position: toIndex + 1,
+        attrs: attrChanges(before.attrs, after.attrs),
+        text: textFrom !== textTo && inner.length === 0 ? { from: textFrom, to: textTo } : null,
+        inner,
+      });
+    }
+
+    for (const fromIndex of removed) {
+      changes.push({ change: 'removed', name: from[fromIndex].name, position: fromIndex + 1, text: blockText(from[fromIndex]) });
+    }
+
+    start = end;
+  }
+
+  return changes;
+}
+
+export default {
+  parseBlocks,
+  blockText,
+  diffBlocks,
+};
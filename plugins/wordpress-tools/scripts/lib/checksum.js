@@ -210,6 +210,52 @@ export function compareChecksums(exportChecksums, remoteChecksums) {
   };
 }
 
+/**
+ * Capture the remote state of a post for conflict detection
+ * Hashes the editable fields an editor might change in wp-admin
+ * (requires the item to be fetched with context=edit).
+ * @param {Object} item - Post data from the REST API
+ * @returns {Object} { modified_gmt, hash }
+ */
+export function captureRemoteState(item) {
+  const fields = {
+    title: item.title?.raw ?? item.title?.rendered ?? '',
+    content: item.content?.raw ?? item.content?.rendered ?? '',
+    excerpt: item.excerpt?.raw ?? item.excerpt?.rendered ?? '',
+    status: item.status,
+  };
+  return {
+    modified_gmt: item.modified_gmt,
+    hash: hashString(JSON.stringify(sortObjectKeys(fields))),
+  };
+}
+
+/**
+ * Check whether a remote post changed since the export (or last import)
+ * A different modified_gmt alone is not a conflict if the content hash still
+ * matches (e.g. the timestamp was bumped by a meta-only update).
+ * @param {Object} baseline - Remote state captured at export/import ({ modified_gmt, hash })
+ * @param {Object} remoteItem - Current post data from the REST API (context=edit)
+ * @returns {Object} { conflict, reason, remote }
+ */
+export function detectConflict(baseline, remoteItem) {
+  const remote = captureRemoteState(remoteItem);
+
+  if (!baseline?.modified_gmt) {
+    return { conflict: false, reason: 'no-baseline', remote };
+  }
+
+  if (remote.modified_gmt === baseline.modified_gmt) {
+    return { conflict: false, reason: 'not-modified', remote };
+  }
+
+  if (baseline.hash && remote.hash === baseline.hash) {
+    return { conflict: false, reason: 'content-match', remote };
+  }
+
+  return { conflict: true, reason: 'remote-modified', remote };
+}
+
 export default {
   hashString,
   hashFile,
@@ -218,4 +264,6 @@ export default {
   saveChecksums,
   loadChecksums,
   compareChecksums,
+  captureRemoteState,
+  detectConflict,
 };
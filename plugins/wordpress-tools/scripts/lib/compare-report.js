@@ -0,0 +1,157 @@
+/**
+ * Labels of the item and plugin states of a site comparison
+ */
+const STATE_LABELS = {
+  changed: 'changed',
+  version: 'version differs',
+  'from-only': 'only on first site',
+  'to-only': 'only on second site',
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a compared value (JSON, unset values marked)
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '<span class="unset">(not set)</span>';
+  }
+  return escapeHtml(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+/**
+ * Render a table of { key: { from, to } } changes
+ */
+function changeTable(changes) {
+  const rows = Object.entries(changes).map(([key, { from, to }]) => `
+        <tr><th>${escapeHtml(key)}</th><td class="from">${formatValue(from)}</td><td class="to">${formatValue(to)}</td></tr>`);
+  return `<table class="changes">${rows.join('')}
+      </table>`;
+}
+
+/**
+ * Render block changes as a nested list
+ */
+function blockList(changes) {
+  const items = changes.map((change) => {
+    if (change.change !== 'changed') {
+      const sign = change.change === 'added' ? '+' : '-';
+      return `<li class="${change.change}">${sign} #${change.position} ${escapeHtml(change.name)} <span class="text">${escapeHtml(change.text || '')}</span></li>`;
+    }
+    const details = [];
+    if (Object.keys(change.attrs).length > 0) details.push(changeTable(change.attrs));
+    if (change.text) details.push(changeTable({ text: change.text }));
+    if (change.inner.length > 0) details.push(blockList(change.inner));
+    return `<li class="changed">~ #${change.position} ${escapeHtml(change.name)}${details.join('')}</li>`;
+  });
+  return `<ul class="blocks">${items.join('')}</ul>`;
+}
+
+/**
+ * Render one compared item
+ */
+function itemSection(type, item) {
+  const ids = [item.fromId ? `ID ${item.fromId}` : '-', item.toId ? `ID ${item.toId}` : '-'].join(' → ');
+  const heading = `<span class="state ${item.state}">${STATE_LABELS[item.state]}</span> ${escapeHtml(`${type}/${item.slug}`)} <span class="ids">${ids}</span>`;
+  if (item.state !== 'changed') {
+    return `<div class="item">${heading}</div>`;
+  }
+
+  const parts = [];
+  if (Object.keys(item.fields).length > 0) parts.push(`<h4>Fields</h4>${changeTable(item.fields)}`);
+  if (Object.keys(item.seo).length > 0) parts.push(`<h4>SEO meta</h4>${changeTable(item.seo)}`);
+  if (item.blocks.length > 0) parts.push(`<h4>Blocks</h4>${blockList(item.blocks)}`);
+  return `<details class="item"><summary>${heading}</summary>${parts.join('')}</details>`;
+}
+
+/**
+ * Render a site comparison report as a standalone HTML page
+ * @param {Object} report - Report data (see wp-compare.js)
+ * @returns {string} HTML document
+ */
+export function renderHtmlReport(report) {
+  const { from, to, summary } = report;
+
+  const pluginRows = report.plugins.map((plugin) => `
+      <tr><th>${escapeHtml(plugin.name)} <span class="ids">${escapeHtml(plugin.slug)}</span></th>
+        <td><span class="state ${plugin.state}">${STATE_LABELS[plugin.state]}</span></td>
+        <td class="from">${formatValue(plugin.from)}</td><td class="to">${formatValue(plugin.to)}</td></tr>`);
+
+  const optionSections = report.options.map((group) => `
+    <h3>${escapeHtml(group.name)} <span class="ids">${escapeHtml(group.slug)}</span></h3>
+    ${changeTable(group.changes)}`);
+
+  const contentSections = report.content.map((type) => `
+    <h3>${escapeHtml(type.name)} <span class="ids">${type.unchanged} unchanged</span></h3>
+    ${type.items.map((item) => itemSection(type.type, item)).join('\n    ') || '<p class="none">No differences</p>'}`);
+
+  const typeNotes = [
+    ...report.types.fromOnly.map((type) => `<li>${escapeHtml(type)}: only on ${escapeHtml(from.url)}</li>`),
+    ...report.types.toOnly.map((type) => `<li>${escapeHtml(type)}: only on ${escapeHtml(to.url)}</li>`),
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Site comparison: ${escapeHtml(from.url)} → ${escapeHtml(to.url)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 1100px; color: #1e1e1e; }
+    h1 { font-size: 1.5rem; } h2 { border-bottom: 1px solid #ddd; padding-bottom: .25rem; margin-top: 2rem; }
+    table { border-collapse: collapse; width: 100%; margin: .5rem 0; font-size: .9rem; }
+    th, td { border: 1px solid #e0e0e0; padding: .3rem .5rem; text-align: left; vertical-align: top; word-break: break-word; }
+    th { width: 22%; font-weight: 600; background: #fafafa; }
+    .from { background: #fff0f0; } .to { background: #f0fff4; }
+    .unset, .ids, .none, .text { color: #757575; font-weight: normal; }
+    .state { display: inline-block; min-width: 9rem; font-size: .8rem; padding: .1rem .4rem; border-radius: 3px; background: #eee; }
+    .state.changed, .state.version { background: #fff4ce; } .state.from-only { background: #fde2e2; } .state.to-only { background: #dff5e3; }
+    .item { margin: .4rem 0; } details.item summary { cursor: pointer; }
+    details.item > :not(summary) { margin-left: 1.5rem; }
+    ul.blocks { list-style: none; padding-left: 1rem; font-family: monospace; }
+    li.added { color: #1a7f37; } li.removed { color: #cf222e; }
+  </style>
+</head>
+<body>
+  <h1>Site comparison</h1>
+  <table>
+    <tr><th>First site</th><td class="from">${escapeHtml(from.url)}</td></tr>
+    <tr><th>Second site</th><td class="to">${escapeHtml(to.url)}</td></tr>
+    <tr><th>Statuses</th><td>${escapeHtml(report.status)}</td></tr>
+    <tr><th>Generated</th><td>${escapeHtml(report.generated)}</td></tr>
+  </table>
+  <table>
+    <tr><th>Content</th><td>${summary.changed} changed, ${summary.fromOnly} only on first site, ${summary.toOnly} only on second site, ${summary.unchanged} unchanged</td></tr>
+    <tr><th>Plugins</th><td>${summary.plugins} difference(s)</td></tr>
+    <tr><th>Plugin options</th><td>${summary.options} option(s) differ</td></tr>
+  </table>
+
+  <h2>Plugins</h2>
+  ${pluginRows.length > 0 ? `<table>${pluginRows.join('')}
+  </table>` : '<p class="none">Same active plugins and versions</p>'}
+
+  <h2>Plugin options</h2>
+  ${optionSections.join('') || '<p class="none">No differences</p>'}
+
+  <h2>Content</h2>
+  ${typeNotes.length > 0 ? `<ul>${typeNotes.join('')}</ul>` : ''}
+  ${contentSections.join('')}
+</body>
+</html>
+`;
+}
+
+export default {
+  renderHtmlReport,
+};
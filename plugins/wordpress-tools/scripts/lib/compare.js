@@ -0,0 +1,180 @@
+import { ITEM_FIELDS, rawValue, sameValue, diffFields } from './diff.js';
+import { parseBlocks, diffBlocks } from './blocks.js';
+import { toTermRefs } from './taxonomies.js';
+import { isEmpty, groupOptionsByPlugin } from './plugins.js';
+
+/**
+ * Meta key prefixes of the common SEO plugins (Rank Math, Yoast, AIOSEO, SEOPress, The SEO Framework)
+ */
+export const SEO_META_PREFIXES = ['rank_math_', '_yoast_wpseo_', '_aioseo_', '_seopress_', '_genesis_'];
+
+/**
+ * Describe value changes between two key/value sets (keys of both sides, empty values count as unset)
+ * @param {Object} from - Values on the first site
+ * @param {Object} to - Values on the second site
+ * @returns {Object} key -> { from, to }
+ */
+function diffValues(from, to) {
+  const changes = {};
+  for (const key of [...new Set([...Object.keys(from), ...Object.keys(to)])].sort()) {
+    const a = isEmpty(from[key]) ? null : from[key];
+    const b = isEmpty(to[key]) ? null : to[key];
+    if (!sameValue(a, b)) changes[key] = { from: a, to: b };
+  }
+  return changes;
+}
+
+/**
+ * Pick the SEO plugin meta of an item
+ * @param {Object} item - Remote item (context=edit)
+ * @returns {Object} SEO meta by key
+ */
+function seoMeta(item) {
+  const meta = item.all_meta || item.meta || {};
+  return Object.fromEntries(
+    Object.entries(meta).filter(([key]) => SEO_META_PREFIXES.some((prefix) => key.startsWith(prefix)))
+  );
+}
+
+/**
+ * Shape a remote item like metadata.json, so diffFields() can compare it with another site's item
+ * @param {Object} item - Remote item (context=edit)
+ * @param {string[]} taxonomyFields - Taxonomy REST bases of the post type
+ * @param {Map} termIndex - Terms of the item's site: taxonomy REST base -> Map(id -> term)
+ * @returns {Object} Metadata (terms as portable references)
+ */
+function toMetadata(item, taxonomyFields, termIndex) {
+  const metadata = {};
+  for (const field of ITEM_FIELDS) {
+    if (field in item) metadata[field] = rawValue(item[field]);
+  }
+  if (item.featured_media) {
+    metadata.featured_media = { id: item.featured_media };
+  }
+  for (const field of taxonomyFields) {
+    if (Array.isArray(item[field])) metadata[field] = toTermRefs(item[field], termIndex.get(field));
+  }
+  return metadata;
+}
+
+/**
+ * Make links to a site root-relative, so content of two sites compares
+ * (also rewrites the JSON-escaped form used in block attributes)
+ * @param {string} content - Post content
+ * @param {string} siteUrl - Site URL (no trailing slash)
+ * @returns {string} Content
+ */
+function withoutSiteUrl(content, siteUrl) {
+  return content.split(siteUrl).join('').split(siteUrl.replace(/\//g, '\\/')).join('');
+}
+
+/**
+ * Compare the items of a post type on two sites, matched by slug
+ * Items without a slug (drafts never saved with a title) cannot be matched: each is listed as
+ * only on its site, named id-<id> like its export folder.
+ * @param {Object[]} fromItems - Items of the first site (context=edit)
+ * @param {Object[]} toItems - Items of the second site (context=edit)
+ * @param {Object} options - Comparison options
+ * @param {string[]} options.taxonomyFields - Taxonomy REST bases of the post type
+ * @param {Object} options.from - First site: { url, termIndex }
+ * @param {Object} options.to - Second site: { url, termIndex }
+ * @returns {Object} { items: [{ slug, state, fromId, toId, fields, seo, blocks }], unchanged }
+ *   (state: 'changed', 'from-only' or 'to-only'; changes read first site -> second site)
+ */
+export function compareContent(fromItems, toItems, { taxonomyFields = [], from, to }) {
+  const toBySlug = new Map(toItems.filter((item) => item.slug).map((item) => [item.slug, item]));
+  const fromSlugs = new Set(fromItems.map((item) => item.slug).filter(Boolean));
+  const items = [];
+  let unchanged = 0;
+
+  for (const fromItem of fromItems) {
+    const toItem = fromItem.slug ? toBySlug.get(fromItem.slug) : null;
+    if (!toItem) {
+      items.push({ slug: fromItem.slug || `id-${fromItem.id}`, state: 'from-only', fromId: fromItem.id, toId: null });
+      continue;
+    }
+
+    const fields = diffFields(toMetadata(toItem, taxonomyFields, to.termIndex), fromItem, {
+      taxonomyFields,
+      termIndex: from.termIndex,
+    });
+    const seo = diffValues(seoMeta(fromItem), seoMeta(toItem));
+    const blocks = diffBlocks(
+      parseBlocks(withoutSiteUrl(rawValue(fromItem.content) ?? '', from.url)),
+      parseBlocks(withoutSiteUrl(rawValue(toItem.content) ?? '', to.url))
+    );
+
+    if (Object.keys(fields).length === 0 && Object.keys(seo).length === 0 && blocks.length === 0) {
+      unchanged++;
+      continue;
+    }
+    items.push({ slug: fromItem.slug, state: 'changed', fromId: fromItem.id, toId: toItem.id, fields, seo, blocks });
+  }
+
+  for (const toItem of toItems) {
+    if (!toItem.slug || !fromSlugs.has(toItem.slug)) {
+      items.push({ slug: toItem.slug || `id-${toItem.id}`, state: 'to-only', fromId: null, toId: toItem.id });
+    }
+  }
+
+  return { items, unchanged };
+}
+
+/**
+ * Compare the active plugins of two sites by slug
+ * @param {Object[]} fromPlugins - Plugins of the first site (fetchInstalledPlugins)
+ * @param {Object[]} toPlugins - Plugins of the second site
+ * @returns {Object[]} { slug, name, state: 'from-only'|'to-only'|'version', from, to } (versions)
+ */
+export function comparePlugins(fromPlugins, toPlugins) {
+  const fromBySlug = new Map(fromPlugins.map((plugin) => [plugin.slug, plugin]));
+  const toBySlug = new Map(toPlugins.map((plugin) => [plugin.slug, plugin]));
+  const changes = [];
+
+  for (const slug of [...new Set([...fromBySlug.keys(), ...toBySlug.keys()])].sort()) {
+    const a = fromBySlug.get(slug);
+    const b = toBySlug.get(slug);
+    const name = (a || b).name;
+    if (!b) {
+      changes.push({ slug, name, state: 'from-only', from: a.version ?? null, to: null });
+    } else if (!a) {
+      changes.push({ slug, name, state: 'to-only', from: null, to: b.version ?? null });
+    } else if (a.version && b.version && a.version !== b.version) {
+      changes.push({ slug, name, state: 'version', from: a.version, to: b.version });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compare the options of two sites, grouped by plugin (groupOptionsByPlugin)
+ * Options are grouped with the plugins of both sites, so a plugin active on one site only
+ * still gets its options of the other site.
+ * @param {Object} fromOptions - Options of the first site (/settings)
+ * @param {Object} toOptions - Options of the second site
+ * @param {Object[]} plugins - Plugins of both sites
+ * @returns {Object[]} { slug, name, changes: { option: { from, to } } } of plugins with changes
+ */
+export function compareOptions(fromOptions, toOptions, plugins) {
+  const bySlug = new Map(plugins.map((plugin) => [plugin.slug, plugin]));
+  const fromGroups = groupOptionsByPlugin(fromOptions, [...bySlug.values()]);
+  const toGroups = groupOptionsByPlugin(toOptions, [...bySlug.values()]);
+  const result = [];
+
+  for (const slug of [...new Set([...fromGroups.keys(), ...toGroups.keys()])].sort()) {
+    const changes = diffValues(fromGroups.get(slug)?.options || {}, toGroups.get(slug)?.options || {});
+    if (Object.keys(changes).length > 0) {
+      result.push({ slug, name: bySlug.get(slug).name, changes });
+    }
+  }
+
+  return result;
+}
+
+export default {
+  SEO_META_PREFIXES,
+  compareContent,
+  comparePlugins,
+  compareOptions,
+};
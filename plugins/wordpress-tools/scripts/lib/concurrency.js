@@ -0,0 +1,33 @@
+/**
+ * Yield results of an async function over a list of inputs, in input order,
+ * keeping up to `limit` calls in flight ahead of the consumer
+ * Results are handed out as soon as they are next in line, so callers never
+ * hold more than `limit` results in memory.
+ * @param {Array} inputs - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function (input, index) => result
+ * @returns {AsyncGenerator} Results in input order
+ */
+export async function* prefetchInOrder(inputs, limit, fn) {
+  const window = [];
+  let next = 0;
+
+  const schedule = () => {
+    while (next < inputs.length && window.length < Math.max(1, limit)) {
+      const index = next++;
+      const promise = fn(inputs[index], index);
+      // Rejections are re-thrown when the promise is awaited below
+      promise.catch(() => {});
+      window.push(promise);
+    }
+  };
+
+  schedule();
+  while (window.length > 0) {
+    const result = await window.shift();
+    schedule();
+    yield result;
+  }
+}
+
+export default { prefetchInOrder };
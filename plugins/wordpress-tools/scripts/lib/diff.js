@@ -0,0 +1,130 @@
+import fs from 'fs-extra';
+import { join } from 'path';
+import { listFiles } from './file-utils.js';
+
+/**
+ * metadata.json fields compared with the remote item as-is
+ */
+export const ITEM_FIELDS = ['title', 'slug', 'status', 'excerpt', 'template', 'menu_order', 'format', 'sticky'];
+
+/**
+ * Fields holding site-specific IDs, only comparable when the export comes from the same site
+ */
+const ID_FIELDS = ['author', 'parent'];
+
+/**
+ * Files in a content folder that do not hold post meta
+ */
+const NON_META_FILES = ['metadata.json', 'media-mapping.json', 'checksums.json'];
+
+/**
+ * Read the raw value of a REST field ({ raw, rendered } objects for rich text)
+ * @param {*} value - Field value
+ * @returns {*} Raw value
+ */
+export function rawValue(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return value.raw ?? value.rendered ?? '';
+  }
+  return value;
+}
+
+/**
+ * Compare two values after JSON normalization
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+export function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Describe metadata.json field changes between a remote item and the local export
+ * Taxonomy terms are compared by slug, so exports from another site compare too.
+ * @param {Object} metadata - Local metadata.json
+ * @param {Object} remoteItem - Remote item (context=edit)
+ * @param {Object} options - Comparison options
+ * @param {string[]} options.taxonomyFields - Taxonomy REST bases of the post type
+ * @param {Map} options.termIndex - Remote terms: taxonomy REST base -> Map(id -> term)
+ * @param {boolean} options.sameSite - Whether the export comes from this site
+ * @returns {Object} field -> { from, to } (remote -> local)
+ */
+export function diffFields(metadata, remoteItem, { taxonomyFields = [], termIndex = new Map(), sameSite = false } = {}) {
+  const changes = {};
+  const compare = (field, from, to) => {
+    if (!sameValue(from, to)) changes[field] = { from: from ?? null, to: to ?? null };
+  };
+
+  for (const field of ITEM_FIELDS) {
+    if (field in metadata) compare(field, rawValue(remoteItem[field]), metadata[field]);
+  }
+
+  if (sameSite) {
+    for (const field of ID_FIELDS) {
+      if (field in metadata) compare(field, remoteItem[field], metadata[field]);
+    }
+  }
+
+  // Featured image: by attachment ID on the same site, by presence otherwise
+  const featured = metadata.featured_media;
+  if (sameSite) {
+    compare('featured_media', remoteItem.featured_media || null, featured?.id || null);
+  } else if (Boolean(featured?.id) !== Boolean(remoteItem.featured_media)) {
+    compare('featured_media', remoteItem.featured_media || null, featured?.file || featured?.id || null);
+  }
+
+  for (const field of taxonomyFields) {
+    if (!Array.isArray(metadata[field])) continue;
+    const termsById = termIndex.get(field);
+    const from = (remoteItem[field] || []).map((id) => termsById?.get(id)?.slug ?? `#${id}`).sort();
+    const to = metadata[field].map((ref) => (typeof ref === 'object' ? ref.slug : `#${ref}`)).sort();
+    compare(field, from, to);
+  }
+
+  return changes;
+}
+
+/**
+ * Read the meta files of a content folder ({plugin}.json and meta.json)
+ * @param {string} contentDir - Content folder
+ * @returns {Promise<Object[]>} { file, meta }
+ */
+export async function readMetaFiles(contentDir) {
+  const groups = [];
+  for (const file of await listFiles(contentDir, '.json')) {
+    if (NON_META_FILES.includes(file)) continue;
+    groups.push({ file, meta: await fs.readJson(join(contentDir, file)) });
+  }
+  return groups;
+}
+
+/**
+ * Describe meta key changes per meta file between a remote item and the local export
+ * Only keys present locally are compared: imports set them, and leave other remote meta alone.
+ * @param {Object[]} groups - Local meta files ({ file, meta })
+ * @param {Object} remoteMeta - Remote meta (all_meta or meta)
+ * @returns {Object[]} { file, changes: { key: { from, to } } } of files with changes
+ */
+export function diffMeta(groups, remoteMeta = {}) {
+  const result = [];
+  for (const { file, meta } of groups) {
+    const changes = {};
+    for (const [key, value] of Object.entries(meta)) {
+      if (!sameValue(remoteMeta[key], value)) {
+        changes[key] = { from: remoteMeta[key] ?? null, to: value };
+      }
+    }
+    if (Object.keys(changes).length > 0) result.push({ file, changes });
+  }
+  return result;
+}
+
+export default {
+  ITEM_FIELDS,
+  rawValue,
+  sameValue,
+  diffFields,
+  readMetaFiles,
+  diffMeta,
+};
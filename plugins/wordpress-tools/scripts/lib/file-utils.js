@@ -105,9 +105,9 @@ export function safeDirName(slug) {
 }
 
 /**
- * Get content directory path for a post/page
+ * Get content directory path for a post/page/custom post type item
  * @param {string} baseDir - Base export directory
- * @param {string} type - Content type ('posts' or 'pages')
+ * @param {string} type - Post type REST base ('posts', 'pages', or a custom type)
  * @param {string} slug - Content slug
  * @returns {string} Full directory path
  */
@@ -0,0 +1,242 @@
+/**
+ * Block attributes holding attachment IDs, per block name
+ * (core blocks are serialized without the "core/" namespace)
+ */
+const MEDIA_BLOCK_ATTRS = {
+  image: ['id'],
+  cover: ['id'],
+  video: ['id'],
+  audio: ['id'],
+  file: ['id'],
+  'media-text': ['mediaId'],
+  gallery: ['ids'],
+};
+
+/**
+ * Source-to-target ID maps for an import
+ * Everything site-specific in an export is an ID (post parents, featured images,
+ * authors, terms, attachment IDs inside block markup). While importing, each
+ * object that is matched or created on the target is recorded here so later
+ * references can be rewritten. When source and target are the same site,
+ * IDs without a recorded mapping map to themselves.
+ */
+export class IdMap {
+  /**
+   * @param {Object} options - Map options
+   * @param {boolean} options.identity - Source and target are the same site; IDs map to themselves
+   */
+  constructor({ identity = false } = {}) {
+    this.identity = identity;
+    this.maps = {
+      posts: new Map(), // Any post type (post IDs are shared across types)
+      media: new Map(),
+      terms: new Map(), // Any taxonomy (term IDs are shared across taxonomies)
+      users: new Map(),
+    };
+    this.unmapped = { posts: 0, media: 0, terms: 0, users: 0 };
+    this.deferred = [];
+  }
+
+  /**
+   * Record a source ID -> target ID mapping
+   * @param {string} kind - 'posts', 'media', 'terms', or 'users'
+   * @param {number} sourceId - ID on the source site
+   * @param {number} targetId - ID on the target site
+   */
+  set(kind, sourceId, targetId) {
+    if (sourceId && targetId) {
+      this.maps[kind].set(Number(sourceId), Number(targetId));
+    }
+  }
+
+  /**
+   * Look up the target ID for a source ID
+   * @param {string} kind - 'posts', 'media', 'terms', or 'users'
+   * @param {number} sourceId - ID on the source site
+   * @returns {number|null} Target ID, or null if not (yet) mapped
+   */
+  get(kind, sourceId) {
+    if (!sourceId) return null;
+    const targetId = this.maps[kind].get(Number(sourceId));
+    if (targetId !== undefined) return targetId;
+    return this.identity ? Number(sourceId) : null;
+  }
+
+  /**
+   * Look up a target ID, counting the reference as unmapped if missing
+   * @param {string} kind - 'posts', 'media', 'terms', or 'users'
+   * @param {number} sourceId - ID on the source site
+   * @returns {number|null} Target ID or null
+   */
+  resolve(kind, sourceId) {
+    const targetId = this.get(kind, sourceId);
+    if (sourceId && targetId === null) {
+      this.unmapped[kind]++;
+    }
+    return targetId;
+  }
+
+  /**
+   * Defer applying a reference until the referenced object has been imported
+   * (e.g. a page whose parent is imported later)
+   * @param {string} kind - 'posts', 'media', 'terms', or 'users'
+   * @param {number} sourceId - ID on the source site
+   * @param {Function} apply - Async callback receiving the target ID
+   * @param {string} label - Description for reporting
+   */
+  defer(kind, sourceId, apply, label) {
+    this.deferred.push({ kind, sourceId, apply, label });
+  }
+
+  /**
+   * Apply all deferred references that can now be resolved
+   * @returns {Promise<{applied: number, unresolved: string[], failed: Array}>} Result
+   */
+  async applyDeferred() {
+    const result = { applied: 0, unresolved: [], failed: [] };
+
+    for (const { kind, sourceId, apply, label } of this.deferred) {
+      const targetId = this.resolve(kind, sourceId);
+      if (targetId === null) {
+        result.unresolved.push(label);
+        continue;
+      }
+      try {
+        await apply(targetId);
+        result.applied++;
+      } catch (error) {
+        result.failed.push({ label, error });
+      }
+    }
+
+    this.deferred = [];
+    return result;
+  }
+
+  /**
+   * Count recorded mappings per kind
+   * @returns {Object} { posts, media, terms, users }
+   */
+  counts() {
+    return Object.fromEntries(Object.entries(this.maps).map(([kind, map]) => [kind, map.size]));
+  }
+}
+
+/**
+ * Find attachment IDs of local images in exported content
+ * Pairs the `wp-image-<id>` class of each <img> with its ./media/ file.
+ * @param {string} content - Exported HTML content (with ./media/ paths)
+ * @returns {Map<number, string>} Source attachment ID -> local filename
+ */
+export function extractMediaIds(content) {
+  const result = new Map();
+  const imgRegex = /<img\b[^>]*>/gi;
+  let match;
+
+  while ((match = imgRegex.exec(content)) !== null) {
+    const tag = match[0];
+    const idMatch = tag.match(/\bwp-image-(\d+)\b/);
+    const srcMatch = tag.match(/\bsrc=["']\.?\/?media\/([^"']+)["']/i);
+    if (idMatch && srcMatch) {
+      result.set(Number(idMatch[1]), srcMatch[1]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Rewrite attachment IDs in block comments and wp-image-<id> classes
+ * IDs without a mapping are IDs of attachments on another site (same-site imports map every ID
+ * to itself): they are removed, so blocks do not point at unrelated media, and reported.
+ * @param {string} content - HTML content
+ * @param {IdMap} ids - ID map
+ * @returns {{content: string, unmapped: number[]}} Rewritten content and unmapped source IDs
+ */
+export function rewriteContentIds(content, ids) {
+  const unmapped = new Set();
+
+  // An image carries its ID twice ("id" and wp-image-<id>): look up here, count once below
+  const map = (sourceId) => {
+    const targetId = ids.get('media', sourceId);
+    if (targetId === null) {
+      unmapped.add(Number(sourceId));
+    }
+    return targetId;
+  };
+
+  // Block comment attributes, e.g. <!-- wp:image {"id":123,"sizeSlug":"large"} -->
+  const blockRegex = /<!--\s+wp:(?:[a-z][a-z0-9_-]*\/)?([a-z][a-z0-9_-]*)\s+(\{[\s\S]*?\})\s+(\/)?-->/g;
+  let result = content.replace(blockRegex, (comment, blockName, attrs) => {
+    const keys = MEDIA_BLOCK_ATTRS[blockName];
+    if (!keys) return comment;
+
+    let rewritten = attrs;
+    for (const key of keys) {
+      rewritten = rewritten
+        .replace(new RegExp(`(,?)"${key}":(\\d+)(,?)`, 'g'), (attr, before, id, after) => {
+          const targetId = map(id);
+          if (targetId !== null) return `${before}"${key}":${targetId}${after}`;
+          return before && after ? ',' : ''; // Drop the attribute with one of its commas
+        })
+        .replace(new RegExp(`"${key}":\\[([\\d,\\s]*)\\]`, 'g'), (_, list) => {
+          const mapped = list.split(',').filter((id) => id.trim()).map((id) => map(id.trim()));
+          return `"${key}":[${mapped.filter((id) => id !== null).join(',')}]`;
+        });
+    }
+    return comment.replace(attrs, rewritten);
+  });
+
+  // Image classes, e.g. class="wp-image-123 size-large"
+  result = result.replace(/\bclass=(["'])([^"']*\bwp-image-\d+\b[^"']*)\1/g, (attr, quote, classes) => {
+    const rewritten = classes.split(/\s+/).filter(Boolean).map((name) => {
+      const idMatch = name.match(/^wp-image-(\d+)$/);
+      if (!idMatch) return name;
+      const targetId = map(idMatch[1]);
+      return targetId === null ? null : `wp-image-${targetId}`;
+    });
+    return `class=${quote}${rewritten.filter(Boolean).join(' ')}${quote}`;
+  });
+
+  ids.unmapped.media += unmapped.size;
+  return { content: result, unmapped: Array.from(unmapped) };
+}
+
+/**
+ * Map source authors to target users by slug
+ * @param {Object} client - WPApiClient instance
+ * @param {Object[]} authors - Source authors from the export manifest ({ id, slug, name })
+ * @param {IdMap} ids - ID map to record mappings in
+ * @returns {Promise<string[]>} Slugs of authors without a matching target user
+ */
+export async function mapAuthors(client, authors, ids) {
+  if (!authors?.length || ids.identity) return [];
+
+  let users = [];
+  try {
+    users = await client.fetchAll('/users', { context: 'edit' });
+  } catch {
+    // Without list_users only users with published posts are visible
+    users = await client.fetchAll('/users');
+  }
+
+  const bySlug = new Map(users.map((user) => [user.slug, user.id]));
+  const missing = [];
+
+  for (const author of authors) {
+    if (bySlug.has(author.slug)) {
+      ids.set('users', author.id, bySlug.get(author.slug));
+    } else {
+      missing.push(author.slug);
+    }
+  }
+
+  return missing;
+}
+
+export default {
+  IdMap,
+  extractMediaIds,
+  rewriteContentIds,
+  mapAuthors,
+};
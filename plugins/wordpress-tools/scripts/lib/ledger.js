@@ -0,0 +1,181 @@
+import fs from 'fs-extra';
+import { join } from 'path';
+import { writeJson } from './file-utils.js';
+
+/**
+ * Folder (inside the export directory) that holds the per-site ledgers
+ */
+export const LEDGER_DIR_NAME = '_ledger';
+
+/**
+ * Build the ledger file name for a site
+ * @param {string} siteUrl - Site URL
+ * @returns {string} File name (e.g. example.com.json, localhost-8080.json)
+ */
+export function ledgerFileName(siteUrl) {
+  const key = siteUrl
+    .replace(/^https?:\/\//, '')
+    .replace(/\/$/, '')
+    .replace(/[^a-z0-9.-]+/gi, '-');
+  return `${key}.json`;
+}
+
+/**
+ * Get the remote state an item was last synced at, to detect remote edits against
+ * Uses the ledger entry of the site; older exports keep it in checksums.json, or fall
+ * back to the exported modified_gmt when the export comes from the same site.
+ * @param {Object|null} synced - Ledger entry of the item (for the same remote ID)
+ * @param {Object|null} checksums - Saved checksums.json of the item
+ * @param {Object} metadata - Item metadata.json
+ * @param {string} siteUrl - Site URL
+ * @param {boolean} sameSite - Whether the export comes from this site
+ * @returns {Object|null} { modified_gmt, hash }
+ */
+export function remoteBaseline(synced, checksums, metadata, siteUrl, sameSite) {
+  if (synced?.modified_gmt) return { modified_gmt: synced.modified_gmt, hash: synced.hash };
+  const baseline = checksums?.remote?.[siteUrl];
+  if (baseline) return baseline;
+  return sameSite && metadata.modified_gmt ? { modified_gmt: metadata.modified_gmt } : null;
+}
+
+/**
+ * Local record of what is synced with one site
+ * Maps export folders ({rest_base}/{folder}) to remote post IDs, together with the
+ * checksums of the local files and the remote state (modified_gmt, content hash)
+ * at the last export or import. Keyed by folder, so a slug renamed locally or
+ * remotely still resolves to the same remote post.
+ */
+export class SyncLedger {
+  /**
+   * @param {string} filePath - Ledger file
+   * @param {Object} data - Ledger data (as written by save())
+   */
+  constructor(filePath, data = {}) {
+    this.filePath = filePath;
+    this.site = data.site || null;
+    this.entries = new Map(Object.entries(data.entries || {}));
+  }
+
+  /**
+   * Load the ledger of a site (empty if none exists yet)
+   * @param {string} baseDir - Export directory
+   * @param {string} siteUrl - Site URL
+   * @returns {Promise<SyncLedger>} Ledger
+   */
+  static async load(baseDir, siteUrl) {
+    const filePath = join(baseDir, LEDGER_DIR_NAME, ledgerFileName(siteUrl));
+    const data = (await fs.pathExists(filePath)) ? await fs.readJson(filePath) : {};
+    const ledger = new SyncLedger(filePath, data);
+    ledger.site = siteUrl;
+    return ledger;
+  }
+
+  /**
+   * Get the entry of a folder
+   * @param {string} type - Post type REST base
+   * @param {string} folder - Folder name
+   * @returns {Object|null} { id, slug, sourceId, checksums, modified_gmt, hash, synced }
+   */
+  get(type, folder) {
+    return this.entries.get(`${type}/${folder}`) || null;
+  }
+
+  /**
+   * Find the folder recorded for a remote post ID
+   * @param {number} id - Remote post ID
+   * @returns {Object|null} { type, folder, entry }
+   */
+  findById(id) {
+    return this.find((entry) => entry.id === id);
+  }
+
+  /**
+   * Find the folder recorded for a source post ID (metadata.json → id)
+   * @param {number} sourceId - Post ID on the export's source site
+   * @returns {Object|null} { type, folder, entry }
+   */
+  findBySourceId(sourceId) {
+    return sourceId ? this.find((entry) => entry.sourceId === sourceId) : null;
+  }
+
+  /**
+   * Find the first entry matching a predicate
+   * @param {Function} predicate - Called with each entry
+   * @returns {Object|null} { type, folder, entry }
+   */
+  find(predicate) {
+    for (const [key, entry] of this.entries) {
+      if (predicate(entry)) {
+        const [type, ...rest] = key.split('/');
+        return { type, folder: rest.join('/'), entry };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Record the synced state of a folder
+   * @param {string} type - Post type REST base
+   * @param {string} folder - Folder name
+   * @param {Object} entry - Entry fields
+   */
+  set(type, folder, entry) {
+    this.entries.set(`${type}/${folder}`, { ...entry, synced: new Date().toISOString() });
+  }
+
+  /**
+   * Move an entry to another folder (renamed or moved to another post type)
+   * @param {string} fromType - Previous post type REST base
+   * @param {string} fromFolder - Previous folder name
+   * @param {string} toType - New post type REST base
+   * @param {string} toFolder - New folder name
+   */
+  move(fromType, fromFolder, toType, toFolder) {
+    const entry = this.get(fromType, fromFolder);
+    if (!entry) return;
+    this.entries.delete(`${fromType}/${fromFolder}`);
+    this.entries.set(`${toType}/${toFolder}`, entry);
+  }
+
+  /**
+   * Remove the entry of a folder
+   * @param {string} type - Post type REST base
+   * @param {string} folder - Folder name
+   */
+  delete(type, folder) {
+    this.entries.delete(`${type}/${folder}`);
+  }
+
+  /**
+   * Remove entries whose folder no longer exists
+   * @param {string} baseDir - Export directory
+   * @param {string[]|null} types - Only prune entries of these post type REST bases
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async prune(baseDir, types = null) {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (types && !types.includes(key.split('/')[0])) continue;
+      if (!(await fs.pathExists(join(baseDir, key)))) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Write the ledger file
+   */
+  async save() {
+    const entries = Object.fromEntries([...this.entries].sort(([a], [b]) => a.localeCompare(b)));
+    await writeJson(this.filePath, { version: 1, site: this.site, updated: new Date().toISOString(), entries });
+  }
+}
+
+export default {
+  LEDGER_DIR_NAME,
+  ledgerFileName,
+  remoteBaseline,
+  SyncLedger,
+};
@@ -96,9 +96,10 @@ export function generateFilename(url) {
  * @param {string} url - Media URL
  * @param {string} destDir - Destination directory
  * @param {number} timeout - Download timeout in ms
+ * @param {Object} headers - Extra request headers (e.g. the HTTP Basic gate of the site)
  * @returns {Promise<{localPath: string, filename: string}>} Local file info
  */
-export async function downloadMedia(url, destDir, timeout = 30000) {
+export async function downloadMedia(url, destDir, timeout = 30000, headers = {}) {
   await fs.ensureDir(destDir);
 
   const filename = generateFilename(url);
@@ -114,6 +115,7 @@ export async function downloadMedia(url, destDir, timeout = 30000) {
       signal: AbortSignal.timeout(timeout),
       headers: {
         'User-Agent': 'WP-Content-Sync/1.0',
+        ...headers,
       },
     });
 
@@ -136,15 +138,16 @@ export async function downloadMedia(url, destDir, timeout = 30000) {
  * @param {string} destDir - Destination directory
  * @param {string} siteUrl - WordPress site URL
  * @param {Function} onProgress - Progress callback (url, success, error)
+ * @param {Function} headersFor - Returns extra request headers for a URL (e.g. client.downloadHeaders)
  * @returns {Promise<Map<string, string>>} URL to local filename mapping
  */
-export async function downloadAllMedia(content, destDir, siteUrl = null, onProgress = null) {
+export async function downloadAllMedia(content, destDir, siteUrl = null, onProgress = null, headersFor = null) {
   const urls = extractMediaUrls(content, siteUrl);
   const mapping = new Map();
 
   for (const url of urls) {
     try {
-      const { filename } = await downloadMedia(url, destDir);
+      const { filename } = await downloadMedia(url, destDir, 30000, headersFor ? headersFor(url) : {});
       mapping.set(url, filename);
       if (onProgress) onProgress(url, true);
     } catch (error) {
@@ -156,6 +159,40 @@ export async function downloadAllMedia(content, destDir, siteUrl = null, onProgr
   return mapping;
 }
 
+/**
+ * Download a post's featured image and collect its attachment details
+ * @param {Object} apiClient - WPApiClient instance
+ * @param {number} mediaId - Attachment ID (featured_media)
+ * @param {string} destDir - Destination directory
+ * @param {boolean} download - Whether to download the file (false records details only)
+ * @returns {Promise<Object|null>} Featured image record for metadata.json, or null if none
+ */
+export async function downloadFeaturedMedia(apiClient, mediaId, destDir, download = true) {
+  if (!mediaId) return null;
+
+  const { data: media } = await apiClient.request(`/media/${mediaId}?context=edit&_fields=id,source_url,title,alt_text,caption`);
+  const record = {
+    id: media.id,
+    file: null,
+    source_url: media.source_url,
+    title: media.title?.raw ?? media.title?.rendered ?? '',
+    alt_text: media.alt_text || '',
+    caption: media.caption?.raw ?? media.caption?.rendered ?? '',
+  };
+
+  if (download) {
+    const { filename } = await downloadMedia(
+      media.source_url,
+      destDir,
+      apiClient.timeout,
+      apiClient.downloadHeaders(media.source_url)
+    );
+    record.file = filename;
+  }
+
+  return record;
+}
+
 /**
  * Replace media URLs in content with local paths
  * @param {string} content - HTML content
@@ -195,40 +232,54 @@ export function restoreMediaUrls(content, mapping) {
 }
 
 /**
- * Upload all media files from a directory
- * @param {string} mediaDir - Directory containing media files
+ * Upload a single media file, reusing an existing attachment with the same filename
+ * @param {string} filePath - Local file path
  * @param {Object} apiClient - WPApiClient instance
- * @param {Function} onProgress - Progress callback (filename, success, error, skipped)
- * @returns {Promise<Map<string, string>>} Local filename to WordPress URL mapping
+ * @param {Object} metadata - Attachment fields applied on upload (title, alt_text, caption)
+ * @returns {Promise<{media: Object, reused: boolean}>} WordPress media data
  */
-export async function uploadAllMedia(mediaDir, apiClient, onProgress = null) {
-  const mapping = new Map();
+export async function uploadMediaFile(filePath, apiClient, metadata = {}) {
+  const existingMedia = await apiClient.getMediaByFilename(basename(filePath));
+  if (existingMedia) {
+    return { media: existingMedia, reused: true };
+  }
+
+  const media = await apiClient.uploadMedia(filePath, metadata);
+  return { media, reused: false };
+}
 
+/**
+ * List the uploadable media files in a directory
+ * @param {string} mediaDir - Directory containing media files
+ * @returns {Promise<string[]>} File names
+ */
+export async function listMediaFiles(mediaDir) {
   if (!(await fs.pathExists(mediaDir))) {
-    return mapping;
+    return [];
   }
 
   const files = await fs.readdir(mediaDir);
-  const mediaFiles = files.filter((f) => /\.(jpg|jpeg|png|gif|webp|svg|pdf)$/i.test(f));
+  return files.filter((f) => /\.(jpg|jpeg|png|gif|webp|svg|pdf)$/i.test(f));
+}
 
-  for (const filename of mediaFiles) {
+/**
+ * Upload all media files from a directory
+ * @param {string} mediaDir - Directory containing media files
+ * @param {Object} apiClient - WPApiClient instance
+ * @param {Function} onProgress - Progress callback (filename, success, error, skipped, media)
+ * @returns {Promise<Map<string, string>>} Local filename to WordPress URL mapping
+ */
+export async function uploadAllMedia(mediaDir, apiClient, onProgress = null) {
+  const mapping = new Map();
+
+  for (const filename of await listMediaFiles(mediaDir)) {
     const filePath = join(mediaDir, filename);
 
     try {
-      // Check if media already exists in WordPress
-      const existingMedia = await apiClient.getMediaByFilename(filename);
-
-      if (existingMedia) {
-        // Use existing media URL instead of uploading duplicate
-        mapping.set(filename, existingMedia.source_url);
-        if (onProgress) onProgress(filename, true, null, true);
-        continue;
-      }
-
-      // Upload new media
-      const media = await apiClient.uploadMedia(filePath);
+      // Reuse existing media instead of uploading a duplicate
+      const { media, reused } = await uploadMediaFile(filePath, apiClient);
       mapping.set(filename, media.source_url);
-      if (onProgress) onProgress(filename, true);
+      if (onProgress) onProgress(filename, true, null, reused, media);
     } catch (error) {
       if (onProgress) onProgress(filename, false, error.message);
       // Continue with other uploads
@@ -266,8 +317,11 @@ export default {
   generateFilename,
   downloadMedia,
   downloadAllMedia,
+  downloadFeaturedMedia,
   replaceMediaUrls,
   restoreMediaUrls,
+  uploadMediaFile,
+  listMediaFiles,
   uploadAllMedia,
   saveMediaMapping,
   loadMediaMapping,
@@ -0,0 +1,53 @@
+import { join } from 'path';
+import { readJson, jsonExists, safeDirName } from './file-utils.js';
+
+/**
+ * Index the export folders of a post type by what identifies their remote items
+ * @param {string} importDir - Export directory
+ * @param {string} type - Post type REST base
+ * @param {string[]} folders - Folder names
+ * @returns {Promise<Object>} { folders, slugs, ids } (slugs and IDs from each folder's metadata.json)
+ */
+export async function indexLocalItems(importDir, type, folders) {
+  const index = { folders: new Set(folders), slugs: new Set(), ids: new Set() };
+
+  for (const folder of folders) {
+    const metadataPath = join(importDir, type, folder, 'metadata.json');
+    if (!(await jsonExists(metadataPath))) continue;
+
+    const metadata = await readJson(metadataPath);
+    if (metadata.slug) index.slugs.add(metadata.slug);
+    if (metadata.id) index.ids.add(metadata.id);
+  }
+
+  return index;
+}
+
+/**
+ * Check whether a remote item has a folder in the export (items without one are trashed in mirror mode)
+ * Folder names are not slugs: the export lowercases them, replaces `_` and percent-encoded
+ * characters, and names slugless drafts `id-<id>`. So items are matched by the slug in
+ * metadata.json, by the folder name the export gives them, by the ledger, and on the site the
+ * export comes from, by the ID in metadata.json.
+ * @param {Object} item - Remote item ({ id, slug })
+ * @param {Object} index - Index of the export folders (see indexLocalItems)
+ * @param {Object} options - Match options
+ * @param {string} options.type - Post type REST base
+ * @param {Object|null} options.ledger - SyncLedger of the site
+ * @param {boolean} options.sameSite - Whether the export comes from this site (metadata IDs are its IDs)
+ * @returns {boolean} True if the item has a folder
+ */
+export function hasLocalFolder(item, index, { type, ledger = null, sameSite = false }) {
+  if (item.slug && index.slugs.has(item.slug)) return true;
+  if (index.folders.has(safeDirName(item.slug || `id-${item.id}`))) return true;
+  if (sameSite && index.ids.has(item.id)) return true;
+
+  // Items whose rename was not pushed (failed, skipped) still have a folder under the new slug
+  const known = ledger?.findById(item.id);
+  return known?.type === type && index.folders.has(known.folder);
+}
+
+export default {
+  indexLocalItems,
+  hasLocalFolder,
+};
@@ -0,0 +1,246 @@
+import fs from 'fs-extra';
+import { captureRemoteState, generateChecksums } from './checksum.js';
+import { getContentDir } from './file-utils.js';
+import { rawValue, sameValue } from './diff.js';
+import { WPApiError } from './api-error.js';
+
+/**
+ * Plan file format version
+ */
+export const PLAN_VERSION = 1;
+
+/**
+ * Post fields compared value by value (rich-text fields use their raw value)
+ */
+const PLAN_FIELDS = ['title', 'status', 'slug', 'excerpt', 'template', 'author', 'featured_media', 'parent', 'menu_order', 'format', 'sticky'];
+
+/**
+ * Get a remote item by ID (context=edit), or null if it no longer exists
+ * @throws {WPApiError} On other errors (e.g. missing capability), which must not read as deletions
+ */
+async function findRemoteItem(client, type, id) {
+  try {
+    return await client.getItem(type, id, { context: 'edit' });
+  } catch (error) {
+    if (error instanceof WPApiError && error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Describe field-level changes between the data an import will send and the remote item
+ * @param {Object} itemData - Data the import sends to the REST API
+ * @param {Object|null} remoteItem - Current remote item (context=edit), or null when creating
+ * @param {Object} options - Comparison options
+ * @param {string[]} options.taxonomyFields - Taxonomy REST bases of the post type
+ * @param {string} options.remoteContent - Remote content with media URLs mapped to ./media/ paths
+ * @param {Object} options.meta - Meta the import writes
+ * @returns {Object} field -> { from, to }; content -> { changed }; meta -> changed keys
+ */
+export function fieldChanges(itemData, remoteItem, { taxonomyFields = [], remoteContent = null, meta = {} } = {}) {
+  const changes = {};
+  const remote = remoteItem || {};
+
+  for (const field of PLAN_FIELDS) {
+    if (!(field in itemData)) continue;
+    const from = rawValue(remote[field]);
+    if (!sameValue(from, itemData[field])) {
+      changes[field] = { from: from ?? null, to: itemData[field] };
+    }
+  }
+
+  for (const field of taxonomyFields) {
+    if (!(field in itemData)) continue;
+    const from = [...(remote[field] || [])].sort((a, b) => a - b);
+    const to = [...itemData[field]].sort((a, b) => a - b);
+    if (!sameValue(from, to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  const content = remoteContent ?? rawValue(remote.content) ?? '';
+  if (content !== itemData.content) {
+    changes.content = { changed: true };
+  }
+
+  const remoteMeta = remote.all_meta || remote.meta || {};
+  const changedMeta = Object.keys(meta).filter((key) => !sameValue(remoteMeta[key], meta[key]));
+  if (changedMeta.length > 0) {
+    changes.meta = changedMeta;
+  }
+
+  return changes;
+}
+
+/**
+ * A reviewable import plan
+ * Records what an import would do and the remote/local state it was planned
+ * against, so apply can refuse when either side changed since planning.
+ */
+export class ImportPlan {
+  /**
+   * @param {Object} data - Plan data (as written by save())
+   */
+  constructor(data) {
+    this.data = {
+      version: PLAN_VERSION,
+      created: new Date().toISOString(),
+      items: [], // { type, slug, action, id, local, remote, changedFiles, changedMedia, changes, media }
+      trash: [], // { type, slug, id, remote }
+      plugins: [], // { plugin, name, options: { key: { from, to } }, forms: [title] }
+      terms: [], // 'restBase/slug' of terms to create
+      ...data,
+    };
+  }
+
+  /**
+   * Load a plan file
+   * @param {string} filePath - Plan file
+   * @returns {Promise<ImportPlan>} Plan
+   * @throws {Error} If the file is not a supported plan
+   */
+  static async load(filePath) {
+    const data = await fs.readJson(filePath);
+    if (data.version !== PLAN_VERSION || !Array.isArray(data.items)) {
+      throw new Error(`${filePath} is not a wp-import plan (version ${PLAN_VERSION})`);
+    }
+    return new ImportPlan(data);
+  }
+
+  /**
+   * Write the plan file
+   * @param {string} filePath - Plan file
+   */
+  async save(filePath) {
+    await fs.writeJson(filePath, this.data, { spaces: 2 });
+  }
+
+  /**
+   * Add an item decision
+   * @param {Object} entry - Item entry
+   */
+  addItem(entry) {
+    this.data.items.push(entry);
+  }
+
+  /**
+   * Add a remote item to be trashed (mirror mode)
+   * @param {string} type - Post type REST base
+   * @param {Object} item - Remote item (context=edit)
+   */
+  addTrash(type, item) {
+    this.data.trash.push({ type, slug: item.slug, id: item.id, remote: captureRemoteState(item) });
+  }
+
+  /**
+   * Add plugin options/forms to be set
+   * @param {Object} entry - Plugin entry
+   */
+  addPlugin(entry) {
+    this.data.plugins.push(entry);
+  }
+
+  /**
+   * Add a term to be created
+   * @param {string} restBase - Taxonomy REST base
+   * @param {string} slug - Term slug
+   */
+  addTerm(restBase, slug) {
+    const key = `${restBase}/${slug}`;
+    if (!this.data.terms.includes(key)) this.data.terms.push(key);
+  }
+
+  /**
+   * Items that will be created or updated
+   * @returns {Object[]} Item entries
+   */
+  get changes() {
+    return this.data.items.filter((item) => item.action === 'create' || item.action === 'update');
+  }
+
+  /**
+   * Check whether an item is planned to be created or updated
+   * @param {string} type - Post type REST base
+   * @param {string} slug - Item slug (folder name)
+   * @returns {boolean} Whether the item is part of the plan
+   */
+  includes(type, slug) {
+    return this.changes.some((item) => item.type === type && item.folder === slug);
+  }
+
+  /**
+   * Find planned items whose local files changed since planning
+   * @returns {Promise<string[]>} Descriptions of changed items
+   */
+  async findLocalChanges() {
+    const changed = [];
+    for (const item of this.changes) {
+      const contentDir = getContentDir(this.data.importDir, item.type, item.folder);
+      if (!(await fs.pathExists(contentDir))) {
+        changed.push(`${item.type}/${item.folder}: folder was removed`);
+        continue;
+      }
+      const { combined } = await generateChecksums(contentDir);
+      if (combined !== item.local) {
+        changed.push(`${item.type}/${item.folder}: local files changed`);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Find planned items, trash candidates and options that changed on the remote since planning
+   * @param {Object} client - WPApiClient instance
+   * @returns {Promise<string[]>} Descriptions of drifted objects
+   */
+  async findRemoteDrift(client) {
+    const drifted = [];
+
+    const stateDiffers = (planned, current) =>
+      planned.modified_gmt !== current.modified_gmt || planned.hash !== current.hash;
+
+    for (const item of this.changes) {
+      // Updates are looked up by ID, so planned slug renames do not read as removals
+      const remoteItem = item.action === 'update'
+        ? await findRemoteItem(client, item.type, item.id)
+        : await client.getItemBySlug(item.type, item.slug, { context: 'edit' });
+      if (item.action === 'create' && remoteItem) {
+        drifted.push(`${item.type}/${item.slug}: now exists on the remote (ID: ${remoteItem.id})`);
+      } else if (item.action === 'update' && (!remoteItem || remoteItem.status === 'trash')) {
+        drifted.push(`${item.type}/${item.slug}: no longer exists on the remote`);
+      } else if (item.action === 'update' && stateDiffers(item.remote, captureRemoteState(remoteItem))) {
+        drifted.push(`${item.type}/${item.slug}: modified on the remote (${remoteItem.modified_gmt})`);
+      }
+    }
+
+    for (const item of this.data.trash) {
+      // Deleted since planning: null
+      const remoteItem = await findRemoteItem(client, item.type, item.id);
+      if (!remoteItem || remoteItem.status === 'trash') {
+        drifted.push(`${item.type}/${item.slug}: already removed from the remote`);
+      } else if (stateDiffers(item.remote, captureRemoteState(remoteItem))) {
+        drifted.push(`${item.type}/${item.slug}: modified on the remote (${remoteItem.modified_gmt})`);
+      }
+    }
+
+    const plannedOptions = this.data.plugins.filter((plugin) => Object.keys(plugin.options).length > 0);
+    if (plannedOptions.length > 0) {
+      const { data: settings } = await client.request('/settings');
+      for (const plugin of plannedOptions) {
+        for (const [key, { from }] of Object.entries(plugin.options)) {
+          if (!sameValue(settings[key], from)) {
+            drifted.push(`${plugin.name} option ${key}: changed on the remote`);
+          }
+        }
+      }
+    }
+
+    return drifted;
+  }
+}
+
+export default {
+  PLAN_VERSION,
+  fieldChanges,
+  ImportPlan,
+};
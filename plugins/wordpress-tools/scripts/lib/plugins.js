@@ -0,0 +1,371 @@
+/**
+ * Option/meta prefixes of known plugins that cannot be derived from their slug
+ */
+const KNOWN_VARIATIONS = {
+  'seo-by-rank-math': ['rank_math', 'rankmath'],
+  'wordpress-seo': ['wpseo', 'yoast_wpseo', '_yoast'],
+  'all-in-one-seo-pack': ['aioseo', '_aioseo'],
+  'contact-form-7': ['wpcf7'],
+  'wpforms-lite': ['wpforms'],
+  'advanced-custom-fields': ['acf', '_acf'],
+  'elementor': ['_elementor'],
+  'woocommerce': ['wc_', '_wc'],
+  'jetpack': ['_jetpack'],
+  'updraftplus': ['updraft_'],
+  'wordfence': ['wf_', 'wordfence_'],
+  'all-in-one-wp-migration': ['ai1wm_'],
+};
+
+/**
+ * Plugins of common REST namespaces, for detection without access to /plugins
+ */
+const NAMESPACE_MAP = {
+  'contact-form-7/v1': { slug: 'contact-form-7', name: 'Contact Form 7' },
+  'rankmath/v1': { slug: 'seo-by-rank-math', name: 'Rank Math SEO' },
+  'yoast/v1': { slug: 'wordpress-seo', name: 'Yoast SEO' },
+  'wc/v3': { slug: 'woocommerce', name: 'WooCommerce' },
+  'wpforms/v1': { slug: 'wpforms-lite', name: 'WPForms' },
+  'gf/v2': { slug: 'gravityforms', name: 'Gravity Forms' },
+  'elementor/v1': { slug: 'elementor', name: 'Elementor' },
+  'acf/v1': { slug: 'advanced-custom-fields', name: 'Advanced Custom Fields' },
+  'jetpack/v4': { slug: 'jetpack', name: 'Jetpack' },
+  'updraftplus/v1': { slug: 'updraftplus', name: 'UpdraftPlus' },
+  'wordfence/v1': { slug: 'wordfence', name: 'Wordfence Security' },
+};
+
+/**
+ * Check if a value is empty/meaningless
+ * @param {*} value - Option or meta value
+ * @returns {boolean} Whether the value is empty (0 counts as set)
+ */
+export function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (value === '') return true;
+  if (value === 0) return false;
+  if (Array.isArray(value) && value.length === 0) return true;
+  if (typeof value === 'object' && Object.keys(value).length === 0) return true;
+  return false;
+}
+
+/**
+ * Check if an object has any meaningful (non-empty) values
+ * @param {Object} obj - Values by key
+ * @returns {boolean} Whether any value is non-empty
+ */
+export function hasMeaningfulContent(obj) {
+  return Object.values(obj).some(value => !isEmpty(value));
+}
+
+/**
+ * Generate possible prefixes from a plugin slug
+ * e.g., "contact-form-7" -> ["wpcf7", "contact_form_7", "cf7", "contact-form-7"]
+ * @param {string} slug - Plugin slug
+ * @param {string|null} textDomain - Plugin text domain
+ * @param {Object} extraPrefixes - Additional prefixes by plugin slug (project config)
+ * @returns {string[]} Option/meta key prefixes
+ */
+export function generatePrefixesFromSlug(slug, textDomain = null, extraPrefixes = {}) {
+  const prefixes = new Set();
+
+  // Original slug with underscores
+  prefixes.add(slug.replace(/-/g, '_'));
+
+  // Original slug as-is
+  prefixes.add(slug);
+
+  // Text domain if different from slug
+  if (textDomain && textDomain !== slug) {
+    prefixes.add(textDomain);
+    prefixes.add(textDomain.replace(/-/g, '_'));
+  }
+
+  // Remove common suffixes like -pro, -premium, -lite
+  const cleanSlug = slug.replace(/-(pro|premium|lite|free|plus)$/i, '');
+  prefixes.add(cleanSlug.replace(/-/g, '_'));
+
+  // Remove common prefixes like seo-by-, wordpress-
+  const withoutCommonPrefixes = slug
+    .replace(/^(seo-by-|wordpress-|wp-|simple-|easy-|advanced-|ultimate-)/, '');
+  if (withoutCommonPrefixes !== slug) {
+    prefixes.add(withoutCommonPrefixes);
+    prefixes.add(withoutCommonPrefixes.replace(/-/g, '_'));
+  }
+
+  // Extract initials (e.g., "contact-form-7" -> "cf7")
+  const parts = cleanSlug.split('-').filter(p => p && !/^\d+$/.test(p));
+  if (parts.length > 1) {
+    const initials = parts.map(p => p[0]).join('');
+    if (initials.length >= 2) {
+      prefixes.add(initials);
+    }
+  }
+
+  // First word only
+  if (parts.length > 0) {
+    prefixes.add(parts[0]);
+  }
+
+  // Last two words combined (common for plugins like "rank-math")
+  if (parts.length >= 2) {
+    const lastTwo = parts.slice(-2).join('_');
+    prefixes.add(lastTwo);
+    prefixes.add(parts.slice(-2).join('-'));
+  }
+
+  // Handle known plugin variations (common patterns), and those of the project config
+  for (const variation of [...(KNOWN_VARIATIONS[slug] || []), ...(extraPrefixes[slug] || [])]) {
+    prefixes.add(variation);
+  }
+
+  return Array.from(prefixes);
+}
+
+/**
+ * Fetch list of active plugins from WordPress
+ * Falls back to guessing plugins from the REST API namespaces when /plugins is not readable.
+ * @param {Object} client - WPApiClient instance
+ * @param {Function} onError - Called with (source, error) when a detection method fails
+ * @param {Object} mappings - Project config plugin mappings ({ prefixes, namespaces })
+ * @returns {Promise<Object>} { plugins: [{ slug, name, version, textDomain, prefixes }], source: 'api'|'namespaces'|'none' }
+ */
+export async function fetchInstalledPlugins(client, onError = null, mappings = {}) {
+  const { prefixes: extraPrefixes = {}, namespaces: extraNamespaces = {} } = mappings;
+  const plugins = [];
+
+  try {
+    // Try the plugins endpoint (requires authentication)
+    const data = await client.getPlugins();
+    for (const plugin of data) {
+      if (plugin.status === 'active') {
+        // Extract plugin slug from the plugin file path
+        const pluginFile = plugin.plugin || '';
+        const slug = pluginFile.split('/')[0] || pluginFile.replace('.php', '');
+
+        const textDomain = plugin.textdomain || slug;
+        plugins.push({
+          slug,
+          name: plugin.name?.raw || plugin.name || slug,
+          version: plugin.version,
+          textDomain,
+          prefixes: generatePrefixesFromSlug(slug, textDomain, extraPrefixes),
+        });
+      }
+    }
+    return { plugins, source: 'api' };
+  } catch (error) {
+    if (onError) onError('api', error);
+  }
+
+  // Fallback: detect from REST API namespaces
+  try {
+    const apiIndex = await client.getApiIndex();
+    const namespaces = apiIndex.namespaces || [];
+
+    // Map common namespaces to plugin info, and those of the project config
+    const namespaceMap = { ...NAMESPACE_MAP, ...extraNamespaces };
+
+    for (const ns of namespaces) {
+      // Skip core WordPress namespaces
+      if (ns.startsWith('wp/') || ns === 'oembed/1.0') continue;
+
+      const mapped = Object.entries(namespaceMap).find(([key]) => ns.startsWith(key.split('/')[0]));
+      if (mapped) {
+        const [, info] = mapped;
+        plugins.push({
+          slug: info.slug,
+          name: info.name,
+          namespace: ns,
+          prefixes: generatePrefixesFromSlug(info.slug, null, extraPrefixes),
+        });
+      } else {
+        // Extract plugin slug from namespace
+        const slug = ns.split('/')[0];
+        plugins.push({
+          slug,
+          name: slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
+          namespace: ns,
+          prefixes: generatePrefixesFromSlug(slug, null, extraPrefixes),
+        });
+      }
+    }
+
+    return { plugins, source: 'namespaces' };
+  } catch (error) {
+    if (onError) onError('namespaces', error);
+  }
+
+  return { plugins: [], source: 'none' };
+}
+
+/**
+ * Fetch all options exposed by /settings
+ * @param {Object} client - WPApiClient instance
+ * @param {Function} onError - Called with (error) when the settings cannot be read
+ * @returns {Promise<Object>} Option values by name (empty when unavailable)
+ */
+export async function fetchAllOptions(client, onError = null) {
+  try {
+    return await client.getSettings();
+  } catch (error) {
+    if (onError) onError(error);
+  }
+
+  return {};
+}
+
+/**
+ * Group options by plugin based on prefixes
+ * @param {Object} allOptions - Option values by name
+ * @param {Object[]} plugins - Plugins from fetchInstalledPlugins()
+ * @returns {Map} plugin slug -> { plugin, options }
+ */
+export function groupOptionsByPlugin(allOptions, plugins) {
+  const grouped = new Map();
+  const assignedKeys = new Set();
+
+  // Sort plugins by prefix length (longer first) to match more specific prefixes first
+  const sortedPlugins = [...plugins].sort((a, b) => {
+    const maxA = Math.max(...a.prefixes.map(p => p.length));
+    const maxB = Math.max(...b.prefixes.map(p => p.length));
+    return maxB - maxA;
+  });
+
+  for (const [key, value] of Object.entries(allOptions)) {
+    if (isEmpty(value)) continue;
+
+    for (const plugin of sortedPlugins) {
+      for (const prefix of plugin.prefixes) {
+        if (key.startsWith(prefix + '_') || key.startsWith(prefix + '-') || key === prefix) {
+          if (!grouped.has(plugin.slug)) {
+            grouped.set(plugin.slug, { plugin, options: {} });
+          }
+          grouped.get(plugin.slug).options[key] = value;
+          assignedKeys.add(key);
+          break;
+        }
+      }
+      if (assignedKeys.has(key)) break;
+    }
+  }
+
+  return grouped;
+}
+
+/**
+ * Group post meta by plugin based on prefixes
+ * Keys of plugins that are not installed are grouped by their own prefix (autoDetected).
+ * @param {Object} meta - Post meta by key
+ * @param {Object[]} plugins - Plugins from fetchInstalledPlugins()
+ * @returns {Object} { grouped: Map(plugin slug -> { plugin, meta }), remaining: ungrouped meta or null }
+ */
+export function groupMetaByPlugin(meta, plugins) {
+  const grouped = new Map();
+  const assignedKeys = new Set();
+
+  // WordPress internal meta keys to skip
+  const skipPrefixes = ['_edit_', '_wp_', '_oembed_', '_menu_item_', '_customize_'];
+  const skipKeys = ['_thumbnail_id', '_encloseme', '_pingme'];
+
+  // Sort plugins by prefix length (longer first)
+  const sortedPlugins = [...plugins].sort((a, b) => {
+    const maxA = Math.max(...a.prefixes.map(p => p.length));
+    const maxB = Math.max(...b.prefixes.map(p => p.length));
+    return maxB - maxA;
+  });
+
+  for (const [key, value] of Object.entries(meta)) {
+    if (isEmpty(value)) continue;
+    if (skipKeys.includes(key)) continue;
+    if (skipPrefixes.some(p => key.startsWith(p))) continue;
+
+    // Try to match against known plugins
+    for (const plugin of sortedPlugins) {
+      for (const prefix of plugin.prefixes) {
+        // Match with underscore or hyphen separator, or exact match
+        const patterns = [
+          prefix + '_',
+          prefix + '-',
+          '_' + prefix + '_',
+          '_' + prefix,
+        ];
+
+        if (patterns.some(p => key.startsWith(p)) || key === prefix) {
+          if (!grouped.has(plugin.slug)) {
+            grouped.set(plugin.slug, { plugin, meta: {} });
+          }
+          grouped.get(plugin.slug).meta[key] = value;
+          assignedKeys.add(key);
+          break;
+        }
+      }
+      if (assignedKeys.has(key)) break;
+    }
+  }
+
+  // Auto-detect unknown plugins from remaining meta keys
+  const unknownGroups = new Map();
+
+  for (const [key, value] of Object.entries(meta)) {
+    if (assignedKeys.has(key) || isEmpty(value)) continue;
+    if (skipKeys.includes(key)) continue;
+    if (skipPrefixes.some(p => key.startsWith(p))) continue;
+
+    // Extract prefix from key
+    let prefix = null;
+    if (key.startsWith('_')) {
+      const match = key.match(/^(_[a-z0-9]+)_/i);
+      if (match) prefix = match[1];
+    } else {
+      const match = key.match(/^([a-z0-9]+)_/i);
+      if (match) prefix = match[1];
+    }
+
+    if (prefix && prefix.length >= 2) {
+      if (!unknownGroups.has(prefix)) {
+        unknownGroups.set(prefix, {});
+      }
+      unknownGroups.get(prefix)[key] = value;
+      assignedKeys.add(key);
+    }
+  }
+
+  // Add unknown groups that have enough keys to be meaningful
+  for (const [prefix, data] of unknownGroups) {
+    if (Object.keys(data).length >= 1 && hasMeaningfulContent(data)) {
+      const slug = prefix.replace(/^_/, '').toLowerCase().replace(/_/g, '-');
+      if (!grouped.has(slug)) {
+        grouped.set(slug, {
+          plugin: { slug, name: slug, autoDetected: true },
+          meta: data,
+        });
+      } else {
+        Object.assign(grouped.get(slug).meta, data);
+      }
+    }
+  }
+
+  // Collect remaining ungrouped meta
+  const remaining = {};
+  for (const [key, value] of Object.entries(meta)) {
+    if (!assignedKeys.has(key) && !isEmpty(value)) {
+      if (!skipKeys.includes(key) && !skipPrefixes.some(p => key.startsWith(p))) {
+        // Only include if it looks like plugin meta (has underscore structure)
+        if (key.includes('_') && !key.startsWith('_')) {
+          remaining[key] = value;
+        }
+      }
+    }
+  }
+
+  return { grouped, remaining: hasMeaningfulContent(remaining) ? remaining : null };
+}
+
+export default {
+  isEmpty,
+  hasMeaningfulContent,
+  generatePrefixesFromSlug,
+  fetchInstalledPlugins,
+  fetchAllOptions,
+  groupOptionsByPlugin,
+  groupMetaByPlugin,
+};
@@ -0,0 +1,92 @@
+import { filterContentTypes } from './project-config.js';
+
+/**
+ * Built-in post types that are not content (editor internals, menus, media)
+ */
+const INTERNAL_TYPES = ['attachment', 'nav_menu_item'];
+
+/**
+ * REST bases of the core taxonomies, used when /taxonomies is not readable
+ */
+const CORE_TAXONOMY_BASES = {
+  category: 'categories',
+  post_tag: 'tags',
+};
+
+/**
+ * Post types assumed when /types is not readable (matches pre-discovery behavior)
+ */
+export const DEFAULT_CONTENT_TYPES = [
+  { slug: 'post', restBase: 'posts', name: 'Posts', hierarchical: false, taxonomyFields: ['categories', 'tags'] },
+  { slug: 'page', restBase: 'pages', name: 'Pages', hierarchical: true, taxonomyFields: [] },
+];
+
+/**
+ * Discover the content post types registered on a site
+ * Skips internal types (attachments, menus, `wp_*` editor types) and types
+ * served outside the wp/v2 namespace.
+ * @param {Object} client - WPApiClient instance
+ * @returns {Promise<Object[]>} Content type descriptors
+ *   ({ slug, restBase, name, hierarchical, taxonomyFields })
+ */
+export async function discoverContentTypes(client) {
+  const types = await client.getPostTypes();
+
+  let taxonomies = {};
+  try {
+    taxonomies = await client.getTaxonomies();
+  } catch {
+    // Fall back to the core taxonomy REST bases
+  }
+
+  return Object.values(types)
+    .filter((type) => !INTERNAL_TYPES.includes(type.slug) && !type.slug.startsWith('wp_'))
+    .filter((type) => !type.rest_namespace || type.rest_namespace === 'wp/v2')
+    .map((type) => ({
+      slug: type.slug,
+      restBase: type.rest_base || type.slug,
+      name: type.name || type.slug,
+      hierarchical: Boolean(type.hierarchical),
+      taxonomyFields: (type.taxonomies || []).map(
+        (tax) => taxonomies[tax]?.rest_base || CORE_TAXONOMY_BASES[tax] || tax
+      ),
+    }));
+}
+
+/**
+ * Select content types from a --type value
+ * Accepts 'all' or a comma-separated list of type slugs or REST bases
+ * (e.g. 'posts,portfolio' or 'post,events'). The postTypes rules of the project config
+ * narrow 'all'; types requested by name are selected as asked.
+ * @param {Object[]} available - Content type descriptors
+ * @param {string} requested - Requested types
+ * @param {Object|null} project - Project config
+ * @returns {Object[]} Selected content type descriptors
+ * @throws {Error} If a requested type is not registered
+ */
+export function selectContentTypes(available, requested, project = null) {
+  if (!requested || requested === 'all') {
+    return project ? filterContentTypes(available, project) : available;
+  }
+
+  const selected = [];
+  for (const name of requested.split(',').map((n) => n.trim()).filter(Boolean)) {
+    const type = available.find((t) => t.slug === name || t.restBase === name);
+    if (!type) {
+      throw new Error(
+        `Unknown content type: ${name}. Available: ${available.map((t) => t.restBase).join(', ')}`
+      );
+    }
+    if (!selected.includes(type)) {
+      selected.push(type);
+    }
+  }
+
+  return selected;
+}
+
+export default {
+  DEFAULT_CONTENT_TYPES,
+  discoverContentTypes,
+  selectContentTypes,
+};
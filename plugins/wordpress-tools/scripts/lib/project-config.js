@@ -0,0 +1,283 @@
+import fs from 'fs-extra';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Project config files, next to .env (one of them)
+ */
+export const PROJECT_CONFIG_FILES = ['wp-sync.config.js', 'wp-sync.config.mjs', 'wp-sync.config.json'];
+
+/**
+ * Include/exclude rule sets of a project config
+ */
+const RULE_SETS = ['postTypes', 'slugs', 'meta', 'options'];
+
+/**
+ * Top-level keys accepted in a project config
+ */
+const CONFIG_KEYS = [...RULE_SETS, 'plugins', 'transforms'];
+
+/**
+ * Per-item transform hooks
+ */
+const TRANSFORM_HOOKS = ['export', 'import'];
+
+/**
+ * Check whether a value is a plain object
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a list of patterns
+ * @returns {string[]} Patterns
+ * @throws {Error} If the value is not an array of strings
+ */
+function checkPatterns(value, path, fail) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some((pattern) => typeof pattern !== 'string' || !pattern)) {
+    fail(`${path} must be an array of names or patterns (e.g. ["_yoast_*"])`);
+  }
+  return value;
+}
+
+/**
+ * Check an include/exclude rule set
+ * @returns {Object} { include, exclude }
+ */
+function checkRules(value, path, fail) {
+  if (value === undefined) return { include: [], exclude: [] };
+  if (!isObject(value)) {
+    fail(`${path} must be an object with include and/or exclude`);
+  }
+  const unknown = Object.keys(value).filter((key) => !['include', 'exclude'].includes(key));
+  if (unknown.length > 0) {
+    fail(`Unknown key(s) ${unknown.map((key) => `${path}.${key}`).join(', ')}. Allowed: include, exclude`);
+  }
+  return {
+    include: checkPatterns(value.include, `${path}.include`, fail),
+    exclude: checkPatterns(value.exclude, `${path}.exclude`, fail),
+  };
+}
+
+/**
+ * Check the plugin prefix mappings
+ * @returns {Object} { prefixes: { slug: [prefix] }, namespaces: { namespace: { slug, name } } }
+ */
+function checkPluginMappings(value, fail) {
+  const mappings = { prefixes: {}, namespaces: {} };
+  if (value === undefined) return mappings;
+  if (!isObject(value)) {
+    fail('plugins must be an object with prefixes and/or namespaces');
+  }
+
+  const unknown = Object.keys(value).filter((key) => !['prefixes', 'namespaces'].includes(key));
+  if (unknown.length > 0) {
+    fail(`Unknown key(s) ${unknown.map((key) => `plugins.${key}`).join(', ')}. Allowed: prefixes, namespaces`);
+  }
+
+  if (value.prefixes !== undefined) {
+    if (!isObject(value.prefixes)) {
+      fail('plugins.prefixes must map plugin slugs to prefix lists (e.g. { "my-plugin": ["myp", "_myp"] })');
+    }
+    for (const [slug, prefixes] of Object.entries(value.prefixes)) {
+      mappings.prefixes[slug] = checkPatterns(prefixes, `plugins.prefixes["${slug}"]`, fail);
+    }
+  }
+
+  if (value.namespaces !== undefined) {
+    if (!isObject(value.namespaces)) {
+      fail('plugins.namespaces must map REST namespaces to plugins (e.g. { "myplugin/v1": { "slug": "my-plugin" } })');
+    }
+    for (const [namespace, plugin] of Object.entries(value.namespaces)) {
+      const path = `plugins.namespaces["${namespace}"]`;
+      if (!isObject(plugin) || typeof plugin.slug !== 'string' || !plugin.slug) {
+        fail(`${path} must be an object with a slug`);
+      }
+      if (plugin.name !== undefined && typeof plugin.name !== 'string') {
+        fail(`${path}.name must be a string`);
+      }
+      mappings.namespaces[namespace] = { slug: plugin.slug, name: plugin.name || plugin.slug };
+    }
+  }
+
+  return mappings;
+}
+
+/**
+ * Check the transform hooks
+ * @returns {Object} { export, import } functions or null
+ */
+function checkTransforms(value, fail) {
+  const transforms = { export: null, import: null };
+  if (value === undefined) return transforms;
+  if (!isObject(value)) {
+    fail('transforms must be an object with export and/or import functions');
+  }
+
+  const unknown = Object.keys(value).filter((key) => !TRANSFORM_HOOKS.includes(key));
+  if (unknown.length > 0) {
+    fail(`Unknown transform(s) ${unknown.join(', ')}. Allowed: ${TRANSFORM_HOOKS.join(', ')}`);
+  }
+  for (const hook of TRANSFORM_HOOKS) {
+    if (value[hook] === undefined) continue;
+    if (typeof value[hook] !== 'function') {
+      fail(`transforms.${hook} must be a function (item, context) => item (only possible in wp-sync.config.js)`);
+    }
+    transforms[hook] = value[hook];
+  }
+
+  return transforms;
+}
+
+/**
+ * Check a project config and normalize it
+ * @param {Object} data - Raw project config
+ * @param {string|null} file - File it comes from
+ * @returns {Object} Project config ({ file, postTypes, slugs, meta, options, plugins, transforms })
+ * @throws {Error} If the config is invalid
+ */
+export function normalizeProjectConfig(data, file = null) {
+  const fail = (message) => {
+    throw new Error(file ? `Invalid ${file}: ${message}` : `Invalid project config: ${message}`);
+  };
+
+  if (data === undefined || data === null) data = {};
+  if (!isObject(data)) {
+    fail('expected an object (export default { ... } or a JSON object)');
+  }
+
+  const unknown = Object.keys(data).filter((key) => !CONFIG_KEYS.includes(key));
+  if (unknown.length > 0) {
+    fail(`Unknown key(s) ${unknown.join(', ')}. Allowed: ${CONFIG_KEYS.join(', ')}`);
+  }
+
+  const project = { file };
+  for (const name of RULE_SETS) {
+    project[name] = checkRules(data[name], name, fail);
+  }
+  project.plugins = checkPluginMappings(data.plugins, fail);
+  project.transforms = checkTransforms(data.transforms, fail);
+
+  return project;
+}
+
+/**
+ * Load the project config of a configuration directory
+ * wp-sync.config.js/.mjs export the config as default export; transforms need one of them.
+ * Without a config file, nothing is filtered or transformed.
+ * @param {string} baseDir - Directory holding .env and the project config
+ * @returns {Promise<Object>} Project config (see normalizeProjectConfig)
+ * @throws {Error} If the file cannot be read or is invalid
+ */
+export async function loadProjectConfig(baseDir) {
+  const found = [];
+  for (const name of PROJECT_CONFIG_FILES) {
+    if (await fs.pathExists(join(baseDir, name))) found.push(name);
+  }
+
+  if (found.length === 0) {
+    return normalizeProjectConfig({});
+  }
+  if (found.length > 1) {
+    throw new Error(`Found ${found.join(' and ')} in ${baseDir}. Keep one project config.`);
+  }
+
+  const file = join(baseDir, found[0]);
+  let data;
+  try {
+    data = file.endsWith('.json')
+      ? await fs.readJson(file)
+      : (await import(pathToFileURL(file).href)).default;
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+
+  return normalizeProjectConfig(data, file);
+}
+
+/**
+ * Check whether a name matches a pattern (* matches any characters)
+ * @param {string} name - Post type, slug, meta key or option name
+ * @param {string} pattern - Name or pattern
+ * @returns {boolean} True on a match
+ */
+export function matchesPattern(name, pattern) {
+  if (!pattern.includes('*')) return name === pattern;
+  const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(name);
+}
+
+/**
+ * Check whether a name passes an include/exclude rule set
+ * An empty include list includes everything; exclude wins over include.
+ * @param {string|string[]} names - Name, or alternative names of the same thing (e.g. slug and REST base)
+ * @param {Object} rules - { include, exclude }
+ * @returns {boolean} Whether the name is included
+ */
+export function isIncluded(names, rules) {
+  const list = Array.isArray(names) ? names : [names];
+  const matches = (patterns) => patterns.some((pattern) => list.some((name) => matchesPattern(name, pattern)));
+
+  if (rules.include.length > 0 && !matches(rules.include)) return false;
+  return !matches(rules.exclude);
+}
+
+/**
+ * Keep the keys of an object that pass a rule set
+ * @param {Object} values - Values by key (meta or options)
+ * @param {Object} rules - { include, exclude }
+ * @returns {Object} Included values
+ */
+export function filterKeys(values, rules) {
+  return Object.fromEntries(Object.entries(values).filter(([key]) => isIncluded(key, rules)));
+}
+
+/**
+ * Keep the content types that pass the postTypes rules (by slug or REST base)
+ * @param {Object[]} types - Content type descriptors
+ * @param {Object} project - Project config
+ * @returns {Object[]} Included content types
+ */
+export function filterContentTypes(types, project) {
+  return types.filter((type) => isIncluded([type.slug, type.restBase], project.postTypes));
+}
+
+/**
+ * Run a transform hook on an item
+ * The hook may change the item in place or return a replacement.
+ * @param {Object} project - Project config
+ * @param {string} hook - 'export' or 'import'
+ * @param {Object} item - { type, folder, content, metadata, meta }
+ * @param {Object} context - Passed to the hook (e.g. { site })
+ * @returns {Promise<Object>} Transformed item
+ * @throws {Error} If the hook fails or returns something other than an item
+ */
+export async function applyTransform(project, hook, item, context = {}) {
+  const transform = project.transforms[hook];
+  if (!transform) return item;
+
+  let result;
+  try {
+    result = await transform(item, context);
+  } catch (error) {
+    throw new Error(`transforms.${hook} failed: ${error.message}`);
+  }
+  if (result === undefined) return item;
+  if (!isObject(result) || typeof result.content !== 'string' || !isObject(result.metadata) || !isObject(result.meta)) {
+    throw new Error(`transforms.${hook} must return the item ({ content, metadata, meta, ... }) or nothing`);
+  }
+  return result;
+}
+
+export default {
+  PROJECT_CONFIG_FILES,
+  normalizeProjectConfig,
+  loadProjectConfig,
+  matchesPattern,
+  isIncluded,
+  filterKeys,
+  filterContentTypes,
+  applyTransform,
+};
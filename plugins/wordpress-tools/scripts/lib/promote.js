@@ -0,0 +1,86 @@
+import fs from 'fs-extra';
+import { join } from 'path';
+import { listSubdirs, listFiles } from './file-utils.js';
+
+/**
+ * Files of a content folder that keep source-site URLs (media origins, change detection)
+ */
+const KEEP_FILES = ['media-mapping.json', 'checksums.json'];
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a matcher for links to a site: http, https and protocol-relative, plain
+ * or JSON-escaped (https:\/\/...), not matching longer hosts or paths
+ * @param {string} siteUrl - Site URL
+ * @returns {RegExp} Global pattern
+ */
+function siteUrlPattern(siteUrl) {
+  const { host, pathname } = new URL(siteUrl);
+  const hostPath = escapeRegExp(host + pathname.replace(/\/$/, '')).replace(/\//g, '\\\\?\\/');
+  return new RegExp(`(https?:)?(\\\\?\\/\\\\?\\/)${hostPath}(?![\\w.-])`, 'gi');
+}
+
+/**
+ * Rewrite links to one site into links to another
+ * The target URL keeps the form of each match (scheme or protocol-relative, JSON-escaped slashes).
+ * @param {string} text - Content
+ * @param {string} fromUrl - Source site URL
+ * @param {string} toUrl - Target site URL
+ * @returns {Object} { text, count } rewritten content and number of links
+ */
+export function rewriteSiteUrls(text, fromUrl, toUrl) {
+  const target = new URL(toUrl);
+  const targetHostPath = target.host + target.pathname.replace(/\/$/, '');
+  let count = 0;
+
+  const rewritten = text.replace(siteUrlPattern(fromUrl), (match, scheme, slashes) => {
+    count++;
+    const url = `${scheme ? target.protocol : ''}//${targetHostPath}`;
+    return slashes.includes('\\') ? url.replace(/\//g, '\\/') : url;
+  });
+
+  return { text: rewritten, count };
+}
+
+/**
+ * Rewrite links to the source site in the content folders of an export
+ * (body.html, metadata.json and meta files; media mappings and checksums are left alone)
+ * @param {string} exportDir - Export directory
+ * @param {string[]} types - Post type REST bases
+ * @param {string} fromUrl - Source site URL
+ * @param {string} toUrl - Target site URL
+ * @returns {Promise<Object>} { files, links } number of files changed and links rewritten
+ */
+export async function rewriteExportUrls(exportDir, types, fromUrl, toUrl) {
+  const result = { files: 0, links: 0 };
+
+  for (const type of types) {
+    for (const folder of await listSubdirs(join(exportDir, type))) {
+      const contentDir = join(exportDir, type, folder);
+      const files = [...(await listFiles(contentDir, '.json')), ...(await listFiles(contentDir, '.html'))];
+
+      for (const file of files.filter((name) => !KEEP_FILES.includes(name))) {
+        const path = join(contentDir, file);
+        const { text, count } = rewriteSiteUrls(await fs.readFile(path, 'utf-8'), fromUrl, toUrl);
+        if (count > 0) {
+          await fs.writeFile(path, text, 'utf-8');
+          result.files++;
+          result.links += count;
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+export default {
+  rewriteSiteUrls,
+  rewriteExportUrls,
+};
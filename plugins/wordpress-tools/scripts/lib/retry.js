@@ -0,0 +1,84 @@
+/**
+ * HTTP status codes that indicate a transient failure worth retrying
+ */
+export const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * HTTP methods that can be safely repeated without side effects
+ */
+export const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Check whether a failed request may be retried
+ * Non-idempotent requests (POST) are only retried on 429, where the server
+ * explicitly refused to process them.
+ * @param {string} method - HTTP method
+ * @param {number|null} status - HTTP status, or null for network errors/timeouts
+ * @returns {boolean} True if the request can be retried
+ */
+export function isRetryable(method, status) {
+  const idempotent = IDEMPOTENT_METHODS.includes((method || 'GET').toUpperCase());
+
+  if (status === null) {
+    return idempotent;
+  }
+
+  if (status === 429) {
+    return true;
+  }
+
+  return idempotent && RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Header value (delay in seconds or HTTP date)
+ * @returns {number|null} Delay in ms, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Compute a jittered exponential backoff delay
+ * Uses "equal jitter": half of the exponential delay is fixed, the other half random.
+ * @param {number} attempt - Retry attempt (0-based)
+ * @param {number} baseDelay - Base delay in ms
+ * @param {number} maxDelay - Maximum delay in ms
+ * @returns {number} Delay in ms
+ */
+export function computeBackoff(attempt, baseDelay, maxDelay) {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  const half = exponential / 2;
+  return Math.round(half + Math.random() * half);
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export default {
+  RETRYABLE_STATUSES,
+  IDEMPOTENT_METHODS,
+  isRetryable,
+  parseRetryAfter,
+  computeBackoff,
+  sleep,
+};
@@ -0,0 +1,224 @@
+import fs from 'fs-extra';
+import { join, resolve, dirname } from 'path';
+import { parse as parseEnv } from 'dotenv';
+import { AUTH_METHODS, AUTH_ENV } from './auth.js';
+
+/**
+ * Site profiles file, next to .env
+ */
+export const SITES_FILE = 'wp-sites.json';
+
+/**
+ * Profile fields accepted in wp-sites.json
+ */
+const PROFILE_FIELDS = [
+  'url', 'user', 'appPassword', 'appPasswordEnv', 'type', 'status', 'exportDir', 'concurrency',
+  'auth', 'gateUser', 'gatePassword', 'oauthConsumerKey', 'oauthConsumerSecret', 'oauthToken', 'oauthTokenSecret',
+];
+
+/**
+ * Variables of .env.<name> profile files, mapped to profile fields
+ */
+const ENV_FIELDS = {
+  WP_REMOTE_URL: 'url',
+  WP_REMOTE_USER: 'user',
+  WP_REMOTE_APP_PASSWORD: 'appPassword',
+  WP_CONTENT_TYPE: 'type',
+  WP_POST_STATUS: 'status',
+  WP_EXPORT_DIR: 'exportDir',
+  WP_CONCURRENCY: 'concurrency',
+  [AUTH_ENV.method]: 'auth',
+  [AUTH_ENV.gateUser]: 'gateUser',
+  [AUTH_ENV.gatePassword]: 'gatePassword',
+  [AUTH_ENV.consumerKey]: 'oauthConsumerKey',
+  [AUTH_ENV.consumerSecret]: 'oauthConsumerSecret',
+  [AUTH_ENV.token]: 'oauthToken',
+  [AUTH_ENV.tokenSecret]: 'oauthTokenSecret',
+};
+
+/**
+ * .env.<name> files that are not site profiles
+ */
+const NON_PROFILE_ENV_FILES = ['example', 'local', 'sample'];
+
+/**
+ * Profile names usable as --site values and file suffixes
+ */
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Check a profile's fields and normalize them
+ * @param {string} name - Profile name
+ * @param {Object} fields - Raw profile fields
+ * @param {string} source - File the profile comes from
+ * @returns {Object} Profile ({ name, source, url, user, appPassword, appPasswordEnv, type, status, exportDir, concurrency, auth, ... })
+ * @throws {Error} If the profile is invalid
+ */
+function normalizeProfile(name, fields, source) {
+  const where = `site "${name}" (${source})`;
+
+  if (!PROFILE_NAME.test(name)) {
+    throw new Error(`Invalid site name "${name}" in ${source}. Use letters, digits, - and _.`);
+  }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error(`Invalid ${where}: expected an object with url, user and appPassword`);
+  }
+
+  const unknown = Object.keys(fields).filter((key) => !PROFILE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s) ${unknown.join(', ')} in ${where}. Allowed: ${PROFILE_FIELDS.join(', ')}`);
+  }
+  if (!fields.url) {
+    throw new Error(`Missing url in ${where}`);
+  }
+  if (fields.auth !== undefined && !AUTH_METHODS.includes(fields.auth)) {
+    throw new Error(`Invalid auth "${fields.auth}" in ${where}. Use: ${AUTH_METHODS.join(', ')}`);
+  }
+
+  const profile = { name, source, ...fields };
+  profile.url = String(profile.url).replace(/\/$/, '');
+
+  if (profile.concurrency !== undefined) {
+    profile.concurrency = Number(profile.concurrency);
+    if (!Number.isInteger(profile.concurrency) || profile.concurrency < 1) {
+      throw new Error(`Invalid concurrency in ${where}: use a positive integer`);
+    }
+  }
+
+  // Relative export directories are relative to the profile file
+  if (profile.exportDir) {
+    profile.exportDir = resolve(dirname(source), profile.exportDir);
+  }
+
+  return profile;
+}
+
+/**
+ * Load the site profiles of a configuration directory
+ * Profiles come from wp-sites.json ({ "sites": { "<name>": { url, user, appPassword, ... } } })
+ * and from .env.<name> files (WP_REMOTE_URL, ...); wp-sites.json wins on duplicate names.
+ * @param {string} baseDir - Directory holding .env and wp-sites.json
+ * @returns {Map<string, Object>} Profiles by name
+ * @throws {Error} If wp-sites.json or a profile is invalid
+ */
+export function loadSiteProfiles(baseDir) {
+  const profiles = new Map();
+
+  const envFiles = fs.existsSync(baseDir)
+    ? fs.readdirSync(baseDir).filter((file) => file.startsWith('.env.')).sort()
+    : [];
+  for (const file of envFiles) {
+    const name = file.slice('.env.'.length);
+    if (NON_PROFILE_ENV_FILES.includes(name)) continue;
+
+    const source = join(baseDir, file);
+    const vars = parseEnv(fs.readFileSync(source));
+    const fields = {};
+    for (const [variable, field] of Object.entries(ENV_FIELDS)) {
+      if (vars[variable]) fields[field] = vars[variable];
+    }
+    profiles.set(name, normalizeProfile(name, fields, source));
+  }
+
+  const sitesFile = join(baseDir, SITES_FILE);
+  if (fs.existsSync(sitesFile)) {
+    let data;
+    try {
+      data = fs.readJsonSync(sitesFile);
+    } catch (error) {
+      throw new Error(`Could not read ${sitesFile}: ${error.message}`);
+    }
+    if (!data?.sites || typeof data.sites !== 'object') {
+      throw new Error(`Invalid ${sitesFile}: expected { "sites": { "<name>": { "url": ... } } }`);
+    }
+    for (const [name, fields] of Object.entries(data.sites)) {
+      profiles.set(name, normalizeProfile(name, fields, sitesFile));
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Get a site profile by name
+ * @param {string} baseDir - Directory holding .env and wp-sites.json
+ * @param {string} name - Profile name
+ * @returns {Object} Profile
+ * @throws {Error} If the profile does not exist
+ */
+export function getSiteProfile(baseDir, name) {
+  const profiles = loadSiteProfiles(baseDir);
+  const profile = profiles.get(name);
+
+  if (!profile) {
+    throw new Error(
+      profiles.size > 0
+        ? `Unknown site: ${name}. Available: ${[...profiles.keys()].join(', ')}`
+        : `Unknown site: ${name}. Define it in ${join(baseDir, SITES_FILE)} or ${join(baseDir, `.env.${name}`)}.`
+    );
+  }
+  return profile;
+}
+
+/**
+ * Get the Application Password of a profile (inline, or from the variable named by appPasswordEnv)
+ * @param {Object} profile - Site profile
+ * @returns {string} Password, empty when not set
+ */
+export function profilePassword(profile) {
+  if (profile.appPassword) return profile.appPassword;
+  if (profile.appPasswordEnv) return process.env[profile.appPasswordEnv] || '';
+  return '';
+}
+
+/**
+ * Get the auth settings of a profile
+ * @param {Object} profile - Site profile
+ * @returns {Object} { method, gate, oauth } (see lib/auth.js)
+ */
+export function profileAuth(profile) {
+  return {
+    method: profile.auth || 'application-password',
+    gate: profile.gateUser ? { user: profile.gateUser, password: profile.gatePassword || '' } : null,
+    oauth: profile.oauthConsumerKey
+      ? {
+        consumerKey: profile.oauthConsumerKey,
+        consumerSecret: profile.oauthConsumerSecret || '',
+        token: profile.oauthToken || '',
+        tokenSecret: profile.oauthTokenSecret || '',
+      }
+      : null,
+  };
+}
+
+/**
+ * Get the auth settings of the .env connection
+ * @param {Object} vars - Environment variables (WP_AUTH, WP_GATE_*, WP_OAUTH_*)
+ * @returns {Object} { method, gate, oauth } (see lib/auth.js)
+ */
+export function envAuth(vars) {
+  const fields = {};
+  for (const [variable, field] of Object.entries(ENV_FIELDS)) {
+    if (vars[variable]) fields[field] = vars[variable];
+  }
+  return profileAuth(fields);
+}
+
+/**
+ * Check whether a --from/--to value names a profile rather than a URL
+ * @param {string} value - Option value
+ * @returns {boolean} True for profile names
+ */
+export function isSiteName(value) {
+  return Boolean(value) && PROFILE_NAME.test(value) && !value.includes('.');
+}
+
+export default {
+  SITES_FILE,
+  loadSiteProfiles,
+  getSiteProfile,
+  profilePassword,
+  profileAuth,
+  envAuth,
+  isSiteName,
+};
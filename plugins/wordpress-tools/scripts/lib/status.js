@@ -0,0 +1,109 @@
+import { join } from 'path';
+import { readJson, jsonExists, listSubdirs, getContentDir } from './file-utils.js';
+import { loadChecksums, generateChecksums, compareChecksums, detectConflict } from './checksum.js';
+import { remoteBaseline } from './ledger.js';
+
+/**
+ * Item states, in display order
+ */
+export const ITEM_STATES = ['modified', 'remote-modified', 'both-modified', 'new', 'missing', 'unchanged'];
+
+/**
+ * Remote fields needed to hash items like captureRemoteState
+ */
+const STATUS_FIELDS = 'id,slug,status,modified_gmt,title,content,excerpt';
+
+/**
+ * Compare the export folders of a post type with the remote items
+ * Local changes are checked against the checksums last synced with the site (ledger,
+ * else the export's checksums.json); remote changes against the synced modified_gmt
+ * and content hash, like wp-import's conflict detection.
+ * @param {Object} client - WPApiClient instance
+ * @param {Object} contentType - Content type descriptor
+ * @param {Object} options - Status options
+ * @param {string} options.importDir - Export directory
+ * @param {Object} options.ledger - SyncLedger of the site
+ * @param {string} options.siteUrl - Site URL
+ * @param {boolean} options.sameSite - Whether the export comes from this site
+ * @param {string} options.status - Remote statuses to list
+ * @returns {Promise<Object[]>} { type, folder, slug, id, state, baseline, files, media, remoteModified }
+ */
+export async function collectStatus(client, contentType, { importDir, ledger, siteUrl, sameSite, status }) {
+  const type = contentType.restBase;
+
+  const remoteById = new Map();
+  for await (const item of client.iterateItems(type, { status, context: 'edit', _fields: STATUS_FIELDS })) {
+    remoteById.set(item.id, item);
+  }
+  const remoteBySlug = new Map([...remoteById.values()].map((item) => [item.slug, item]));
+
+  const entries = [];
+  const matched = new Set();
+
+  for (const folder of await listSubdirs(join(importDir, type))) {
+    const contentDir = getContentDir(importDir, type, folder);
+    const metadataPath = join(contentDir, 'metadata.json');
+    if (!(await jsonExists(metadataPath))) continue;
+
+    const metadata = await readJson(metadataPath);
+    const entry = ledger.get(type, folder);
+    const remote = (entry && remoteById.get(entry.id)) || remoteBySlug.get(metadata.slug) || null;
+
+    const item = {
+      type,
+      folder,
+      slug: metadata.slug,
+      id: remote?.id ?? null,
+      state: 'new',
+      baseline: true,
+      files: [],
+      media: [],
+      remoteModified: null,
+    };
+    entries.push(item);
+    if (!remote) continue;
+    matched.add(remote.id);
+
+    const synced = entry?.id === remote.id ? entry : null;
+    const savedChecksums = await loadChecksums(join(contentDir, 'checksums.json'));
+    const local = compareChecksums(await generateChecksums(contentDir), synced?.checksums ?? savedChecksums);
+    const { conflict } = detectConflict(remoteBaseline(synced, savedChecksums, metadata, siteUrl, sameSite), remote);
+
+    item.baseline = local.reason !== 'no-remote-checksums';
+    item.files = local.details.files;
+    item.media = local.details.media;
+    if (conflict) item.remoteModified = remote.modified_gmt;
+
+    if (local.changed && conflict) {
+      item.state = 'both-modified';
+    } else if (local.changed) {
+      item.state = 'modified';
+    } else if (conflict) {
+      item.state = 'remote-modified';
+    } else {
+      item.state = 'unchanged';
+    }
+  }
+
+  for (const remote of remoteById.values()) {
+    if (matched.has(remote.id)) continue;
+    entries.push({
+      type,
+      folder: null,
+      slug: remote.slug,
+      id: remote.id,
+      state: 'missing',
+      baseline: true,
+      files: [],
+      media: [],
+      remoteModified: remote.modified_gmt,
+    });
+  }
+
+  return entries;
+}
+
+export default {
+  ITEM_STATES,
+  collectStatus,
+};
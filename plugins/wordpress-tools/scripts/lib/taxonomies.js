@@ -0,0 +1,354 @@
+import { WPApiError } from './api-error.js';
+
+/**
+ * Built-in taxonomies that are not content classification
+ */
+const INTERNAL_TAXONOMIES = ['nav_menu', 'link_category', 'post_format'];
+
+/**
+ * Taxonomies assumed when /taxonomies is not readable
+ */
+export const DEFAULT_TAXONOMIES = [
+  { slug: 'category', restBase: 'categories', name: 'Categories', hierarchical: true, types: ['post'] },
+  { slug: 'post_tag', restBase: 'tags', name: 'Tags', hierarchical: false, types: ['post'] },
+];
+
+/**
+ * Maximum depth followed when walking term parents (guards against cycles)
+ */
+const MAX_TERM_DEPTH = 20;
+
+/**
+ * Discover the content taxonomies registered on a site
+ * @param {Object} client - WPApiClient instance
+ * @returns {Promise<Object[]>} Taxonomy descriptors ({ slug, restBase, name, hierarchical, types })
+ */
+export async function discoverTaxonomies(client) {
+  const taxonomies = await client.getTaxonomies();
+
+  return Object.values(taxonomies)
+    .filter((tax) => !INTERNAL_TAXONOMIES.includes(tax.slug) && !tax.slug.startsWith('wp_'))
+    .filter((tax) => !tax.rest_namespace || tax.rest_namespace === 'wp/v2')
+    .map((tax) => ({
+      slug: tax.slug,
+      restBase: tax.rest_base || tax.slug,
+      name: tax.name || tax.slug,
+      hierarchical: Boolean(tax.hierarchical),
+      types: tax.types || [],
+    }));
+}
+
+/**
+ * Fetch all terms of the given taxonomies, indexed by ID
+ * @param {Object} client - WPApiClient instance
+ * @param {Object[]} taxonomies - Taxonomy descriptors
+ * @param {Function} onError - Called with (taxonomy, error) when a taxonomy cannot be read
+ * @returns {Promise<Map<string, Map<number, Object>>>} restBase -> (term ID -> term)
+ */
+export async function fetchTermIndex(client, taxonomies, onError = null) {
+  const index = new Map();
+
+  for (const taxonomy of taxonomies) {
+    try {
+      const terms = await client.getTerms(taxonomy.restBase, { context: 'edit' });
+      index.set(taxonomy.restBase, new Map(terms.map((term) => [term.id, term])));
+    } catch (error) {
+      if (onError) onError(taxonomy, error);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Build a portable reference to a term, including its parent chain
+ * @param {number} id - Term ID
+ * @param {Map<number, Object>} termsById - Terms of the taxonomy
+ * @param {number} depth - Current recursion depth
+ * @returns {Object|null} { id, slug, name, parent: <ref>|null }, or null if the ID is unknown
+ *   (the source ID is only used to remap references on import; matching is by slug)
+ */
+export function toTermRef(id, termsById, depth = 0) {
+  const term = termsById?.get(id);
+  if (!term) return null;
+
+  return {
+    id: term.id,
+    slug: term.slug,
+    name: term.name,
+    parent: term.parent && depth < MAX_TERM_DEPTH ? toTermRef(term.parent, termsById, depth + 1) : null,
+  };
+}
+
+/**
+ * Convert term IDs to portable references
+ * IDs that cannot be resolved are kept as numbers so no data is lost.
+ * @param {number[]} ids - Term IDs from a post
+ * @param {Map<number, Object>} termsById - Terms of the taxonomy
+ * @returns {Array<Object|number>} Term references
+ */
+export function toTermRefs(ids, termsById) {
+  return (ids || []).map((id) => toTermRef(id, termsById) || id);
+}
+
+/**
+ * Serialize a taxonomy and its terms for the site-level taxonomies/ export
+ * Terms are ordered parents first and reference their parent by slug.
+ * @param {Object} taxonomy - Taxonomy descriptor
+ * @param {Map<number, Object>} termsById - Terms of the taxonomy
+ * @returns {Object} Taxonomy export data
+ */
+export function serializeTaxonomy(taxonomy, termsById) {
+  const terms = [];
+  const added = new Set();
+
+  const add = (term, depth = 0) => {
+    if (added.has(term.id)) return;
+    const parent = term.parent ? termsById.get(term.parent) : null;
+    if (parent && depth < MAX_TERM_DEPTH) add(parent, depth + 1);
+
+    added.add(term.id);
+    terms.push({
+      id: term.id,
+      slug: term.slug,
+      name: term.name,
+      description: term.description || '',
+      parent: parent ? parent.slug : null,
+    });
+  };
+
+  for (const term of termsById.values()) {
+    add(term);
+  }
+
+  return {
+    taxonomy: taxonomy.slug,
+    restBase: taxonomy.restBase,
+    name: taxonomy.name,
+    hierarchical: taxonomy.hierarchical,
+    types: taxonomy.types,
+    terms,
+  };
+}
+
+/**
+ * Convert a site-level taxonomy export back into nested term references
+ * @param {Object} taxonomyData - Data written by serializeTaxonomy
+ * @returns {Object[]} Term references (parents first)
+ */
+export function taxonomyRefs(taxonomyData) {
+  const bySlug = new Map(taxonomyData.terms.map((term) => [term.slug, term]));
+
+  const toRef = (term, depth = 0) => ({
+    id: term.id,
+    slug: term.slug,
+    name: term.name,
+    description: term.description,
+    parent: term.parent && bySlug.has(term.parent) && depth < MAX_TERM_DEPTH
+      ? toRef(bySlug.get(term.parent), depth + 1)
+      : null,
+  });
+
+  return taxonomyData.terms.map((term) => toRef(term));
+}
+
+/**
+ * Resolves portable term references to term IDs on a target site,
+ * creating missing terms (and their parents) along the way
+ */
+export class TermResolver {
+  /**
+   * @param {Object} client - WPApiClient instance
+   * @param {Object} options - Resolver options
+   * @param {boolean} options.dryRun - Report terms that would be created instead of creating them
+   * @param {Function} options.onCreate - Called with (restBase, ref, term) after a term is created
+   * @param {Object} options.ids - IdMap recording source -> target term IDs
+   */
+  constructor(client, { dryRun = false, onCreate = null, ids = null } = {}) {
+    this.client = client;
+    this.dryRun = dryRun;
+    this.onCreate = onCreate;
+    this.ids = ids;
+    this.cache = new Map(); // restBase -> Map(slug -> ID)
+    this.created = 0;
+  }
+
+  /**
+   * Load all existing terms of a taxonomy into the slug cache
+   * @param {string} restBase - Taxonomy REST base
+   * @returns {Promise<Map<string, number>>} Slug to ID map
+   */
+  async load(restBase) {
+    if (!this.cache.has(restBase)) {
+      const terms = await this.client.getTerms(restBase);
+      this.cache.set(restBase, new Map(terms.map((term) => [term.slug, term.id])));
+    }
+    return this.cache.get(restBase);
+  }
+
+  /**
+   * Resolve a term reference to an ID, creating the term if missing
+   * Numeric references (legacy exports) are source IDs, translated through the ID map.
+   * @param {string} restBase - Taxonomy REST base
+   * @param {Object|number} ref - Term reference ({ slug, name, description, parent }) or ID
+   * @returns {Promise<number|null>} Term ID, or null in dry-run mode for terms not yet created
+   */
+  async resolve(restBase, ref) {
+    if (typeof ref === 'number') {
+      return this.ids ? this.ids.resolve('terms', ref) : ref;
+    }
+
+    const slugs = await this.load(restBase);
+    if (slugs.has(ref.slug)) {
+      const termId = slugs.get(ref.slug);
+      if (this.ids) this.ids.set('terms', ref.id, termId);
+      return termId;
+    }
+
+    const parentId = ref.parent ? await this.resolve(restBase, ref.parent) : null;
+
+    if (this.dryRun) {
+      slugs.set(ref.slug, null);
+      this.recordCreated(restBase, ref, null);
+      return null;
+    }
+
+    let term;
+    try {
+      term = await this.createTerm(restBase, this.termData(ref, parentId));
+      this.recordCreated(restBase, ref, term);
+    } catch (error) {
+      term = await this.existingTerm(restBase, ref, error);
+    }
+
+    slugs.set(ref.slug, term.id);
+    if (this.ids) this.ids.set('terms', ref.id, term.id);
+    return term.id;
+  }
+
+  /**
+   * Resolve a list of term references, dropping unresolved ones
+   * @param {string} restBase - Taxonomy REST base
+   * @param {Array<Object|number>} refs - Term references or IDs
+   * @returns {Promise<number[]>} Term IDs
+   */
+  async resolveAll(restBase, refs) {
+    if (!this.dryRun) {
+      await this.createMissing(restBase, refs || []);
+    }
+
+    const ids = [];
+    for (const ref of refs || []) {
+      const id = await this.resolve(restBase, ref);
+      if (id !== null && !ids.includes(id)) ids.push(id);
+    }
+    return ids;
+  }
+
+  /**
+   * Create the missing terms of a list of references (and their missing parents) in batch
+   * requests, one level of the hierarchy at a time
+   * Terms that could not be created, and their children, are left to resolve(), which reports the error.
+   * @param {string} restBase - Taxonomy REST base
+   * @param {Array<Object|number>} refs - Term references or IDs
+   */
+  async createMissing(restBase, refs) {
+    const slugs = await this.load(restBase);
+
+    const missing = new Map();
+    const collect = (ref) => {
+      if (!ref || typeof ref === 'number' || slugs.has(ref.slug) || missing.has(ref.slug)) return;
+      missing.set(ref.slug, ref);
+      collect(ref.parent);
+    };
+    refs.forEach((ref) => collect(ref));
+
+    while (missing.size > 0) {
+      const level = [...missing.values()].filter((ref) => !ref.parent || slugs.has(ref.parent.slug));
+      if (level.length === 0) break;
+
+      const results = await this.client.batch(level.map((ref) => ({
+        method: 'POST',
+        endpoint: `/${restBase}`,
+        body: this.termData(ref, ref.parent ? slugs.get(ref.parent.slug) : null),
+      })));
+
+      for (const [index, ref] of level.entries()) {
+        missing.delete(ref.slug);
+        const { data, error } = results[index];
+        let term = data;
+        if (data) {
+          this.recordCreated(restBase, ref, term);
+        } else {
+          term = await this.existingTerm(restBase, ref, error).catch(() => null);
+          if (!term) continue;
+        }
+
+        slugs.set(ref.slug, term.id);
+        if (this.ids) this.ids.set('terms', ref.id, term.id);
+      }
+    }
+  }
+
+  /**
+   * Term data to create a reference with
+   * @param {Object} ref - Term reference
+   * @param {number|null} parentId - Parent term ID on the target
+   * @returns {Object} Term data (name, slug, description, parent)
+   */
+  termData(ref, parentId) {
+    const termData = { name: ref.name || ref.slug, slug: ref.slug };
+    if (ref.description) termData.description = ref.description;
+    if (parentId) termData.parent = parentId;
+    return termData;
+  }
+
+  /**
+   * Count a created term and report it
+   */
+  recordCreated(restBase, ref, term) {
+    this.created++;
+    if (this.onCreate) this.onCreate(restBase, ref, term);
+  }
+
+  /**
+   * Find the term a failed create collided with
+   * @param {string} restBase - Taxonomy REST base
+   * @param {Object} ref - Term reference
+   * @param {Error} error - Error of the create request
+   * @returns {Promise<Object>} Existing term
+   * @throws {Error} The create error if no term with the slug exists
+   */
+  async existingTerm(restBase, ref, error) {
+    // The term exists already (created concurrently, or hidden from the list): WordPress names it
+    if (error instanceof WPApiError && error.code === 'term_exists' && error.data?.term_id) {
+      return { id: error.data.term_id };
+    }
+    const term = await this.client.getTermBySlug(restBase, ref.slug);
+    if (!term) throw error;
+    return term;
+  }
+
+  /**
+   * Create a term using the taxonomy-specific client method where one exists
+   * @param {string} restBase - Taxonomy REST base
+   * @param {Object} termData - Term data
+   * @returns {Promise<Object>} Created term
+   */
+  async createTerm(restBase, termData) {
+    if (restBase === 'categories') return await this.client.createCategory(termData);
+    if (restBase === 'tags') return await this.client.createTag(termData);
+    return await this.client.createTerm(restBase, termData);
+  }
+}
+
+export default {
+  DEFAULT_TAXONOMIES,
+  discoverTaxonomies,
+  fetchTermIndex,
+  toTermRef,
+  toTermRefs,
+  serializeTaxonomy,
+  taxonomyRefs,
+  TermResolver,
+};
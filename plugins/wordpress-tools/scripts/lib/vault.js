@@ -0,0 +1,222 @@
+import fs from 'fs-extra';
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from 'crypto';
+import { createInterface } from 'readline';
+import { promisify } from 'util';
+import { writeJson } from './file-utils.js';
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Credential vault file, next to .env
+ */
+export const VAULT_FILE = 'wp-vault.json';
+
+/**
+ * Key derivation parameters of new vaults (scrypt, 32-byte key for AES-256-GCM)
+ */
+const KDF_PARAMS = { N: 32768, r: 8, p: 1 };
+
+/**
+ * Derive the encryption key from a passphrase or key-file content
+ */
+async function deriveKey(secret, salt, { N, r, p }) {
+  return scryptAsync(secret, salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Read a secret from the terminal without echoing it
+ * The question goes to stderr, so stdout stays parseable.
+ * @param {string} question - Prompt
+ * @returns {Promise<string>} Entered secret
+ */
+export function promptSecret(question) {
+  return new Promise((resolvePromise) => {
+    const rl = createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    // Print the prompt, but none of the typed characters
+    rl._writeToOutput = (text) => {
+      if (text.startsWith(question)) rl.output.write(question);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolvePromise(answer);
+    });
+  });
+}
+
+/**
+ * Get the secret that unlocks the vault
+ * A key file (--key-file or WP_VAULT_KEY_FILE) wins over WP_VAULT_PASSPHRASE; without
+ * either, the passphrase is asked for on a terminal.
+ * @param {Object} options - Secret options
+ * @param {string} options.keyFile - Key file path
+ * @param {boolean} options.confirm - Ask twice (new vaults)
+ * @returns {Promise<string>} Passphrase or key-file content
+ * @throws {Error} If no secret is available
+ */
+export async function readVaultSecret({ keyFile = process.env.WP_VAULT_KEY_FILE, confirm = false } = {}) {
+  if (keyFile) {
+    let content;
+    try {
+      content = (await fs.readFile(keyFile, 'utf-8')).trim();
+    } catch (error) {
+      throw new Error(`Could not read vault key file ${keyFile}: ${error.message}`);
+    }
+    if (content.length < 16) {
+      throw new Error(`Vault key file ${keyFile} is too short (use at least 16 characters)`);
+    }
+    return content;
+  }
+
+  if (process.env.WP_VAULT_PASSPHRASE) {
+    return process.env.WP_VAULT_PASSPHRASE;
+  }
+
+  if (!process.stdin.isTTY) {
+    throw new Error('The credential vault is locked. Set WP_VAULT_PASSPHRASE or WP_VAULT_KEY_FILE.');
+  }
+
+  const passphrase = await promptSecret('Vault passphrase: ');
+  if (!passphrase) {
+    throw new Error('No vault passphrase entered');
+  }
+  if (confirm && (await promptSecret('Repeat passphrase: ')) !== passphrase) {
+    throw new Error('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+/**
+ * Encrypted store of site credentials
+ * Entries are keyed by site profile name or site URL and hold { user, appPassword, added }.
+ * The whole entry list is encrypted with AES-256-GCM under a key derived (scrypt) from a
+ * passphrase or key file, so not even the site names are readable without it.
+ */
+export class CredentialVault {
+  /**
+   * @param {string} filePath - Vault file
+   * @param {Buffer} key - Encryption key
+   * @param {Object} kdf - Key derivation parameters ({ salt, N, r, p })
+   * @param {Object} entries - Entries by site
+   */
+  constructor(filePath, key, kdf, entries = {}) {
+    this.filePath = filePath;
+    this.key = key;
+    this.kdf = kdf;
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  /**
+   * Check whether a vault file exists
+   * @param {string} filePath - Vault file
+   * @returns {Promise<boolean>} True if it exists
+   */
+  static async exists(filePath) {
+    return fs.pathExists(filePath);
+  }
+
+  /**
+   * Create an empty vault (written on save())
+   * @param {string} filePath - Vault file
+   * @param {string} secret - Passphrase or key-file content
+   * @returns {Promise<CredentialVault>} Vault
+   */
+  static async create(filePath, secret) {
+    const kdf = { salt: randomBytes(16).toString('base64'), ...KDF_PARAMS };
+    const key = await deriveKey(secret, Buffer.from(kdf.salt, 'base64'), kdf);
+    return new CredentialVault(filePath, key, kdf);
+  }
+
+  /**
+   * Open and decrypt a vault
+   * @param {string} filePath - Vault file
+   * @param {string} secret - Passphrase or key-file content
+   * @returns {Promise<CredentialVault>} Vault
+   * @throws {Error} If the file is invalid or the secret is wrong
+   */
+  static async open(filePath, secret) {
+    let data;
+    try {
+      data = await fs.readJson(filePath);
+    } catch (error) {
+      throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+    if (data.version !== 1 || !data.kdf?.salt || !data.iv || !data.tag || !data.data) {
+      throw new Error(`Invalid credential vault ${filePath}`);
+    }
+
+    const key = await deriveKey(secret, Buffer.from(data.kdf.salt, 'base64'), data.kdf);
+    let entries;
+    try {
+      const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(data.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(data.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(data.data, 'base64')), decipher.final()]);
+      entries = JSON.parse(plain.toString('utf-8'));
+    } catch {
+      throw new Error(`Could not unlock ${filePath}: wrong passphrase or key file`);
+    }
+
+    return new CredentialVault(filePath, key, data.kdf, entries);
+  }
+
+  /**
+   * Get the credentials of a site
+   * @param {string} site - Site profile name or URL
+   * @returns {Object|null} { user, appPassword, added }
+   */
+  get(site) {
+    return this.entries.get(site) || null;
+  }
+
+  /**
+   * Store the credentials of a site
+   * @param {string} site - Site profile name or URL
+   * @param {Object} credentials - { user, appPassword }
+   */
+  set(site, { user, appPassword }) {
+    this.entries.set(site, { user: user || null, appPassword, added: new Date().toISOString() });
+  }
+
+  /**
+   * Remove the credentials of a site
+   * @param {string} site - Site profile name or URL
+   * @returns {boolean} Whether the site was stored
+   */
+  delete(site) {
+    return this.entries.delete(site);
+  }
+
+  /**
+   * Number of stored sites
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Encrypt and write the vault (fresh IV on every save)
+   */
+  async save() {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', this.key, iv);
+    const plain = Buffer.from(JSON.stringify(Object.fromEntries(this.entries)), 'utf-8');
+    const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+
+    await writeJson(this.filePath, {
+      version: 1,
+      cipher: 'aes-256-gcm',
+      kdf: this.kdf,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    });
+    await fs.chmod(this.filePath, 0o600);
+  }
+}
+
+export default {
+  VAULT_FILE,
+  promptSecret,
+  readVaultSecret,
+  CredentialVault,
+};
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareContent } from '../lib/compare.js';
+
+test('slugless drafts are listed on their own site, never paired', () => {
+  const from = [{ id: 5, slug: '' }, { id: 6, slug: '' }, { id: 7, slug: 'only-first' }];
+  const to = [{ id: 5, slug: '' }, { id: 9, slug: 'only-second' }];
+  const result = compareContent(from, to, { from: { url: 'https://a.test' }, to: { url: 'https://b.test' } });
+
+  assert.equal(result.unchanged, 0);
+  assert.deepEqual(result.items.map(({ slug, state }) => `${state} ${slug}`), [
+    'from-only id-5',
+    'from-only id-6',
+    'from-only only-first',
+    'to-only id-5',
+    'to-only only-second',
+  ]);
+});
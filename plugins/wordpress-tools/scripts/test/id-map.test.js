@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IdMap, rewriteContentIds } from '../lib/id-map.js';
+
+const content = [
+  '<!-- wp:image {"id":10,"sizeSlug":"large"} -->',
+  '<figure class="wp-block-image size-large"><img src="a.jpg" class="wp-image-10"/></figure>',
+  '<!-- /wp:image -->',
+  '<!-- wp:image {"sizeSlug":"large","id":11,"linkDestination":"none"} -->',
+  '<figure class="wp-block-image"><img src="b.jpg" class="wp-image-11 extra"/></figure>',
+  '<!-- /wp:image -->',
+  '<!-- wp:gallery {"ids":[10,11]} /-->',
+].join('\n');
+
+test('mapped attachment IDs are rewritten', () => {
+  const ids = new IdMap();
+  ids.set('media', 10, 110);
+  ids.set('media', 11, 111);
+  const result = rewriteContentIds(content, ids);
+
+  assert.deepEqual(result.unmapped, []);
+  assert.match(result.content, /\{"id":110,"sizeSlug":"large"\}/);
+  assert.match(result.content, /"sizeSlug":"large","id":111,"linkDestination":"none"/);
+  assert.match(result.content, /class="wp-image-110"/);
+  assert.match(result.content, /class="wp-image-111 extra"/);
+  assert.match(result.content, /"ids":\[110,111\]/);
+});
+
+test('unmapped attachment IDs of another site are removed and reported', () => {
+  const ids = new IdMap();
+  ids.set('media', 10, 110);
+  const result = rewriteContentIds(content, ids);
+
+  assert.deepEqual(result.unmapped, [11]);
+  assert.match(result.content, /\{"sizeSlug":"large","linkDestination":"none"\}/);
+  assert.match(result.content, /class="extra"/);
+  assert.match(result.content, /"ids":\[110\]/);
+  assert.doesNotMatch(result.content, /\b11\b/);
+});
+
+test('an unmapped attachment counts once however often the content names it', () => {
+  const ids = new IdMap();
+  const block = '<!-- wp:image {"id":12} -->\n<figure class="wp-block-image"><img src="c.jpg" class="wp-image-12"/></figure>\n<!-- /wp:image -->';
+  const result = rewriteContentIds(block, ids);
+
+  assert.deepEqual(result.unmapped, [12]);
+  assert.equal(ids.unmapped.media, 1);
+});
+
+test('same-site imports keep unmapped IDs', () => {
+  const result = rewriteContentIds(content, new IdMap({ identity: true }));
+
+  assert.deepEqual(result.unmapped, []);
+  assert.equal(result.content, content);
+});
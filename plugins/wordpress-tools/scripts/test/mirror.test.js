@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import fs from 'fs-extra';
+import { indexLocalItems, hasLocalFolder } from '../lib/mirror.js';
+
+/**
+ * Write an export folder with its metadata.json
+ */
+async function writeFolder(dir, folder, metadata) {
+  await fs.outputJson(join(dir, 'posts', folder, 'metadata.json'), metadata);
+}
+
+test('items whose folder name differs from their slug are not orphans', async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'wp-mirror-'));
+  try {
+    await writeFolder(dir, 'my-post', { id: 10, slug: 'my_post' });
+    await writeFolder(dir, 'id-42', { id: 42, slug: '' });
+    const local = await indexLocalItems(dir, 'posts', ['my-post', 'id-42']);
+
+    // Underscore slug, matched by metadata.json and by the folder name the export gives it
+    assert.equal(hasLocalFolder({ id: 10, slug: 'my_post' }, local, { type: 'posts' }), true);
+    assert.equal(hasLocalFolder({ id: 11, slug: 'My_Post' }, local, { type: 'posts' }), true);
+
+    // Slugless draft, exported as id-<id>
+    assert.equal(hasLocalFolder({ id: 42, slug: '' }, local, { type: 'posts', sameSite: true }), true);
+    assert.equal(hasLocalFolder({ id: 42, slug: '' }, local, { type: 'posts' }), true);
+
+    // Items without a folder are orphans; slugless items do not match each other
+    assert.equal(hasLocalFolder({ id: 7, slug: 'gone' }, local, { type: 'posts' }), false);
+    assert.equal(hasLocalFolder({ id: 43, slug: '' }, local, { type: 'posts' }), false);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('IDs in metadata.json only match on the export\'s own site', async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'wp-mirror-'));
+  try {
+    await writeFolder(dir, 'renamed', { id: 5, slug: 'renamed' });
+    const local = await indexLocalItems(dir, 'posts', ['renamed']);
+
+    assert.equal(hasLocalFolder({ id: 5, slug: 'old-name' }, local, { type: 'posts', sameSite: true }), true);
+    assert.equal(hasLocalFolder({ id: 5, slug: 'old-name' }, local, { type: 'posts' }), false);
+
+    // The ledger links a remote ID to its folder on any site
+    const ledger = { findById: (id) => (id === 99 ? { type: 'posts', folder: 'renamed' } : null) };
+    assert.equal(hasLocalFolder({ id: 99, slug: 'other' }, local, { type: 'posts', ledger }), true);
+  } finally {
+    await fs.remove(dir);
+  }
+});
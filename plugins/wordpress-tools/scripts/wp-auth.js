@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+import { program } from 'commander';
+import chalk from 'chalk';
+import { relative, resolve } from 'path';
+import { CONFIG_DIR } from './config.js';
+import { loadSiteProfiles, isSiteName } from './lib/sites.js';
+import { VAULT_FILE, CredentialVault, promptSecret, readVaultSecret } from './lib/vault.js';
+import { redact, registerSecret } from './lib/redact.js';
+
+// CLI setup
+program
+  .name('wp-auth')
+  .description('Store Application Passwords in an encrypted credential vault instead of .env')
+  .argument('[command]', 'list: show the stored sites; add: store a site\'s password; remove: delete it', 'list')
+  .argument('[site]', 'Site profile name or site URL')
+  .option('--user <user>', 'WordPress username to store with the password (default: the profile\'s or .env user)')
+  .option('--key-file <file>', 'Unlock the vault with a key file instead of a passphrase (default: WP_VAULT_KEY_FILE)')
+  .option('-v, --verbose', 'Verbose output')
+  .parse();
+
+const options = program.opts();
+const [command, siteArg] = program.processedArgs;
+
+// Logging helpers
+const log = {
+  info: (msg) => console.log(chalk.blue('ℹ'), redact(msg)),
+  success: (msg) => console.log(chalk.green('✓'), redact(msg)),
+  warning: (msg) => console.log(chalk.yellow('⚠'), redact(msg)),
+  error: (msg) => console.log(chalk.red('✗'), redact(msg)),
+  verbose: (msg) => options.verbose && console.log(chalk.gray('  '), redact(msg)),
+};
+
+/**
+ * Read everything piped into stdin (echo "$PASSWORD" | node wp-auth.js add staging)
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8').trim();
+}
+
+/**
+ * Normalize a site argument: profile names as they are, URLs without trailing slash
+ */
+function siteKey(site) {
+  if (isSiteName(site)) return site;
+  if (/^https?:\/\/[^/\s]+/i.test(site)) return site.replace(/\/$/, '');
+  return null;
+}
+
+/**
+ * Unlock the vault, or create it when adding the first site
+ */
+async function unlockVault(file, { create = false } = {}) {
+  if (await CredentialVault.exists(file)) {
+    const secret = await readVaultSecret({ keyFile: options.keyFile });
+    registerSecret(secret);
+    return CredentialVault.open(file, secret);
+  }
+  if (!create) return null;
+
+  log.info(`Creating ${relative(process.cwd(), file)}`);
+  const secret = await readVaultSecret({ keyFile: options.keyFile, confirm: true });
+  registerSecret(secret);
+  return CredentialVault.create(file, secret);
+}
+
+/**
+ * Store the password of a site
+ */
+async function addSite(file, site) {
+  const profiles = loadSiteProfiles(CONFIG_DIR);
+  if (isSiteName(site) && !profiles.has(site)) {
+    log.warning(`No site profile "${site}" yet; define it in wp-sites.json or .env.${site} to use it with --site`);
+  }
+
+  const vault = await unlockVault(file, { create: true });
+
+  // Typed without echo, or piped, so the password never reaches the shell history
+  const appPassword = process.stdin.isTTY
+    ? await promptSecret(`Application Password for ${site}: `)
+    : await readStdin();
+  if (!appPassword) {
+    log.error('No Application Password given');
+    process.exit(1);
+  }
+  registerSecret(appPassword);
+
+  const replaced = Boolean(vault.get(site));
+  vault.set(site, { user: options.user, appPassword });
+  await vault.save();
+  log.success(`${replaced ? 'Updated' : 'Stored'} credentials for ${site} in ${VAULT_FILE}`);
+  log.verbose(`Used by --site ${site}${isSiteName(site) ? '' : ' (or -u / --to with this URL)'} when no plaintext password is set`);
+}
+
+/**
+ * Delete the password of a site
+ */
+async function removeSite(file, site) {
+  const vault = await unlockVault(file);
+  if (!vault) {
+    log.error(`No credential vault (${VAULT_FILE}) in ${CONFIG_DIR}`);
+    process.exit(1);
+  }
+  if (!vault.delete(site)) {
+    log.error(`${site} is not stored in ${VAULT_FILE}`);
+    process.exit(1);
+  }
+  await vault.save();
+  log.success(`Removed credentials for ${site}`);
+}
+
+/**
+ * List the stored sites (never their passwords)
+ */
+async function listSites(file) {
+  const vault = await unlockVault(file);
+  if (!vault || vault.size === 0) {
+    log.warning('No stored credentials. Add some with: node wp-auth.js add <site>');
+    return;
+  }
+
+  for (const [site, entry] of vault.entries) {
+    console.log(`  ${chalk.bold(site.padEnd(32))}${chalk.gray(`user ${entry.user || '(profile/.env)'}, added ${entry.added.slice(0, 10)}`)}`);
+  }
+  console.log();
+  log.info(`${vault.size} site(s) in ${relative(process.cwd(), file)}`);
+}
+
+/**
+ * Main auth function
+ */
+async function main() {
+  console.log(chalk.bold('\n🔐 WordPress Credential Vault\n'));
+
+  if (!['list', 'add', 'remove'].includes(command)) {
+    log.error(`Unknown command: ${command}. Use: list, add, remove`);
+    process.exit(1);
+  }
+
+  const site = siteArg && siteKey(siteArg);
+  if (command !== 'list' && !site) {
+    log.error(`Give a site profile name or URL: node wp-auth.js ${command} <site>`);
+    process.exit(1);
+  }
+
+  const file = resolve(CONFIG_DIR, VAULT_FILE);
+  try {
+    if (command === 'list') {
+      await listSites(file);
+    } else if (command === 'add') {
+      await addSite(file, site);
+    } else {
+      await removeSite(file, site);
+    }
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+}
+
+// Run
+main().catch((error) => {
+  log.error(`Unexpected error: ${error.message}`);
+  if (options.verbose) {
+    console.error(redact(error.stack));
+  }
+  process.exit(1);
+});
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+
+import { program } from 'commander';
+import chalk from 'chalk';
+import { join, resolve } from 'path';
+import { getSiteConfigs, validateConfig } from './config.js';
+import { WPApiClient } from './lib/api-client.js';
+import { ensureDir, writeJson, writeHtml } from './lib/file-utils.js';
+import {
+  DEFAULT_CONTENT_TYPES,
+  discoverContentTypes,
+  selectContentTypes,
+} from './lib/post-types.js';
+import { DEFAULT_TAXONOMIES, discoverTaxonomies, fetchTermIndex } from './lib/taxonomies.js';
+import { fetchInstalledPlugins, fetchAllOptions } from './lib/plugins.js';
+import { compareContent, comparePlugins, compareOptions } from './lib/compare.js';
+import { isIncluded, filterKeys } from './lib/project-config.js';
+import { renderHtmlReport } from './lib/compare-report.js';
+import { redact } from './lib/redact.js';
+
+// CLI setup
+program
+  .name('wp-compare')
+  .description('Compare content, SEO meta, plugin options and plugin versions of two WordPress sites')
+  .option('--from <url|site>', 'First site, URL or site profile, e.g. staging (default: WP_REMOTE_URL)')
+  .option('--from-user <user>', 'Username on the first site (default: WP_REMOTE_USER)')
+  .option('--from-password <password>', 'Application Password on the first site (default: WP_REMOTE_APP_PASSWORD)')
+  .option('--to <url|site>', 'Second site, URL or site profile, e.g. production (default: WP_TARGET_URL)')
+  .option('--to-user <user>', 'Username on the second site (default: WP_TARGET_USER, else the first site\'s)')
+  .option('--to-password <password>', 'Application Password on the second site (default: WP_TARGET_APP_PASSWORD, else the first site\'s)')
+  .option('-o, --output <dir>', 'Directory for compare-report.html and compare-report.json', './compare')
+  .option('-t, --type <type>', 'Content type(s): all, or comma-separated post types (e.g. posts,portfolio)', 'all')
+  .option('-s, --status <status>', 'Post status: publish, draft, or all', 'publish')
+  .option('--json', 'Print the report as JSON')
+  .option('-c, --concurrency <n>', 'Parallel page requests when listing content (default: 1)')
+  .option('-r, --retries <n>', 'Retries for rate-limited/failed requests, 0 disables (default: 3)')
+  .option('-v, --verbose', 'Verbose output')
+  .parse();
+
+const options = program.opts();
+
+// Logging helpers (stderr with --json, so stdout stays parseable)
+const print = (...args) => (options.json ? console.error(...args) : console.log(...args));
+const log = {
+  info: (msg) => print(chalk.blue('ℹ'), redact(msg)),
+  success: (msg) => print(chalk.green('✓'), redact(msg)),
+  warning: (msg) => print(chalk.yellow('⚠'), redact(msg)),
+  error: (msg) => print(chalk.red('✗'), redact(msg)),
+  verbose: (msg) => options.verbose && print(chalk.gray('  '), redact(msg)),
+};
+
+/**
+ * Connect to a site and read its post types, plugins and options
+ */
+async function loadSite(config) {
+  const client = new WPApiClient(config);
+  client.onRetry = ({ method, url, attempt, delay, reason }) => {
+    log.verbose(`Retry ${attempt}/${client.maxRetries} for ${method} ${url} (${reason}) in ${delay}ms`);
+  };
+
+  await client.testConnection();
+
+  let contentTypes = DEFAULT_CONTENT_TYPES;
+  try {
+    contentTypes = await discoverContentTypes(client);
+  } catch (error) {
+    log.warning(`Could not discover post types on ${config.url} (${error.message}), using posts and pages`);
+  }
+
+  let taxonomies = DEFAULT_TAXONOMIES;
+  try {
+    taxonomies = await discoverTaxonomies(client);
+  } catch (error) {
+    log.warning(`Could not discover taxonomies on ${config.url} (${error.message}), using categories and tags`);
+  }
+
+  const { plugins, source: pluginSource } = await fetchInstalledPlugins(client, (source, error) => {
+    log.verbose(`Could not read plugins of ${config.url} via ${source}: ${error.message}`);
+  }, config.project.plugins);
+  const allOptions = filterKeys(await fetchAllOptions(client, (error) => {
+    log.verbose(`Could not fetch settings of ${config.url}: ${error.message}`);
+  }), config.project.options);
+
+  return { url: config.url, project: config.project, client, contentTypes, taxonomies, plugins, pluginSource, allOptions };
+}
+
+/**
+ * Fetch all items of a post type with their meta, without slugs excluded by the project config
+ */
+async function fetchItems(site, restBase, status) {
+  const items = [];
+  for await (const item of site.client.iterateItems(restBase, { status, context: 'edit' })) {
+    if (isIncluded(item.slug, site.project.slugs)) items.push(item);
+  }
+  return items;
+}
+
+/**
+ * Summarize the changes of a compared item in one line
+ */
+function describeItem(item) {
+  const parts = [...Object.keys(item.fields), ...Object.keys(item.seo)];
+  if (item.blocks.length > 0) parts.push(`${item.blocks.length} block change(s)`);
+  return parts.join(', ');
+}
+
+/**
+ * Print the comparison, grouped like wp-status
+ */
+function printReport(report) {
+  const { from, to } = report;
+
+  console.log(chalk.bold('Plugins:'));
+  if (report.plugins.length === 0) {
+    console.log(chalk.gray('  same active plugins and versions'));
+  }
+  for (const plugin of report.plugins) {
+    if (plugin.state === 'version') {
+      console.log(`  ${chalk.yellow('version:'.padEnd(12))} ${plugin.name} ${chalk.red(plugin.from)} → ${chalk.green(plugin.to)}`);
+    } else if (plugin.state === 'from-only') {
+      console.log(`  ${chalk.red('only first:'.padEnd(12))} ${plugin.name}${plugin.from ? chalk.gray(` ${plugin.from}`) : ''}`);
+    } else {
+      console.log(`  ${chalk.green('only second:'.padEnd(12))} ${plugin.name}${plugin.to ? chalk.gray(` ${plugin.to}`) : ''}`);
+    }
+  }
+  console.log();
+
+  console.log(chalk.bold('Plugin options:'));
+  if (report.options.length === 0) {
+    console.log(chalk.gray('  no differences'));
+  }
+  for (const group of report.options) {
+    console.log(`  ${chalk.magenta(group.name)}: ${Object.keys(group.changes).join(', ')}`);
+  }
+  console.log();
+
+  for (const type of report.types.fromOnly) {
+    log.warning(`${type}: only registered on ${from.url}`);
+  }
+  for (const type of report.types.toOnly) {
+    log.warning(`${type}: only registered on ${to.url}`);
+  }
+
+  for (const type of report.content) {
+    console.log(chalk.bold(`${type.name}:`));
+    for (const item of type.items) {
+      const ids = chalk.gray(` (ID: ${item.fromId ?? '-'} → ${item.toId ?? '-'})`);
+      if (item.state === 'changed') {
+        console.log(`  ${chalk.yellow('changed:'.padEnd(12))} ${type.type}/${item.slug} ${chalk.gray(`(${describeItem(item)})`)}${ids}`);
+      } else if (item.state === 'from-only') {
+        console.log(`  ${chalk.red('only first:'.padEnd(12))} ${type.type}/${item.slug}${ids}`);
+      } else {
+        console.log(`  ${chalk.green('only second:'.padEnd(12))} ${type.type}/${item.slug}${ids}`);
+      }
+    }
+    console.log(chalk.gray(`  ${type.unchanged} unchanged`));
+    console.log();
+  }
+}
+
+/**
+ * Main compare function
+ */
+async function main() {
+  print(chalk.bold('\n🔀 WordPress Site Compare\n'));
+
+  let configs;
+  try {
+    configs = await getSiteConfigs(options);
+    validateConfig(configs.from);
+    validateConfig(configs.to);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  if (configs.from.url === configs.to.url) {
+    log.error(`Both sites are ${configs.from.url}; use --from and --to to pick two different sites`);
+    process.exit(1);
+  }
+
+  const sites = {};
+  for (const [side, config] of Object.entries(configs)) {
+    log.info(`Reading ${config.url}...`);
+    try {
+      sites[side] = await loadSite(config);
+    } catch (error) {
+      log.error(`Connection to ${config.url} failed: ${error.message}`);
+      process.exit(1);
+    }
+    const site = sites[side];
+    log.success(`${site.url}: ${site.plugins.length} active plugin(s) (via ${site.pluginSource}), ${Object.keys(site.allOptions).length} settings`);
+  }
+  const { from, to } = sites;
+
+  if (from.pluginSource !== 'api' || to.pluginSource !== 'api') {
+    log.warning('Plugin list not readable on both sites (needs a user who can activate plugins); versions are only compared where known');
+  }
+
+  // Selected post types of either site; types registered on one site only are listed, not compared
+  const available = [...from.contentTypes, ...to.contentTypes.filter(t => !from.contentTypes.some(f => f.restBase === t.restBase))];
+  let contentTypes;
+  try {
+    contentTypes = selectContentTypes(available, configs.from.contentType, configs.from.project);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  const types = { fromOnly: [], toOnly: [] };
+  const pairs = [];
+  for (const contentType of contentTypes) {
+    const fromType = from.contentTypes.find(t => t.restBase === contentType.restBase);
+    const toType = to.contentTypes.find(t => t.restBase === contentType.restBase);
+    if (!toType) {
+      types.fromOnly.push(contentType.restBase);
+    } else if (!fromType) {
+      types.toOnly.push(contentType.restBase);
+    } else {
+      pairs.push({
+        restBase: fromType.restBase,
+        name: fromType.name,
+        taxonomyFields: fromType.taxonomyFields.filter(field => toType.taxonomyFields.includes(field)),
+      });
+    }
+  }
+
+  // Terms of both sites, to compare taxonomy fields by slug
+  const usedTaxonomies = new Set(pairs.flatMap(pair => pair.taxonomyFields));
+  for (const site of [from, to]) {
+    site.termIndex = await fetchTermIndex(site.client, site.taxonomies.filter(t => usedTaxonomies.has(t.restBase)), (taxonomy, error) => {
+      log.warning(`Could not fetch ${taxonomy.name} terms of ${site.url}: ${error.message}`);
+    });
+  }
+
+  const content = [];
+  let failed = 0;
+  for (const pair of pairs) {
+    log.info(`Comparing ${pair.name}...`);
+    try {
+      const fromItems = await fetchItems(from, pair.restBase, configs.from.postStatus);
+      const toItems = await fetchItems(to, pair.restBase, configs.from.postStatus);
+      const { items, unchanged } = compareContent(fromItems, toItems, {
+        taxonomyFields: pair.taxonomyFields,
+        from,
+        to,
+      });
+      content.push({ type: pair.restBase, name: pair.name, unchanged, items });
+      log.verbose(`${pair.restBase}: ${fromItems.length} item(s) on ${from.url}, ${toItems.length} on ${to.url}`);
+    } catch (error) {
+      log.error(`Could not compare ${pair.restBase}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Group both sites' options with the plugins of either site
+  const allPlugins = [...from.plugins, ...to.plugins.filter(p => !from.plugins.some(f => f.slug === p.slug))];
+  const optionChanges = compareOptions(from.allOptions, to.allOptions, allPlugins);
+  const pluginChanges = comparePlugins(from.plugins, to.plugins);
+
+  const items = content.flatMap(type => type.items);
+  const report = {
+    generated: new Date().toISOString(),
+    from: { url: from.url, pluginSource: from.pluginSource },
+    to: { url: to.url, pluginSource: to.pluginSource },
+    status: configs.from.postStatus,
+    summary: {
+      changed: items.filter(item => item.state === 'changed').length,
+      fromOnly: items.filter(item => item.state === 'from-only').length,
+      toOnly: items.filter(item => item.state === 'to-only').length,
+      unchanged: content.reduce((sum, type) => sum + type.unchanged, 0),
+      plugins: pluginChanges.length,
+      options: optionChanges.reduce((sum, group) => sum + Object.keys(group.changes).length, 0),
+    },
+    types,
+    plugins: pluginChanges,
+    options: optionChanges,
+    content,
+  };
+
+  const outputDir = resolve(options.output);
+  await ensureDir(outputDir);
+  await writeJson(join(outputDir, 'compare-report.json'), report);
+  await writeHtml(join(outputDir, 'compare-report.html'), renderHtmlReport(report));
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log();
+    console.log(`${chalk.red(from.url)} → ${chalk.green(to.url)} (${report.status})`);
+    console.log();
+    printReport(report);
+  }
+
+  const { summary } = report;
+  log.info(`Content: ${summary.changed} changed, ${summary.fromOnly} only on ${from.url}, ${summary.toOnly} only on ${to.url}, ${summary.unchanged} unchanged`);
+  log.info(`Plugins: ${summary.plugins} difference(s), ${summary.options} option(s) differ`);
+  log.success(`Reports written to ${join(options.output, 'compare-report.html')} and compare-report.json`);
+
+  if (failed > 0) process.exit(1);
+}
+
+// Run
+main().catch((error) => {
+  log.error(`Unexpected error: ${error.message}`);
+  if (options.verbose) {
+    console.error(redact(error.stack));
+  }
+  process.exit(1);
+});
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+import { program } from 'commander';
+import chalk from 'chalk';
+import { join } from 'path';
+import { getConfig, validateConfig } from './config.js';
+import { WPApiClient } from './lib/api-client.js';
+import { readJson, readHtml, jsonExists, listSubdirs, getContentDir } from './lib/file-utils.js';
+import { replaceMediaUrls, loadMediaMapping } from './lib/media-handler.js';
+import {
+  DEFAULT_CONTENT_TYPES,
+  discoverContentTypes,
+  selectContentTypes,
+} from './lib/post-types.js';
+import { DEFAULT_TAXONOMIES, discoverTaxonomies, fetchTermIndex } from './lib/taxonomies.js';
+import { SyncLedger } from './lib/ledger.js';
+import { rawValue, diffFields, readMetaFiles, diffMeta } from './lib/diff.js';
+import { parseBlocks, diffBlocks } from './lib/blocks.js';
+import { isIncluded, filterKeys } from './lib/project-config.js';
+import { redact } from './lib/redact.js';
+
+// CLI setup
+program
+  .name('wp-diff')
+  .description('Show field, plugin meta and block changes between the export and the live site')
+  .argument('[items...]', 'Items to compare: {rest_base} or {rest_base}/{folder} (default: all exported items)')
+  .option('--site <name>', 'Site profile from wp-sites.json or .env.<name>')
+  .option('-u, --url <url>', 'WordPress site URL')
+  .option('--user <user>', 'WordPress username')
+  .option('--password <password>', 'WordPress Application Password')
+  .option('-i, --input <dir>', 'Export directory (default: ./export)')
+  .option('-t, --type <type>', 'Content type(s): all, or comma-separated post types (e.g. posts,portfolio) (default: all)')
+  .option('--json', 'Print the diff as JSON')
+  .option('-r, --retries <n>', 'Retries for rate-limited/failed requests, 0 disables (default: 3)')
+  .option('-v, --verbose', 'Verbose output')
+  .parse();
+
+const options = program.opts();
+const [selection] = program.processedArgs;
+
+// Logging helpers (stderr with --json, so stdout stays parseable)
+const print = (...args) => (options.json ? console.error(...args) : console.log(...args));
+const log = {
+  info: (msg) => print(chalk.blue('ℹ'), redact(msg)),
+  success: (msg) => print(chalk.green('✓'), redact(msg)),
+  warning: (msg) => print(chalk.yellow('⚠'), redact(msg)),
+  error: (msg) => print(chalk.red('✗'), redact(msg)),
+  verbose: (msg) => options.verbose && print(chalk.gray('  '), redact(msg)),
+};
+
+/**
+ * Format a value for display (truncated)
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return chalk.gray('(not set)');
+  }
+  const text = JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Print a from → to change
+ */
+function printChange(indent, label, { from, to }) {
+  console.log(`${indent}${label}: ${chalk.red(formatValue(from))} → ${chalk.green(formatValue(to))}`);
+}
+
+/**
+ * Print block changes, nested blocks indented below their container
+ */
+function printBlocks(changes, indent) {
+  for (const change of changes) {
+    const text = change.text && typeof change.text === 'string' ? ` ${chalk.gray(formatValue(change.text))}` : '';
+
+    if (change.change === 'added') {
+      console.log(`${indent}${chalk.green('+')} #${change.position} ${change.name}${text}`);
+    } else if (change.change === 'removed') {
+      console.log(`${indent}${chalk.red('-')} #${change.position} ${change.name}${text}`);
+    } else {
+      console.log(`${indent}${chalk.yellow('~')} #${change.position} ${change.name}`);
+      for (const [attr, attrChange] of Object.entries(change.attrs)) {
+        printChange(`${indent}    `, attr, attrChange);
+      }
+      if (change.text) {
+        printChange(`${indent}    `, 'text', change.text);
+      }
+      if (Object.keys(change.attrs).length === 0 && !change.text && change.inner.length === 0) {
+        console.log(chalk.gray(`${indent}    markup changed`));
+      }
+      printBlocks(change.inner, `${indent}    `);
+    }
+  }
+}
+
+/**
+ * Print the diff of one item
+ */
+function printItem(item, pluginNames) {
+  const id = item.id ? chalk.gray(` (ID: ${item.id})`) : '';
+  console.log(chalk.bold(`${item.type}/${item.folder}`) + id);
+
+  if (item.state === 'new') {
+    console.log(chalk.green('  new: not on the remote, wp-import would create it'));
+    console.log();
+    return;
+  }
+
+  for (const [field, change] of Object.entries(item.fields)) {
+    printChange('  ', field, change);
+  }
+
+  for (const { file, changes } of item.meta) {
+    const slug = file.replace(/\.json$/, '');
+    const name = slug === 'meta' ? 'Other meta' : pluginNames.get(slug) || slug;
+    console.log(`  ${chalk.magenta(name)} ${chalk.gray(`(${file})`)}`);
+    for (const [key, change] of Object.entries(changes)) {
+      printChange('    ', key, change);
+    }
+  }
+
+  if (item.blocks.length > 0) {
+    console.log(`  ${chalk.cyan('body.html')}`);
+    printBlocks(item.blocks, '    ');
+  }
+  console.log();
+}
+
+/**
+ * Compare one export folder with its remote item
+ */
+async function diffItem(client, contentType, folder, context) {
+  const type = contentType.restBase;
+  const contentDir = getContentDir(context.importDir, type, folder);
+  const metadata = await readJson(join(contentDir, 'metadata.json'));
+
+  // Same matching as wp-import: ledger ID first, then slug
+  let remoteItem = null;
+  const entry = context.ledger.get(type, folder);
+  if (entry) {
+    remoteItem = await client.getItem(type, entry.id, { context: 'edit' }).catch(() => null);
+    if (remoteItem?.status === 'trash') remoteItem = null;
+  }
+  if (!remoteItem) {
+    remoteItem = await client.getItemBySlug(type, metadata.slug, { context: 'edit' });
+  }
+
+  const item = { type, folder, slug: metadata.slug, id: remoteItem?.id ?? null, state: 'new', fields: {}, meta: [], blocks: [] };
+  if (!remoteItem) return item;
+
+  item.fields = diffFields(metadata, remoteItem, {
+    taxonomyFields: contentType.taxonomyFields,
+    termIndex: context.termIndex,
+    sameSite: context.sameSite,
+  });
+  const metaFiles = (await readMetaFiles(contentDir)).map(({ file, meta }) => ({ file, meta: filterKeys(meta, context.metaRules) }));
+  item.meta = diffMeta(metaFiles, remoteItem.all_meta || remoteItem.meta || {});
+
+  // Compare against the remote content with its media URLs mapped back to ./media/ paths
+  let localContent = '';
+  try {
+    localContent = await readHtml(join(contentDir, 'body.html'));
+  } catch {
+    // No body.html: empty content
+  }
+  const mediaMapping = await loadMediaMapping(join(contentDir, 'media-mapping.json'));
+  const remoteContent = replaceMediaUrls(rawValue(remoteItem.content) ?? '', mediaMapping);
+  item.blocks = diffBlocks(parseBlocks(remoteContent), parseBlocks(localContent));
+
+  const changed = Object.keys(item.fields).length > 0 || item.meta.length > 0 || item.blocks.length > 0;
+  item.state = changed ? 'changed' : 'unchanged';
+  return item;
+}
+
+/**
+ * Main diff function
+ */
+async function main() {
+  print(chalk.bold('\n🔍 WordPress Content Diff\n'));
+
+  let config;
+  try {
+    config = await getConfig(options);
+    validateConfig(config);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  let manifest = null;
+  try {
+    manifest = await readJson(join(config.importDir, 'manifest.json'));
+  } catch {
+    log.warning('No manifest.json found, will scan directories');
+  }
+
+  const client = new WPApiClient(config);
+  client.onRetry = ({ method, url, attempt, delay, reason }) => {
+    log.verbose(`Retry ${attempt}/${client.maxRetries} for ${method} ${url} (${reason}) in ${delay}ms`);
+  };
+
+  try {
+    await client.testConnection();
+  } catch (error) {
+    log.error(`Connection failed: ${error.message}`);
+    process.exit(1);
+  }
+
+  let availableTypes = DEFAULT_CONTENT_TYPES;
+  try {
+    availableTypes = await discoverContentTypes(client);
+  } catch (error) {
+    log.warning(`Could not discover post types (${error.message}), using posts and pages`);
+  }
+
+  let contentTypes;
+  try {
+    contentTypes = selectContentTypes(availableTypes, config.contentType, config.project);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  // Folders to compare, narrowed to the items given on the command line
+  const targets = [];
+  for (const contentType of contentTypes) {
+    for (const folder of await listSubdirs(join(config.importDir, contentType.restBase))) {
+      const key = `${contentType.restBase}/${folder}`;
+      if (selection.length > 0 && !selection.some(s => s === contentType.restBase || s === key)) continue;
+      if (!isIncluded(folder, config.project.slugs)) continue;
+      if (await jsonExists(join(config.importDir, key, 'metadata.json'))) {
+        targets.push({ contentType, folder });
+      }
+    }
+  }
+
+  if (targets.length === 0) {
+    log.warning(selection.length > 0 ? `No exported items match: ${selection.join(', ')}` : 'No exported items found');
+    process.exit(selection.length > 0 ? 1 : 0);
+  }
+
+  // Remote terms, to compare taxonomy fields by slug
+  let taxonomies = DEFAULT_TAXONOMIES;
+  try {
+    taxonomies = await discoverTaxonomies(client);
+  } catch (error) {
+    log.warning(`Could not discover taxonomies (${error.message}), using categories and tags`);
+  }
+  const usedTaxonomies = new Set(targets.flatMap(({ contentType }) => contentType.taxonomyFields));
+  const termIndex = await fetchTermIndex(client, taxonomies.filter(t => usedTaxonomies.has(t.restBase)), (taxonomy, error) => {
+    log.warning(`Could not fetch ${taxonomy.name} terms: ${error.message}`);
+  });
+
+  const context = {
+    importDir: config.importDir,
+    ledger: await SyncLedger.load(config.importDir, config.url),
+    termIndex,
+    metaRules: config.project.meta,
+    sameSite: !manifest?.sourceUrl || manifest.sourceUrl.replace(/\/$/, '') === config.url,
+  };
+  const pluginNames = new Map((manifest?.installedPlugins || []).map(p => [p.slug, p.name]));
+
+  if (!options.json) {
+    console.log(`Comparing ${config.url} (${chalk.red('remote')}) with ${config.importDir} (${chalk.green('local')})`);
+    console.log();
+  }
+
+  const items = [];
+  let unchanged = 0;
+  let failed = 0;
+  for (const { contentType, folder } of targets) {
+    try {
+      const item = await diffItem(client, contentType, folder, context);
+      if (item.state === 'unchanged') {
+        unchanged++;
+        log.verbose(`${item.type}/${folder}: no changes`);
+        continue;
+      }
+      items.push(item);
+      if (!options.json) printItem(item, pluginNames);
+    } catch (error) {
+      log.error(`Could not compare ${contentType.restBase}/${folder}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ site: config.url, input: config.importDir, unchanged, items }, null, 2));
+  } else {
+    const changed = items.filter(item => item.state === 'changed').length;
+    const created = items.length - changed;
+    log.info(`${changed} changed, ${created} new, ${unchanged} unchanged`);
+  }
+
+  if (failed > 0) process.exit(1);
+}
+
+// Run
+main().catch((error) => {
+  log.error(`Unexpected error: ${error.message}`);
+  if (options.verbose) {
+    console.error(redact(error.stack));
+  }
+  process.exit(1);
+});
@@ -2,7 +2,8 @@
 
 import { program } from 'commander';
 import chalk from 'chalk';
-import { join } from 'path';
+import { basename, join } from 'path';
+import fs from 'fs-extra';
 import { getConfig, validateConfig } from './config.js';
 import { WPApiClient } from './lib/api-client.js';
 import {
@@ -13,26 +14,54 @@ import {
 } from './lib/file-utils.js';
 import {
   downloadAllMedia,
+  downloadFeaturedMedia,
   replaceMediaUrls,
   saveMediaMapping,
 } from './lib/media-handler.js';
 import {
   generateChecksums,
   saveChecksums,
+  captureRemoteState,
 } from './lib/checksum.js';
+import {
+  DEFAULT_CONTENT_TYPES,
+  discoverContentTypes,
+  selectContentTypes,
+} from './lib/post-types.js';
+import {
+  DEFAULT_TAXONOMIES,
+  discoverTaxonomies,
+  fetchTermIndex,
+  toTermRefs,
+  serializeTaxonomy,
+} from './lib/taxonomies.js';
+import {
+  fetchInstalledPlugins,
+  fetchAllOptions,
+  groupOptionsByPlugin,
+  groupMetaByPlugin,
+} from './lib/plugins.js';
+import { SyncLedger } from './lib/ledger.js';
+import { isIncluded, filterKeys, applyTransform } from './lib/project-config.js';
+import { WPApiError } from './lib/api-error.js';
+import { redact } from './lib/redact.js';
 
 // CLI setup
 program
   .name('wp-export')
-  .description('Export WordPress posts and pages via REST API')
+  .description('Export WordPress posts, pages, and custom post types via REST API')
+  .option('--site <name>', 'Site profile from wp-sites.json or .env.<name>')
   .option('-u, --url <url>', 'WordPress site URL')
   .option('--user <user>', 'WordPress username')
   .option('--password <password>', 'WordPress Application Password')
-  .option('-o, --output <dir>', 'Output directory', './export')
-  .option('-t, --type <type>', 'Content type: posts, pages, or all', 'all')
-  .option('-s, --status <status>', 'Post status: publish, draft, or all', 'publish')
+  .option('-o, --output <dir>', 'Output directory (default: ./export)')
+  .option('-t, --type <type>', 'Content type(s): all, or comma-separated post types (e.g. posts,portfolio) (default: all)')
+  .option('-s, --status <status>', 'Post status: publish, draft, or all (default: publish)')
+  .option('--slug <slugs>', 'Only export items with these slugs (comma-separated)')
   .option('--no-media', 'Skip downloading media files')
   .option('--no-plugins', 'Skip exporting plugin data')
+  .option('-c, --concurrency <n>', 'Parallel page requests when listing content (default: 1)')
+  .option('-r, --retries <n>', 'Retries for rate-limited/failed requests, 0 disables (default: 3)')
   .option('-v, --verbose', 'Verbose output')
   .parse();
 
@@ -40,366 +69,45 @@ const options = program.opts();
 
 // Logging helpers
 const log = {
-  info: (msg) => console.log(chalk.blue('ℹ'), msg),
-  success: (msg) => console.log(chalk.green('✓'), msg),
-  warning: (msg) => console.log(chalk.yellow('⚠'), msg),
-  error: (msg) => console.log(chalk.red('✗'), msg),
-  verbose: (msg) => options.verbose && console.log(chalk.gray('  '), msg),
+  info: (msg) => console.log(chalk.blue('ℹ'), redact(msg)),
+  success: (msg) => console.log(chalk.green('✓'), redact(msg)),
+  warning: (msg) => console.log(chalk.yellow('⚠'), redact(msg)),
+  error: (msg) => console.log(chalk.red('✗'), redact(msg)),
+  verbose: (msg) => options.verbose && console.log(chalk.gray('  '), redact(msg)),
 };
 
 /**
- * Check if a value is empty/meaningless
- */
-function isEmpty(value) {
-  if (value === null || value === undefined) return true;
-  if (value === '') return true;
-  if (value === 0) return false;
-  if (Array.isArray(value) && value.length === 0) return true;
-  if (typeof value === 'object' && Object.keys(value).length === 0) return true;
-  return false;
-}
-
-/**
- * Check if an object has any meaningful (non-empty) values
+ * Hints already printed (each is shown once per run)
  */
-function hasMeaningfulContent(obj) {
-  return Object.values(obj).some(value => !isEmpty(value));
-}
+const shownHints = new Set();
 
 /**
- * Generate possible prefixes from a plugin slug
- * e.g., "contact-form-7" -> ["wpcf7", "contact_form_7", "cf7", "contact-form-7"]
+ * Print what to do about a WordPress error, if there is a known remedy
  */
-function generatePrefixesFromSlug(slug, textDomain = null) {
-  const prefixes = new Set();
-
-  // Original slug with underscores
-  prefixes.add(slug.replace(/-/g, '_'));
-
-  // Original slug as-is
-  prefixes.add(slug);
-
-  // Text domain if different from slug
-  if (textDomain && textDomain !== slug) {
-    prefixes.add(textDomain);
-    prefixes.add(textDomain.replace(/-/g, '_'));
-  }
-
-  // Remove common suffixes like -pro, -premium, -lite
-  const cleanSlug = slug.replace(/-(pro|premium|lite|free|plus)$/i, '');
-  prefixes.add(cleanSlug.replace(/-/g, '_'));
-
-  // Remove common prefixes like seo-by-, wordpress-
-  const withoutCommonPrefixes = slug
-    .replace(/^(seo-by-|wordpress-|wp-|simple-|easy-|advanced-|ultimate-)/, '');
-  if (withoutCommonPrefixes !== slug) {
-    prefixes.add(withoutCommonPrefixes);
-    prefixes.add(withoutCommonPrefixes.replace(/-/g, '_'));
-  }
-
-  // Extract initials (e.g., "contact-form-7" -> "cf7")
-  const parts = cleanSlug.split('-').filter(p => p && !/^\d+$/.test(p));
-  if (parts.length > 1) {
-    const initials = parts.map(p => p[0]).join('');
-    if (initials.length >= 2) {
-      prefixes.add(initials);
-    }
-  }
-
-  // First word only
-  if (parts.length > 0) {
-    prefixes.add(parts[0]);
-  }
-
-  // Last two words combined (common for plugins like "rank-math")
-  if (parts.length >= 2) {
-    const lastTwo = parts.slice(-2).join('_');
-    prefixes.add(lastTwo);
-    prefixes.add(parts.slice(-2).join('-'));
-  }
-
-  // Handle known plugin variations (common patterns)
-  const knownVariations = {
-    'seo-by-rank-math': ['rank_math', 'rankmath'],
-    'wordpress-seo': ['wpseo', 'yoast_wpseo', '_yoast'],
-    'all-in-one-seo-pack': ['aioseo', '_aioseo'],
-    'contact-form-7': ['wpcf7'],
-    'wpforms-lite': ['wpforms'],
-    'advanced-custom-fields': ['acf', '_acf'],
-    'elementor': ['_elementor'],
-    'woocommerce': ['wc_', '_wc'],
-    'jetpack': ['_jetpack'],
-    'updraftplus': ['updraft_'],
-    'wordfence': ['wf_', 'wordfence_'],
-    'all-in-one-wp-migration': ['ai1wm_'],
-  };
-
-  if (knownVariations[slug]) {
-    for (const variation of knownVariations[slug]) {
-      prefixes.add(variation);
-    }
-  }
-
-  return Array.from(prefixes);
+function logHint(error) {
+  if (!(error instanceof WPApiError) || !error.hint || shownHints.has(error.hint)) return;
+  shownHints.add(error.hint);
+  console.log(chalk.cyan('  →'), redact(error.hint));
 }
 
 /**
- * Fetch list of installed plugins from WordPress
+ * Item fields exportItem reads, requested with the list call in edit context (raw content, meta)
+ * Fields a post type does not support (format, sticky, parent, ...) are left out by WordPress.
+ * Only authors are embedded: terms come from the term index, and embedded featured images
+ * lack the raw title and caption.
  */
-async function fetchInstalledPlugins(client) {
-  const plugins = [];
-
-  try {
-    // Try the plugins endpoint (requires authentication)
-    const response = await fetch(`${client.baseUrl}/wp-json/wp/v2/plugins`, {
-      headers: { Authorization: client.authHeader },
-    });
-
-    if (response.ok) {
-      const data = await response.json();
-      for (const plugin of data) {
-        if (plugin.status === 'active') {
-          // Extract plugin slug from the plugin file path
-          const pluginFile = plugin.plugin || '';
-          const slug = pluginFile.split('/')[0] || pluginFile.replace('.php', '');
-
-          const textDomain = plugin.textdomain || slug;
-          plugins.push({
-            slug,
-            name: plugin.name?.raw || plugin.name || slug,
-            version: plugin.version,
-            textDomain,
-            prefixes: generatePrefixesFromSlug(slug, textDomain),
-          });
-        }
-      }
-      return { plugins, source: 'api' };
-    }
-  } catch (error) {
-    log.verbose(`Could not fetch plugins via API: ${error.message}`);
-  }
-
-  // Fallback: detect from REST API namespaces
-  try {
-    const response = await fetch(`${client.baseUrl}/wp-json/`, {
-      headers: { Authorization: client.authHeader },
-    });
-    const apiIndex = await response.json();
-    const namespaces = apiIndex.namespaces || [];
-
-    // Map common namespaces to plugin info
-    const namespaceMap = {
-      'contact-form-7/v1': { slug: 'contact-form-7', name: 'Contact Form 7' },
-      'rankmath/v1': { slug: 'seo-by-rank-math', name: 'Rank Math SEO' },
-      'yoast/v1': { slug: 'wordpress-seo', name: 'Yoast SEO' },
-      'wc/v3': { slug: 'woocommerce', name: 'WooCommerce' },
-      'wpforms/v1': { slug: 'wpforms-lite', name: 'WPForms' },
-      'gf/v2': { slug: 'gravityforms', name: 'Gravity Forms' },
-      'elementor/v1': { slug: 'elementor', name: 'Elementor' },
-      'acf/v1': { slug: 'advanced-custom-fields', name: 'Advanced Custom Fields' },
-      'jetpack/v4': { slug: 'jetpack', name: 'Jetpack' },
-      'updraftplus/v1': { slug: 'updraftplus', name: 'UpdraftPlus' },
-      'wordfence/v1': { slug: 'wordfence', name: 'Wordfence Security' },
-    };
-
-    for (const ns of namespaces) {
-      // Skip core WordPress namespaces
-      if (ns.startsWith('wp/') || ns === 'oembed/1.0') continue;
-
-      const mapped = Object.entries(namespaceMap).find(([key]) => ns.startsWith(key.split('/')[0]));
-      if (mapped) {
-        const [, info] = mapped;
-        plugins.push({
-          slug: info.slug,
-          name: info.name,
-          namespace: ns,
-          prefixes: generatePrefixesFromSlug(info.slug),
-        });
-      } else {
-        // Extract plugin slug from namespace
-        const slug = ns.split('/')[0];
-        plugins.push({
-          slug,
-          name: slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
-          namespace: ns,
-          prefixes: generatePrefixesFromSlug(slug),
-        });
-      }
-    }
-
-    return { plugins, source: 'namespaces' };
-  } catch (error) {
-    log.verbose(`Could not detect plugins from namespaces: ${error.message}`);
-  }
-
-  return { plugins: [], source: 'none' };
-}
-
-/**
- * Fetch all options from WordPress and group by plugin
- */
-async function fetchAllOptions(client) {
-  try {
-    const response = await fetch(`${client.baseUrl}/wp-json/wp/v2/settings`, {
-      headers: { Authorization: client.authHeader },
-    });
-
-    if (response.ok) {
-      return await response.json();
-    }
-  } catch (error) {
-    log.verbose(`Could not fetch settings: ${error.message}`);
-  }
-
-  return {};
-}
-
-/**
- * Group options by plugin based on prefixes
- */
-function groupOptionsByPlugin(allOptions, plugins) {
-  const grouped = new Map();
-  const assignedKeys = new Set();
-
-  // Sort plugins by prefix length (longer first) to match more specific prefixes first
-  const sortedPlugins = [...plugins].sort((a, b) => {
-    const maxA = Math.max(...a.prefixes.map(p => p.length));
-    const maxB = Math.max(...b.prefixes.map(p => p.length));
-    return maxB - maxA;
-  });
-
-  for (const [key, value] of Object.entries(allOptions)) {
-    if (isEmpty(value)) continue;
-
-    for (const plugin of sortedPlugins) {
-      for (const prefix of plugin.prefixes) {
-        if (key.startsWith(prefix + '_') || key.startsWith(prefix + '-') || key === prefix) {
-          if (!grouped.has(plugin.slug)) {
-            grouped.set(plugin.slug, { plugin, options: {} });
-          }
-          grouped.get(plugin.slug).options[key] = value;
-          assignedKeys.add(key);
-          break;
-        }
-      }
-      if (assignedKeys.has(key)) break;
-    }
-  }
-
-  return grouped;
-}
-
-/**
- * Group post meta by plugin based on prefixes
- */
-function groupMetaByPlugin(meta, plugins) {
-  const grouped = new Map();
-  const assignedKeys = new Set();
-
-  // WordPress internal meta keys to skip
-  const skipPrefixes = ['_edit_', '_wp_', '_oembed_', '_menu_item_', '_customize_'];
-  const skipKeys = ['_thumbnail_id', '_encloseme', '_pingme'];
-
-  // Sort plugins by prefix length (longer first)
-  const sortedPlugins = [...plugins].sort((a, b) => {
-    const maxA = Math.max(...a.prefixes.map(p => p.length));
-    const maxB = Math.max(...b.prefixes.map(p => p.length));
-    return maxB - maxA;
-  });
-
-  for (const [key, value] of Object.entries(meta)) {
-    if (isEmpty(value)) continue;
-    if (skipKeys.includes(key)) continue;
-    if (skipPrefixes.some(p => key.startsWith(p))) continue;
-
-    // Try to match against known plugins
-    for (const plugin of sortedPlugins) {
-      for (const prefix of plugin.prefixes) {
-        // Match with underscore or hyphen separator, or exact match
-        const patterns = [
-          prefix + '_',
-          prefix + '-',
-          '_' + prefix + '_',
-          '_' + prefix,
-        ];
-
-        if (patterns.some(p => key.startsWith(p)) || key === prefix) {
-          if (!grouped.has(plugin.slug)) {
-            grouped.set(plugin.slug, { plugin, meta: {} });
-          }
-          grouped.get(plugin.slug).meta[key] = value;
-          assignedKeys.add(key);
-          break;
-        }
-      }
-      if (assignedKeys.has(key)) break;
-    }
-  }
-
-  // Auto-detect unknown plugins from remaining meta keys
-  const unknownGroups = new Map();
-
-  for (const [key, value] of Object.entries(meta)) {
-    if (assignedKeys.has(key) || isEmpty(value)) continue;
-    if (skipKeys.includes(key)) continue;
-    if (skipPrefixes.some(p => key.startsWith(p))) continue;
-
-    // Extract prefix from key
-    let prefix = null;
-    if (key.startsWith('_')) {
-      const match = key.match(/^(_[a-z0-9]+)_/i);
-      if (match) prefix = match[1];
-    } else {
-      const match = key.match(/^([a-z0-9]+)_/i);
-      if (match) prefix = match[1];
-    }
-
-    if (prefix && prefix.length >= 2) {
-      if (!unknownGroups.has(prefix)) {
-        unknownGroups.set(prefix, {});
-      }
-      unknownGroups.get(prefix)[key] = value;
-      assignedKeys.add(key);
-    }
-  }
-
-  // Add unknown groups that have enough keys to be meaningful
-  for (const [prefix, data] of unknownGroups) {
-    if (Object.keys(data).length >= 1 && hasMeaningfulContent(data)) {
-      const slug = prefix.replace(/^_/, '').toLowerCase().replace(/_/g, '-');
-      if (!grouped.has(slug)) {
-        grouped.set(slug, {
-          plugin: { slug, name: slug, autoDetected: true },
-          meta: data,
-        });
-      } else {
-        Object.assign(grouped.get(slug).meta, data);
-      }
-    }
-  }
-
-  // Collect remaining ungrouped meta
-  const remaining = {};
-  for (const [key, value] of Object.entries(meta)) {
-    if (!assignedKeys.has(key) && !isEmpty(value)) {
-      if (!skipKeys.includes(key) && !skipPrefixes.some(p => key.startsWith(p))) {
-        // Only include if it looks like plugin meta (has underscore structure)
-        if (key.includes('_') && !key.startsWith('_')) {
-          remaining[key] = value;
-        }
-      }
-    }
-  }
-
-  return { grouped, remaining: hasMeaningfulContent(remaining) ? remaining : null };
-}
+const EXPORT_FIELDS = [
+  'id', 'slug', 'status', 'type', 'link', 'date', 'date_gmt', 'modified', 'modified_gmt',
+  'title', 'content', 'excerpt', 'author', 'featured_media', 'template', 'format', 'sticky',
+  'parent', 'menu_order', 'meta', 'all_meta', '_links', '_embedded',
+];
 
 /**
  * Check if the WordPress site has the all_meta field available
  */
 async function checkMetaSupport(client) {
   try {
-    const { data: pages } = await client.request('/pages?per_page=1&context=edit');
+    const { data: pages } = await client.request('/pages?per_page=1&context=edit&_fields=id,meta,all_meta');
     if (pages.length > 0) {
       return {
         hasAllMeta: 'all_meta' in pages[0],
@@ -421,41 +129,32 @@ async function exportPluginRestData(client, plugin, exportDir) {
   // Special handling for known plugins with REST APIs
   if (plugin.slug === 'contact-form-7' || plugin.namespace?.startsWith('contact-form-7')) {
     try {
-      const response = await fetch(`${client.baseUrl}/wp-json/contact-form-7/v1/contact-forms`, {
-        headers: { Authorization: client.authHeader },
-      });
+      const { data } = await client.rest('contact-form-7/v1/contact-forms');
+      const forms = data.contact_forms || data || [];
+      const exportedForms = [];
 
-      if (response.ok) {
-        const data = await response.json();
-        const forms = data.contact_forms || data || [];
-        const exportedForms = [];
-
-        for (const form of forms) {
-          const detailResponse = await fetch(
-            `${client.baseUrl}/wp-json/contact-form-7/v1/contact-forms/${form.id}`,
-            { headers: { Authorization: client.authHeader } }
-          );
-
-          if (detailResponse.ok) {
-            const fullForm = await detailResponse.json();
-            exportedForms.push({
-              id: fullForm.id,
-              slug: fullForm.slug,
-              title: fullForm.title,
-              locale: fullForm.locale,
-              form: fullForm.properties?.form?.content || fullForm.form,
-              mail: fullForm.properties?.mail || fullForm.mail,
-              mail_2: fullForm.properties?.mail_2 || fullForm.mail_2,
-              messages: fullForm.properties?.messages || fullForm.messages,
-              additional_settings: fullForm.properties?.additional_settings || fullForm.additional_settings,
-            });
-          }
+      for (const form of forms) {
+        try {
+          const { data: fullForm } = await client.rest(`contact-form-7/v1/contact-forms/${form.id}`);
+          exportedForms.push({
+            id: fullForm.id,
+            slug: fullForm.slug,
+            title: fullForm.title,
+            locale: fullForm.locale,
+            form: fullForm.properties?.form?.content || fullForm.form,
+            mail: fullForm.properties?.mail || fullForm.mail,
+            mail_2: fullForm.properties?.mail_2 || fullForm.mail_2,
+            messages: fullForm.properties?.messages || fullForm.messages,
+            additional_settings: fullForm.properties?.additional_settings || fullForm.additional_settings,
+          });
+        } catch (error) {
+          log.verbose(`Could not fetch CF7 form ${form.id}: ${error.message}`);
         }
+      }
 
-        if (exportedForms.length > 0) {
-          results.items = exportedForms.length;
-          results.data = { forms: exportedForms };
-        }
+      if (exportedForms.length > 0) {
+        results.items = exportedForms.length;
+        results.data = { forms: exportedForms };
       }
     } catch (error) {
       log.verbose(`CF7 REST API error: ${error.message}`);
@@ -517,27 +216,56 @@ async function exportGlobalPluginData(client, plugins, allOptions, exportDir) {
 }
 
 /**
- * Export a single post/page
+ * List the items of a post type with the fields exportItem needs, in edit context
+ * Users who may not edit the post type get the rendered content (view context) instead.
  */
-async function exportItem(item, type, config, client, plugins, stats) {
+async function* listItems(client, contentType, params, options) {
+  const query = {
+    ...params,
+    _fields: [...EXPORT_FIELDS, ...contentType.taxonomyFields].join(','),
+    _embed: 'author',
+  };
+
+  let listed = 0;
+  try {
+    for await (const item of client.iterateItems(contentType.restBase, { ...query, context: 'edit' }, options)) {
+      listed++;
+      yield item;
+    }
+  } catch (error) {
+    if (listed > 0 || !(error instanceof WPApiError && error.code === 'rest_forbidden_context')) throw error;
+    log.warning(`No edit access to ${contentType.name.toLowerCase()}: exporting the rendered content (view context)`);
+    logHint(error);
+    yield* client.iterateItems(contentType.restBase, query, options);
+  }
+}
+
+/**
+ * Export a single item of any post type (as listed by listItems, no per-item request)
+ */
+async function exportItem(item, contentType, config, client, plugins, termIndex, stats, ledger) {
+  const type = contentType.restBase;
   const slug = item.slug || `id-${item.id}`;
   const contentDir = getContentDir(config.exportDir, type, slug);
+  const folder = basename(contentDir);
 
   log.verbose(`Exporting ${type}/${slug} (ID: ${item.id})`);
 
-  await ensureDir(contentDir);
-
-  let fullItem;
-  try {
-    const endpoint = type === 'posts' ? '/posts' : '/pages';
-    const { data } = await client.request(`${endpoint}/${item.id}?context=edit`);
-    fullItem = data;
-  } catch (error) {
-    log.warning(`Could not fetch full data for ${slug}: ${error.message}`);
-    fullItem = item;
+  // Move the folder of an item whose slug or post type changed since the last export
+  const previous = ledger.findById(item.id);
+  if (previous && (previous.type !== type || previous.folder !== folder)) {
+    const previousDir = getContentDir(config.exportDir, previous.type, previous.folder);
+    if ((await fs.pathExists(previousDir)) && !(await fs.pathExists(contentDir))) {
+      await fs.move(previousDir, contentDir);
+      log.info(`Moved ${previous.type}/${previous.folder} → ${type}/${folder} (ID: ${item.id})`);
+      stats.moved++;
+    }
+    ledger.move(previous.type, previous.folder, type, folder);
   }
 
-  let content = fullItem.content?.raw || fullItem.content?.rendered || '';
+  await ensureDir(contentDir);
+
+  let content = item.content?.raw || item.content?.rendered || '';
 
   // Download media
   if (options.media !== false && content) {
@@ -551,7 +279,8 @@ async function exportItem(item, type, config, client, plugins, stats) {
           log.verbose(`  Downloaded: ${url}`);
           stats.mediaDownloaded++;
         }
-      }
+      },
+      (url) => client.downloadHeaders(url)
     );
 
     if (mapping.size > 0) {
@@ -560,43 +289,83 @@ async function exportItem(item, type, config, client, plugins, stats) {
     }
   }
 
-  await writeHtml(join(contentDir, 'body.html'), content);
-
   // Prepare metadata
   const metadata = {
-    id: fullItem.id,
-    slug: fullItem.slug,
-    title: fullItem.title?.raw || fullItem.title?.rendered || '',
-    status: fullItem.status,
-    date: fullItem.date,
-    date_gmt: fullItem.date_gmt,
-    modified: fullItem.modified,
-    modified_gmt: fullItem.modified_gmt,
-    author: fullItem.author,
-    excerpt: fullItem.excerpt?.raw || fullItem.excerpt?.rendered || '',
-    featured_media: fullItem.featured_media,
-    template: fullItem.template || '',
-    type: fullItem.type,
-    link: fullItem.link,
+    id: item.id,
+    slug: item.slug,
+    title: item.title?.raw || item.title?.rendered || '',
+    status: item.status,
+    date: item.date,
+    date_gmt: item.date_gmt,
+    modified: item.modified,
+    modified_gmt: item.modified_gmt,
+    author: item.author,
+    excerpt: item.excerpt?.raw || item.excerpt?.rendered || '',
+    featured_media: null,
+    template: item.template || '',
+    type: item.type,
+    link: item.link,
   };
 
-  if (type === 'posts') {
-    metadata.categories = fullItem.categories || [];
-    metadata.tags = fullItem.tags || [];
-    metadata.format = fullItem.format || 'standard';
-    metadata.sticky = fullItem.sticky || false;
+  // Taxonomy terms (categories, tags, custom taxonomies) as portable slug references
+  for (const field of contentType.taxonomyFields) {
+    metadata[field] = toTermRefs(item[field], termIndex.get(field));
+  }
+
+  if ('format' in item) {
+    metadata.format = item.format || 'standard';
+  }
+  if ('sticky' in item) {
+    metadata.sticky = item.sticky || false;
   }
 
-  if (type === 'pages') {
-    metadata.parent = fullItem.parent || 0;
-    metadata.menu_order = fullItem.menu_order || 0;
+  if (contentType.hierarchical) {
+    metadata.parent = item.parent || 0;
+  }
+  if ('menu_order' in item) {
+    metadata.menu_order = item.menu_order || 0;
   }
 
-  await writeJson(join(contentDir, 'metadata.json'), metadata);
+  // Authors embedded by the list call need no lookup of their own
+  if (item.author && !stats.authors.get(item.author)) {
+    const user = item._embedded?.author?.find((embedded) => embedded.id === item.author);
+    stats.authors.set(item.author, user?.slug ? { id: user.id, slug: user.slug, name: user.name } : null);
+  }
 
-  // Get all available meta and group by plugin
-  const allMeta = fullItem.all_meta || fullItem.meta || {};
-  const { grouped, remaining } = groupMetaByPlugin(allMeta, plugins);
+  // Featured image: downloaded into media/ and recorded by filename
+  if (item.featured_media) {
+    try {
+      metadata.featured_media = await downloadFeaturedMedia(
+        client,
+        item.featured_media,
+        join(contentDir, 'media'),
+        options.media !== false
+      );
+      if (metadata.featured_media.file) {
+        log.verbose(`  Downloaded featured image: ${metadata.featured_media.file}`);
+        stats.mediaDownloaded++;
+      }
+    } catch (error) {
+      log.warning(`Could not export featured image for ${slug}: ${error.message}`);
+      logHint(error);
+      metadata.featured_media = { id: item.featured_media, file: null };
+    }
+  }
+
+  // Meta keys of the project config, then its export transform
+  const transformed = await applyTransform(config.project, 'export', {
+    type,
+    folder,
+    content,
+    metadata,
+    meta: filterKeys(item.all_meta || item.meta || {}, config.project.meta),
+  }, { site: config.url });
+
+  await writeHtml(join(contentDir, 'body.html'), transformed.content);
+  await writeJson(join(contentDir, 'metadata.json'), transformed.metadata);
+
+  // Group the meta by plugin
+  const { grouped, remaining } = groupMetaByPlugin(transformed.meta, plugins);
   const detectedExtensions = [];
 
   // Write one file per plugin
@@ -624,6 +393,16 @@ async function exportItem(item, type, config, client, plugins, stats) {
   await saveChecksums(checksums, join(contentDir, 'checksums.json'));
   log.verbose(`  Generated checksums (combined: ${checksums.combined.substring(0, 12)}...)`);
 
+  // Record the remote state, so imports into this site can detect edits made after this export
+  const { combined, files, media } = checksums;
+  ledger.set(type, folder, {
+    id: item.id,
+    slug,
+    sourceId: item.id,
+    checksums: { combined, files, media },
+    ...captureRemoteState(item),
+  });
+
   return { slug, id: item.id, extensions: detectedExtensions, checksum: checksums.combined };
 }
 
@@ -635,13 +414,14 @@ function getMuPluginCode() {
 /**
  * Plugin Name: Expose All Meta and Options to REST API
  * Description: Exposes all post meta and plugin options to the REST API for wp-content-sync export
- * Version: 1.1.0
+ * Version: 1.3.0
  */
 
 add_action('rest_api_init', function() {
-    // Expose all meta for posts and pages
+    // Expose all meta for posts, pages and custom post types
+    $content_types = array_diff(get_post_types(['show_in_rest' => true]), ['attachment', 'nav_menu_item']);
     register_rest_field(
-        ['post', 'page'],
+        array_values($content_types),
         'all_meta',
         [
             'get_callback' => function($post) {
@@ -686,6 +466,37 @@ add_action('rest_api_init', function() {
             );
         }
     }
+
+    // Sync state: checksums of the last wp-import, for change detection.
+    // _wp_ meta is hidden from all_meta and not registered for meta, so it gets its own route.
+    $sync_permission = function($request) {
+        return get_post($request['id']) !== null && current_user_can('edit_post', $request['id']);
+    };
+    $sync_response = function($id) {
+        $state = get_post_meta($id, '_wp_sync_checksums', true);
+        return ['id' => (int) $id, 'checksums' => $state ? json_decode($state, true) : null];
+    };
+    register_rest_route('wp-content-sync/v1', '/sync-state/(?P<id>\\d+)', [
+        [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => function($request) use ($sync_response) {
+                return $sync_response($request['id']);
+            },
+            'permission_callback' => $sync_permission,
+        ],
+        [
+            'methods' => WP_REST_Server::EDITABLE,
+            'callback' => function($request) use ($sync_response) {
+                $checksums = $request->get_param('checksums');
+                if (!is_array($checksums)) {
+                    return new WP_Error('rest_invalid_param', 'checksums must be an object', ['status' => 400]);
+                }
+                update_post_meta($request['id'], '_wp_sync_checksums', wp_slash(wp_json_encode($checksums)));
+                return $sync_response($request['id']);
+            },
+            'permission_callback' => $sync_permission,
+        ],
+    ]);
 });
 
 // Enable Application Passwords on non-SSL (for local development)
@@ -699,9 +510,9 @@ add_filter('wp_is_application_passwords_available', '__return_true');
 async function main() {
   console.log(chalk.bold('\n📦 WordPress Content Export\n'));
 
-  const config = getConfig(options);
-
+  let config;
   try {
+    config = await getConfig(options);
     validateConfig(config);
   } catch (error) {
     log.error(error.message);
@@ -712,9 +523,24 @@ async function main() {
   log.info(`Output: ${config.exportDir}`);
   log.info(`Type: ${config.contentType}`);
   log.info(`Status: ${config.postStatus}`);
+  if (config.concurrency > 1) {
+    log.info(`Concurrency: ${config.concurrency}`);
+  }
+  if (config.project.file) {
+    log.info(`Project config: ${config.project.file}`);
+  }
   console.log();
 
   const client = new WPApiClient(config);
+  client.onRetry = ({ method, url, attempt, delay, reason }) => {
+    log.verbose(`Retry ${attempt}/${client.maxRetries} for ${method} ${url} (${reason}) in ${delay}ms`);
+  };
+  client.onPageDrift = ({ endpoint, duplicates, missing, recovered }) => {
+    log.warning(
+      `Items shifted while listing ${endpoint}: ${duplicates} duplicate(s) dropped, ` +
+      `${recovered}/${missing} missed item(s) recovered`
+    );
+  };
 
   // Test connection
   try {
@@ -723,6 +549,24 @@ async function main() {
     log.success(`Connected to: ${siteInfo.name}`);
   } catch (error) {
     log.error(`Connection failed: ${error.message}`);
+    logHint(error);
+    process.exit(1);
+  }
+
+  // Discover post types
+  let availableTypes = DEFAULT_CONTENT_TYPES;
+  try {
+    availableTypes = await discoverContentTypes(client);
+    log.verbose(`Post types: ${availableTypes.map(t => t.restBase).join(', ')}`);
+  } catch (error) {
+    log.warning(`Could not discover post types (${error.message}), using posts and pages`);
+  }
+
+  let contentTypes;
+  try {
+    contentTypes = selectContentTypes(availableTypes, config.contentType, config.project);
+  } catch (error) {
+    log.error(error.message);
     process.exit(1);
   }
 
@@ -741,7 +585,11 @@ async function main() {
 
   // Fetch installed plugins dynamically
   log.info('Detecting installed plugins...');
-  const { plugins, source: pluginSource } = await fetchInstalledPlugins(client);
+  const { plugins, source: pluginSource } = await fetchInstalledPlugins(client, (source, error) => {
+    log.verbose(source === 'api'
+      ? `Could not fetch plugins via API: ${error.message}`
+      : `Could not detect plugins from namespaces: ${error.message}`);
+  }, config.project.plugins);
 
   if (plugins.length > 0) {
     log.success(`Found ${plugins.length} plugin(s) (via ${pluginSource})`);
@@ -752,8 +600,10 @@ async function main() {
     log.warning('No plugins detected');
   }
 
-  // Fetch all options for plugin grouping
-  const allOptions = await fetchAllOptions(client);
+  // Fetch all options for plugin grouping (option keys of the project config)
+  const allOptions = filterKeys(await fetchAllOptions(client, (error) => {
+    log.verbose(`Could not fetch settings: ${error.message}`);
+  }), config.project.options);
   log.verbose(`Fetched ${Object.keys(allOptions).length} settings`);
 
   // Prepare export directory
@@ -765,9 +615,12 @@ async function main() {
   await writeHtml(join(pluginDir, 'expose-all-meta.php'), getMuPluginCode());
 
   const stats = {
-    posts: 0,
-    pages: 0,
+    items: new Map(), // restBase -> exported count
+    terms: 0,
+    authors: new Map(), // author ID -> { id, slug, name } embedded in the list call, or null
     mediaDownloaded: 0,
+    moved: 0,
+    excluded: 0,
     extensions: new Map(),
     plugins: new Map(),
   };
@@ -780,8 +633,9 @@ async function main() {
     postStatus: config.postStatus,
     metaSupport: metaSupport.hasAllMeta ? 'full' : (metaSupport.hasStandardMeta ? 'limited' : 'none'),
     installedPlugins: plugins.map(p => ({ slug: p.slug, name: p.name })),
-    posts: [],
-    pages: [],
+    contentTypes: contentTypes.map(t => ({ slug: t.slug, restBase: t.restBase, name: t.name })),
+    taxonomies: [],
+    authors: [],
     detectedExtensions: [],
     exportedPlugins: [],
   };
@@ -813,53 +667,92 @@ async function main() {
     }
   }
 
-  // ==================== Export Posts ====================
-  if (config.contentType === 'posts' || config.contentType === 'all') {
+  // ==================== Export Taxonomies ====================
+  console.log();
+  log.info('Exporting taxonomies...');
+
+  let taxonomies = DEFAULT_TAXONOMIES;
+  try {
+    taxonomies = await discoverTaxonomies(client);
+  } catch (error) {
+    log.warning(`Could not discover taxonomies (${error.message}), using categories and tags`);
+  }
+
+  const termIndex = await fetchTermIndex(client, taxonomies, (taxonomy, error) => {
+    log.warning(`Could not fetch ${taxonomy.name} terms: ${error.message}`);
+    logHint(error);
+  });
+
+  for (const taxonomy of taxonomies) {
+    const termsById = termIndex.get(taxonomy.restBase);
+    if (!termsById) continue;
+
+    const data = serializeTaxonomy(taxonomy, termsById);
+    await writeJson(join(config.exportDir, 'taxonomies', `${taxonomy.restBase}.json`), data);
+    manifest.taxonomies.push({ slug: taxonomy.slug, restBase: taxonomy.restBase, terms: data.terms.length });
+    stats.terms += data.terms.length;
+    log.verbose(`  ${taxonomy.name}: ${data.terms.length} term(s)`);
+  }
+  log.success(`Exported ${stats.terms} term(s) from ${manifest.taxonomies.length} taxonomies`);
+
+  // ==================== Export Content ====================
+  const ledger = await SyncLedger.load(config.exportDir, config.url);
+
+  for (const contentType of contentTypes) {
+    const type = contentType.restBase;
+    const label = contentType.name.toLowerCase();
+    manifest[type] = [];
+    stats.items.set(type, 0);
+
     console.log();
-    log.info('Fetching posts...');
+    log.info(`Fetching ${label}...`);
 
     try {
-      const statusParam = config.postStatus === 'all' ? 'publish,draft,pending,private' : config.postStatus;
-      const posts = await client.getPosts({ status: statusParam });
-      log.success(`Found ${posts.length} posts`);
+      // Stream items as pages arrive instead of loading the whole collection first
+      const items = listItems(
+        client,
+        contentType,
+        { status: config.postStatus, ...(options.slug && { slug: options.slug }) },
+        { onTotal: (total) => log.success(`Found ${total} ${label}`) }
+      );
+
+      for await (const item of items) {
+        // Slugs of the project config (items requested with --slug are exported as asked)
+        if (!options.slug && !isIncluded(item.slug, config.project.slugs)) {
+          log.verbose(`Skipped ${type}/${item.slug} (excluded by the project config)`);
+          stats.excluded++;
+          continue;
+        }
 
-      for (const post of posts) {
         try {
-          const result = await exportItem(post, 'posts', config, client, plugins, stats);
-          manifest.posts.push(result);
-          stats.posts++;
-          log.success(`Exported post: ${result.slug}${result.extensions.length ? ` [${result.extensions.join(', ')}]` : ''}`);
+          const result = await exportItem(item, contentType, config, client, plugins, termIndex, stats, ledger);
+          manifest[type].push(result);
+          stats.items.set(type, stats.items.get(type) + 1);
+          log.success(`Exported ${type}/${result.slug}${result.extensions.length ? ` [${result.extensions.join(', ')}]` : ''}`);
         } catch (error) {
-          log.error(`Failed to export post ${post.slug}: ${error.message}`);
+          log.error(`Failed to export ${type}/${item.slug}: ${error.message}`);
+          logHint(error);
         }
       }
     } catch (error) {
-      log.error(`Failed to fetch posts: ${error.message}`);
+      log.error(`Failed to fetch ${label}: ${error.message}`);
+      logHint(error);
     }
   }
 
-  // ==================== Export Pages ====================
-  if (config.contentType === 'pages' || config.contentType === 'all') {
-    console.log();
-    log.info('Fetching pages...');
+  await ledger.save();
 
+  // Authors, so imports to another site can map them to users by slug
+  for (const [authorId, embedded] of stats.authors) {
+    if (embedded) {
+      manifest.authors.push(embedded);
+      continue;
+    }
     try {
-      const statusParam = config.postStatus === 'all' ? 'publish,draft,pending,private' : config.postStatus;
-      const pages = await client.getPages({ status: statusParam });
-      log.success(`Found ${pages.length} pages`);
-
-      for (const page of pages) {
-        try {
-          const result = await exportItem(page, 'pages', config, client, plugins, stats);
-          manifest.pages.push(result);
-          stats.pages++;
-          log.success(`Exported page: ${result.slug}${result.extensions.length ? ` [${result.extensions.join(', ')}]` : ''}`);
-        } catch (error) {
-          log.error(`Failed to export page ${page.slug}: ${error.message}`);
-        }
-      }
+      const user = await client.getUser(authorId);
+      manifest.authors.push({ id: user.id, slug: user.slug, name: user.name });
     } catch (error) {
-      log.error(`Failed to fetch pages: ${error.message}`);
+      log.verbose(`Could not fetch author ${authorId}: ${error.message}`);
     }
   }
 
@@ -873,11 +766,32 @@ async function main() {
   console.log(chalk.bold('═══════════════════════════════════════'));
   console.log(chalk.bold('Export Summary'));
   console.log(chalk.bold('═══════════════════════════════════════'));
-  console.log(`  Posts exported:    ${stats.posts}`);
-  console.log(`  Pages exported:    ${stats.pages}`);
+  for (const contentType of contentTypes) {
+    const label = `${contentType.name} exported:`;
+    console.log(`  ${label.padEnd(19)}${stats.items.get(contentType.restBase) || 0}`);
+  }
+  console.log(`  Terms exported:    ${stats.terms}`);
   console.log(`  Media downloaded:  ${stats.mediaDownloaded}`);
+  if (stats.moved > 0) {
+    console.log(`  Folders moved:     ${stats.moved}`);
+  }
+  if (stats.excluded > 0) {
+    console.log(`  Items excluded:    ${stats.excluded}`);
+  }
   console.log(`  Output directory:  ${config.exportDir}`);
 
+  // Items used to be fetched again one by one in edit context: one more request per exported item
+  const exported = [...stats.items.values()].reduce((sum, count) => sum + count, 0);
+  console.log(`  API requests:      ${client.requestCount}${exported > 0 ? ` (${client.requestCount + exported} with a request per exported item)` : ''}`);
+
+  if (client.retryStats.retries > 0) {
+    const { retries, recovered, exhausted, reasons } = client.retryStats;
+    const breakdown = Object.entries(reasons).map(([reason, count]) => `${reason}: ${count}`).join(', ');
+    console.log(`  Retries:           ${retries} (${breakdown})`);
+    console.log(`    Recovered:       ${recovered}`);
+    console.log(`    Gave up:         ${exhausted}`);
+  }
+
   if (stats.plugins.size > 0) {
     console.log();
     console.log(chalk.bold('Global Plugin Data:'));
@@ -904,8 +818,9 @@ async function main() {
 
 main().catch((error) => {
   log.error(`Unexpected error: ${error.message}`);
+  logHint(error);
   if (options.verbose) {
-    console.error(error.stack);
+    console.error(redact(error.stack));
   }
   process.exit(1);
 });
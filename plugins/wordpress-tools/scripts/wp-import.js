@@ -2,10 +2,10 @@
 
 import { program } from 'commander';
 import chalk from 'chalk';
-import { join } from 'path';
+import { join, resolve } from 'path';
 import fs from 'fs-extra';
 import { getConfig, validateConfig } from './config.js';
-import { WPApiClient } from './lib/api-client.js';
+import { WPApiClient, SYNC_NAMESPACE } from './lib/api-client.js';
 import {
   readJson,
   readHtml,
@@ -15,7 +15,10 @@ import {
   getContentDir,
 } from './lib/file-utils.js';
 import {
+  uploadMediaFile,
   uploadAllMedia,
+  listMediaFiles,
+  replaceMediaUrls,
   restoreMediaUrls,
   loadMediaMapping,
 } from './lib/media-handler.js';
@@ -23,37 +26,90 @@ import {
   loadChecksums,
   compareChecksums,
   generateChecksums,
+  captureRemoteState,
+  detectConflict,
 } from './lib/checksum.js';
+import {
+  DEFAULT_CONTENT_TYPES,
+  discoverContentTypes,
+  selectContentTypes,
+} from './lib/post-types.js';
+import { taxonomyRefs, TermResolver } from './lib/taxonomies.js';
+import { IdMap, extractMediaIds, rewriteContentIds, mapAuthors } from './lib/id-map.js';
+import { BACKUP_DIR_NAME, ImportBackup } from './lib/backup.js';
+import { ImportPlan, fieldChanges } from './lib/plan.js';
+import { SyncLedger, remoteBaseline } from './lib/ledger.js';
+import { indexLocalItems, hasLocalFolder } from './lib/mirror.js';
+import { normalizeProjectConfig, isIncluded, filterKeys, applyTransform } from './lib/project-config.js';
+import { WPApiError } from './lib/api-error.js';
+import { redact } from './lib/redact.js';
 
 // CLI setup
 program
   .name('wp-import')
-  .description('Import WordPress posts, pages, and plugin data via REST API')
+  .description('Import WordPress posts, pages, custom post types, and plugin data via REST API')
+  .argument('[command]', 'plan: write the changes to a plan file; apply: execute a plan file')
+  .argument('[planFile]', 'Plan file', 'plan.json')
+  .option('--site <name>', 'Site profile from wp-sites.json or .env.<name>')
   .option('-u, --url <url>', 'WordPress site URL')
   .option('--user <user>', 'WordPress username')
   .option('--password <password>', 'WordPress Application Password')
-  .option('-i, --input <dir>', 'Input directory', './export')
-  .option('-t, --type <type>', 'Content type: posts, pages, or all', 'all')
-  .option('-m, --mode <mode>', 'Import mode: create, update, or sync', 'sync')
+  .option('-i, --input <dir>', 'Input directory (default: ./export)')
+  .option('-t, --type <type>', 'Content type(s): all, or comma-separated post types (e.g. posts,portfolio) (default: all)')
+  .option('-m, --mode <mode>', 'Import mode: create, update, sync, or mirror (sync + trash remote items missing locally)', 'sync')
+  .option('-s, --status <status>', 'Remote statuses pruned in mirror mode: publish, draft, or all (default: status of the export)')
+  .option('--max-delete <percent>', 'Mirror mode refuses to trash more than this percentage of remote items', '10')
   .option('--no-media', 'Skip uploading media files')
   .option('--no-plugins', 'Skip importing plugin data')
+  .option('--no-taxonomies', 'Skip importing site-level taxonomy terms')
   .option('--dry-run', 'Show what would be imported without making changes')
+  .option('--no-backup', 'Skip the pre-import snapshot of items that will be changed')
+  .option('--backup-dir <dir>', 'Directory for pre-import snapshots (default: <input>/_backups)')
   .option('-f, --force', 'Force import all items, ignoring checksums')
+  .option('--on-conflict <action>', 'When the remote changed since export: skip, overwrite, or abort', 'skip')
+  .option('-r, --retries <n>', 'Retries for rate-limited/failed requests, 0 disables (default: 3)')
   .option('-v, --verbose', 'Verbose output')
   .parse();
 
 const options = program.opts();
+const [command, planFile] = program.processedArgs;
+const planning = command === 'plan';
+const applying = command === 'apply';
 
 // Logging helpers
 const log = {
-  info: (msg) => console.log(chalk.blue('ℹ'), msg),
-  success: (msg) => console.log(chalk.green('✓'), msg),
-  warning: (msg) => console.log(chalk.yellow('⚠'), msg),
-  error: (msg) => console.log(chalk.red('✗'), msg),
-  verbose: (msg) => options.verbose && console.log(chalk.gray('  '), msg),
-  dryRun: (msg) => console.log(chalk.cyan('[DRY-RUN]'), msg),
+  info: (msg) => console.log(chalk.blue('ℹ'), redact(msg)),
+  success: (msg) => console.log(chalk.green('✓'), redact(msg)),
+  warning: (msg) => console.log(chalk.yellow('⚠'), redact(msg)),
+  error: (msg) => console.log(chalk.red('✗'), redact(msg)),
+  verbose: (msg) => options.verbose && console.log(chalk.gray('  '), redact(msg)),
+  dryRun: (msg) => console.log(chalk.cyan('[DRY-RUN]'), redact(msg)),
 };
 
+/**
+ * Hints already printed (each is shown once per run)
+ */
+const shownHints = new Set();
+
+/**
+ * Print what to do about a WordPress error, if there is a known remedy
+ */
+function logHint(error) {
+  if (!(error instanceof WPApiError) || !error.hint || shownHints.has(error.hint)) return;
+  shownHints.add(error.hint);
+  console.log(chalk.cyan('  →'), redact(error.hint));
+}
+
+/**
+ * Raised with --on-conflict abort to stop the import at the first conflict
+ */
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
 /**
  * Import Contact Form 7 forms from plugin data file
  */
@@ -68,16 +124,12 @@ async function importContactForm7(client, pluginData, dryRun) {
       // Check if form exists
       let existingForm = null;
       try {
-        const response = await fetch(
-          `${client.baseUrl}/wp-json/contact-form-7/v1/contact-forms`,
-          { headers: { Authorization: client.authHeader } }
-        );
-        if (response.ok) {
-          const allForms = await response.json();
-          const formsList = allForms.contact_forms || allForms || [];
-          existingForm = formsList.find(f => f.slug === form.slug || f.id === form.id);
-        }
-      } catch {}
+        const { data: allForms } = await client.rest('contact-form-7/v1/contact-forms');
+        const formsList = allForms.contact_forms || allForms || [];
+        existingForm = formsList.find(f => f.slug === form.slug || f.id === form.id);
+      } catch (error) {
+        log.verbose(`Could not list CF7 forms: ${error.message}`);
+      }
 
       if (dryRun) {
         if (existingForm) {
@@ -100,33 +152,25 @@ async function importContactForm7(client, pluginData, dryRun) {
         additional_settings: form.additional_settings || '',
       };
 
-      const endpoint = existingForm
-        ? `${client.baseUrl}/wp-json/contact-form-7/v1/contact-forms/${existingForm.id}`
-        : `${client.baseUrl}/wp-json/contact-form-7/v1/contact-forms`;
+      const route = existingForm
+        ? `contact-form-7/v1/contact-forms/${existingForm.id}`
+        : 'contact-form-7/v1/contact-forms';
 
-      const response = await fetch(endpoint, {
+      await client.rest(route, {
         method: 'POST',
-        headers: {
-          Authorization: client.authHeader,
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify(formData),
       });
 
-      if (response.ok) {
-        if (existingForm) {
-          log.success(`Updated CF7 form: ${form.title}`);
-          stats.updated++;
-        } else {
-          log.success(`Created CF7 form: ${form.title}`);
-          stats.imported++;
-        }
+      if (existingForm) {
+        log.success(`Updated CF7 form: ${form.title}`);
+        stats.updated++;
       } else {
-        const error = await response.text();
-        log.error(`Failed to import CF7 form ${form.title}: ${error}`);
+        log.success(`Created CF7 form: ${form.title}`);
+        stats.imported++;
       }
     } catch (error) {
       log.error(`Error importing CF7 form ${form.title}: ${error.message}`);
+      logHint(error);
     }
   }
 
@@ -146,39 +190,37 @@ async function importPluginOptions(client, pluginData, dryRun) {
   }
 
   try {
-    const response = await fetch(`${client.baseUrl}/wp-json/wp/v2/settings`, {
-      method: 'POST',
-      headers: {
-        Authorization: client.authHeader,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(pluginOptions),
-    });
-
-    if (response.ok) {
-      log.success(`Imported ${Object.keys(pluginOptions).length} options for ${pluginData.name}`);
-      return Object.keys(pluginOptions).length;
-    } else {
-      log.warning(`Could not import options for ${pluginData.name}`);
-    }
+    await client.updateSettings(pluginOptions);
+    log.success(`Imported ${Object.keys(pluginOptions).length} options for ${pluginData.name}`);
+    return Object.keys(pluginOptions).length;
   } catch (error) {
+    log.warning(`Could not import options for ${pluginData.name}`);
     log.verbose(`Settings API error for ${pluginData.name}: ${error.message}`);
+    logHint(error);
   }
 
   return 0;
 }
 
 /**
- * Import all plugin data from export directory
+ * Snapshot current values of the plugin options an import is about to overwrite
  */
-async function importAllPlugins(client, inputDir, manifest, dryRun) {
-  const stats = {
-    plugins: new Map(),
-    totalOptions: 0,
-    totalItems: 0,
-  };
+async function backupPluginOptions(client, backup, pluginFile, pluginOptions) {
+  try {
+    const { data: settings } = await client.request('/settings');
+    const current = Object.fromEntries(
+      Object.keys(pluginOptions).filter(key => key in settings).map(key => [key, settings[key]])
+    );
+    await backup.snapshotPluginOptions(pluginFile.slug, pluginFile.name, current);
+  } catch (error) {
+    log.warning(`Could not back up options for ${pluginFile.name}: ${error.message}`);
+  }
+}
 
-  // Get list of plugin files to process
+/**
+ * Find the global plugin data files of an export
+ */
+async function findPluginFiles(inputDir, manifest) {
   const pluginFiles = [];
 
   // Use manifest if available
@@ -208,9 +250,66 @@ async function importAllPlugins(client, inputDir, manifest, dryRun) {
     }
   }
 
+  return pluginFiles;
+}
+
+/**
+ * Plan global plugin data: options that differ from the remote and forms to create/update
+ */
+async function planPlugins(client, inputDir, manifest, project, plan) {
+  let settings = {};
+  try {
+    ({ data: settings } = await client.request('/settings'));
+  } catch (error) {
+    log.warning(`Could not read settings: ${error.message}`);
+    logHint(error);
+  }
+
+  for (const pluginFile of await findPluginFiles(inputDir, manifest)) {
+    const pluginData = await fs.readJson(pluginFile.path);
+    pluginData.options = filterKeys(pluginData.options || {}, project.options);
+
+    const changedOptions = {};
+    for (const [key, value] of Object.entries(pluginData.options || {})) {
+      if (JSON.stringify(settings[key] ?? null) !== JSON.stringify(value ?? null)) {
+        changedOptions[key] = { from: settings[key] ?? null, to: value };
+      }
+    }
+    const forms = pluginFile.slug === 'contact-form-7' ? (pluginData.forms || []).map(form => form.title) : [];
+
+    if (Object.keys(changedOptions).length > 0 || forms.length > 0) {
+      plan.addPlugin({ plugin: pluginFile.slug, name: pluginFile.name, options: changedOptions, forms });
+      const details = [];
+      if (Object.keys(changedOptions).length > 0) details.push(`${Object.keys(changedOptions).length} options`);
+      if (forms.length > 0) details.push(`${forms.length} forms`);
+      log.info(`${pluginFile.name}: ${details.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Import all plugin data from export directory
+ * With a plan, only the planned options and forms of planned plugins are imported.
+ */
+async function importAllPlugins(client, inputDir, manifest, project, dryRun, backup, planned = null) {
+  const stats = {
+    plugins: new Map(),
+    totalOptions: 0,
+    totalItems: 0,
+  };
+
   // Process each plugin
-  for (const pluginFile of pluginFiles) {
+  for (const pluginFile of await findPluginFiles(inputDir, manifest)) {
     const pluginData = await fs.readJson(pluginFile.path);
+    pluginData.options = filterKeys(pluginData.options || {}, project.options);
+
+    if (planned) {
+      const entry = planned.find(p => p.plugin === pluginFile.slug);
+      if (!entry) continue;
+      pluginData.options = Object.fromEntries(Object.entries(entry.options).map(([key, { to }]) => [key, to]));
+      pluginData.forms = (pluginData.forms || []).filter(form => entry.forms.includes(form.title));
+    }
+
     let optionsImported = 0;
     let itemsImported = 0;
 
@@ -222,6 +321,9 @@ async function importAllPlugins(client, inputDir, manifest, dryRun) {
 
     // Import options if present
     if (pluginData.options && Object.keys(pluginData.options).length > 0) {
+      if (backup && !dryRun) {
+        await backupPluginOptions(client, backup, pluginFile, pluginData.options);
+      }
       optionsImported = await importPluginOptions(client, pluginData, dryRun);
     }
 
@@ -240,21 +342,22 @@ async function importAllPlugins(client, inputDir, manifest, dryRun) {
 }
 
 /**
- * Import extension meta for a post/page
+ * Read and merge the extension meta files of a content folder, keeping the keys the rules include
  */
-async function importExtensionMeta(client, contentDir, postId, type, dryRun) {
+async function readExtensionMeta(contentDir, rules) {
   const extensionFiles = await listFiles(contentDir, '.json');
   const metaToImport = {};
   const importedExtensions = [];
 
   for (const file of extensionFiles) {
     // Skip non-extension files
-    if (['metadata.json', 'media-mapping.json', 'meta.json'].includes(file)) {
+    if (['metadata.json', 'media-mapping.json', 'meta.json', 'checksums.json'].includes(file)) {
       continue;
     }
 
     const extName = file.replace('.json', '');
-    const extData = await fs.readJson(join(contentDir, file));
+    const extData = filterKeys(await fs.readJson(join(contentDir, file)), rules);
+    if (Object.keys(extData).length === 0) continue;
 
     // Merge all extension data into one meta object
     Object.assign(metaToImport, extData);
@@ -265,9 +368,35 @@ async function importExtensionMeta(client, contentDir, postId, type, dryRun) {
   const metaFile = join(contentDir, 'meta.json');
   if (await fs.pathExists(metaFile)) {
     const metaData = await fs.readJson(metaFile);
-    Object.assign(metaToImport, metaData);
+    Object.assign(metaToImport, filterKeys(metaData, rules));
+  }
+
+  return { meta: metaToImport, extensions: importedExtensions };
+}
+
+/**
+ * Update an item and write its meta through the all_meta field in one batch request
+ * Both are validated first, so content WordPress rejects leaves the meta untouched.
+ * @returns {Promise<Object>} Updated item, and the result of the all_meta write (null without meta)
+ */
+async function updateItemWithMeta(client, type, id, itemData, meta) {
+  if (Object.keys(meta).length === 0) {
+    return { item: await client.updateItem(type, id, itemData), allMeta: null };
   }
 
+  const [content, allMeta] = await client.batch([
+    { method: 'PUT', endpoint: `/${type}/${id}`, body: itemData },
+    { method: 'PUT', endpoint: `/${type}/${id}`, body: { all_meta: meta } },
+  ], { validation: 'require-all-validate' });
+  if (content.error) throw content.error;
+  return { item: content.data, allMeta };
+}
+
+/**
+ * Import extension meta for a post/page
+ * allMeta is the result of an all_meta write already sent with the content update.
+ */
+async function importExtensionMeta(client, metaToImport, importedExtensions, postId, type, dryRun, allMeta = null) {
   if (Object.keys(metaToImport).length === 0) {
     return importedExtensions;
   }
@@ -279,23 +408,26 @@ async function importExtensionMeta(client, contentDir, postId, type, dryRun) {
 
   try {
     // Try using all_meta field if available (requires mu-plugin)
-    const endpoint = type === 'posts' ? '/posts' : '/pages';
-    await client.request(`${endpoint}/${postId}`, {
-      method: 'PUT',
-      body: JSON.stringify({ all_meta: metaToImport }),
-    });
+    if (allMeta) {
+      if (allMeta.error) throw allMeta.error;
+    } else {
+      await client.request(`/${type}/${postId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ all_meta: metaToImport }),
+      });
+    }
     log.verbose(`  Imported extension meta: ${importedExtensions.join(', ')}`);
   } catch {
     // Fall back to updating meta field by field
     try {
-      const endpoint = type === 'posts' ? '/posts' : '/pages';
-      await client.request(`${endpoint}/${postId}`, {
+      await client.request(`/${type}/${postId}`, {
         method: 'PUT',
         body: JSON.stringify({ meta: metaToImport }),
       });
       log.verbose(`  Imported meta via standard API`);
     } catch (error) {
       log.warning(`  Could not import meta: ${error.message}`);
+      logHint(error);
     }
   }
 
@@ -303,12 +435,20 @@ async function importExtensionMeta(client, contentDir, postId, type, dryRun) {
 }
 
 /**
- * Fetch stored checksums from WordPress post meta
+ * Fetch stored checksums from the sync-state route, or WordPress post meta without it
  */
 async function fetchRemoteChecksums(client, postId, type) {
+  if (await client.hasSyncState()) {
+    try {
+      return await client.getSyncState(postId);
+    } catch (error) {
+      log.verbose(`  Could not read sync state: ${error.message}`);
+      return null;
+    }
+  }
+
   try {
-    const endpoint = type === 'posts' ? '/posts' : '/pages';
-    const { data } = await client.request(`${endpoint}/${postId}?context=edit`);
+    const { data } = await client.request(`/${type}/${postId}?context=edit`);
     const checksumData = data.meta?._wp_sync_checksums || data.all_meta?._wp_sync_checksums;
     if (checksumData) {
       return typeof checksumData === 'string' ? JSON.parse(checksumData) : checksumData;
@@ -320,12 +460,23 @@ async function fetchRemoteChecksums(client, postId, type) {
 }
 
 /**
- * Store checksums in WordPress post meta
+ * Store checksums through the sync-state route, or in WordPress post meta without it
+ * @returns {Promise<boolean>} Whether the sync-state route stored them (meta writes cannot be verified)
  */
 async function storeRemoteChecksums(client, postId, type, checksums) {
+  if (await client.hasSyncState()) {
+    try {
+      await client.setSyncState(postId, checksums);
+      return true;
+    } catch (error) {
+      log.warning(`  Could not store sync state: ${error.message}`);
+      logHint(error);
+      return false;
+    }
+  }
+
   try {
-    const endpoint = type === 'posts' ? '/posts' : '/pages';
-    await client.request(`${endpoint}/${postId}`, {
+    await client.request(`/${type}/${postId}`, {
       method: 'PUT',
       body: JSON.stringify({
         meta: { _wp_sync_checksums: JSON.stringify(checksums) },
@@ -334,8 +485,7 @@ async function storeRemoteChecksums(client, postId, type, checksums) {
   } catch (error) {
     // Try with all_meta field
     try {
-      const endpoint = type === 'posts' ? '/posts' : '/pages';
-      await client.request(`${endpoint}/${postId}`, {
+      await client.request(`/${type}/${postId}`, {
         method: 'PUT',
         body: JSON.stringify({
           all_meta: { _wp_sync_checksums: JSON.stringify(checksums) },
@@ -345,12 +495,68 @@ async function storeRemoteChecksums(client, postId, type, checksums) {
       // Silently fail - checksum storage is optional
     }
   }
+  return false;
+}
+
+/**
+ * Find the ledger entry of an item folder
+ * Falls back to the entry of the same source post under another folder when that
+ * folder no longer exists (renamed or moved locally), and moves the entry along.
+ */
+async function findLedgerEntry(ledger, type, folder, metadata, importDir) {
+  const entry = ledger.get(type, folder);
+  if (entry) return entry;
+
+  const previous = ledger.findBySourceId(metadata.id);
+  if (!previous || await fs.pathExists(getContentDir(importDir, previous.type, previous.folder))) {
+    return null;
+  }
+
+  log.verbose(`  Folder renamed: ${previous.type}/${previous.folder} → ${type}/${folder}`);
+  ledger.move(previous.type, previous.folder, type, folder);
+  return previous.entry;
+}
+
+/**
+ * Describe a create/update for the plan file
+ */
+async function planItem(folder, action, contentType, contentDir, itemData, meta, existingItem, comparison, client) {
+  // Compare against the remote content with its media URLs mapped back to ./media/ paths
+  const mediaMapping = await loadMediaMapping(join(contentDir, 'media-mapping.json'));
+  const remoteContent = existingItem ? replaceMediaUrls(existingItem.content?.raw ?? '', mediaMapping) : '';
+
+  const media = [];
+  if (options.media !== false) {
+    for (const file of await listMediaFiles(join(contentDir, 'media'))) {
+      const existingMedia = await client.getMediaByFilename(file).catch(() => null);
+      media.push(existingMedia ? { file, action: 'reuse', id: existingMedia.id } : { file, action: 'upload' });
+    }
+  }
+
+  return {
+    type: contentType.restBase,
+    folder,
+    slug: itemData.slug,
+    action,
+    id: existingItem?.id ?? null,
+    local: (await generateChecksums(contentDir)).combined,
+    remote: existingItem ? captureRemoteState(existingItem) : null,
+    changedFiles: comparison?.details.files ?? null,
+    changedMedia: comparison?.details.media ?? null,
+    changes: fieldChanges(itemData, existingItem, {
+      taxonomyFields: contentType.taxonomyFields,
+      remoteContent,
+      meta,
+    }),
+    media,
+  };
 }
 
 /**
- * Import a single post/page
+ * Import a single item of any post type
  */
-async function importItem(slug, type, config, client, stats) {
+async function importItem(slug, contentType, config, client, terms, ids, stats, backup, ledger) {
+  const type = contentType.restBase;
   const contentDir = getContentDir(config.importDir, type, slug);
 
   log.verbose(`Processing ${type}/${slug}`);
@@ -361,7 +567,7 @@ async function importItem(slug, type, config, client, stats) {
     throw new Error(`metadata.json not found in ${contentDir}`);
   }
 
-  const metadata = await readJson(metadataPath);
+  let metadata = await readJson(metadataPath);
 
   // Read content
   const bodyPath = join(contentDir, 'body.html');
@@ -372,6 +578,47 @@ async function importItem(slug, type, config, client, stats) {
     log.verbose(`  No body.html found, using empty content`);
   }
 
+  // Meta keys of the project config, then its import transform
+  const { meta, extensions } = await readExtensionMeta(contentDir, config.project.meta);
+  const transformed = await applyTransform(config.project, 'import', { type, folder: slug, content, metadata, meta }, { site: config.url });
+  ({ content, metadata } = transformed);
+
+  // Upload or reuse the featured image (before body media, so its details are applied on upload)
+  let featuredMediaId = null;
+  const featured = metadata.featured_media;
+  if (featured?.file && options.media !== false) {
+    const featuredPath = join(contentDir, 'media', featured.file);
+
+    if (!(await fs.pathExists(featuredPath))) {
+      log.warning(`  Featured image not found: media/${featured.file}`);
+    } else if (options.dryRun) {
+      log.dryRun(`Would set featured image ${featured.file} on ${type}/${slug}`);
+    } else {
+      try {
+        const { media, reused } = await uploadMediaFile(featuredPath, client, {
+          title: featured.title || '',
+          alt_text: featured.alt_text || '',
+          caption: featured.caption || '',
+        });
+        featuredMediaId = media.id;
+        ids.set('media', featured.id, media.id);
+        if (reused) {
+          log.verbose(`    Reused existing featured image: ${featured.file}`);
+          stats.mediaReused++;
+        } else {
+          log.verbose(`    Uploaded featured image: ${featured.file}`);
+          stats.mediaUploaded++;
+        }
+      } catch (error) {
+        log.warning(`  Could not upload featured image ${featured.file}: ${error.message}`);
+        logHint(error);
+      }
+    }
+  } else if (featured?.id) {
+    // Exported without the file (--no-media, snapshots): keep the attachment if it maps to the target
+    featuredMediaId = ids.get('media', featured.id);
+  }
+
   // Upload media and update content URLs
   let mediaMapping = new Map();
   if (options.media !== false && !options.dryRun) {
@@ -381,8 +628,13 @@ async function importItem(slug, type, config, client, stats) {
     if (originalMapping.size > 0) {
       log.verbose(`  Processing ${originalMapping.size} media files...`);
 
-      mediaMapping = await uploadAllMedia(mediaDir, client, (filename, success, error, skipped) => {
+      // Source attachment IDs of body images, to remap block attributes after upload
+      const sourceMediaIds = extractMediaIds(content);
+      const uploadedIds = new Map();
+
+      mediaMapping = await uploadAllMedia(mediaDir, client, (filename, success, error, skipped, media) => {
         if (success) {
+          uploadedIds.set(filename, media.id);
           if (skipped) {
             log.verbose(`    Reused existing: ${filename}`);
             stats.mediaReused++;
@@ -395,6 +647,10 @@ async function importItem(slug, type, config, client, stats) {
         }
       });
 
+      for (const [sourceId, filename] of sourceMediaIds) {
+        ids.set('media', sourceId, uploadedIds.get(filename));
+      }
+
       // Restore URLs in content
       if (mediaMapping.size > 0) {
         content = restoreMediaUrls(content, mediaMapping);
@@ -402,45 +658,71 @@ async function importItem(slug, type, config, client, stats) {
     }
   }
 
-  // Check if item exists
+  // Rewrite attachment IDs in block attributes and wp-image-<id> classes
+  if (!options.dryRun) {
+    const rewritten = rewriteContentIds(content, ids);
+    content = rewritten.content;
+    if (rewritten.unmapped.length > 0) {
+      log.warning(`  Attachment ID(s) ${rewritten.unmapped.join(', ')} in content have no media on ${config.url}; removed them from blocks and image classes`);
+    }
+  }
+
+  // Check if item exists: by the ID the ledger recorded (survives slug renames), then by slug
   let existingItem = null;
-  try {
-    if (type === 'posts') {
-      existingItem = await client.getPostBySlug(metadata.slug);
-    } else {
-      existingItem = await client.getPageBySlug(metadata.slug);
+  const entry = ledger ? await findLedgerEntry(ledger, type, slug, metadata, config.importDir) : null;
+  if (entry) {
+    try {
+      const item = await client.getItem(type, entry.id, { context: 'edit' });
+      existingItem = item.status === 'trash' ? null : item;
+    } catch (error) {
+      // Only a missing item is looked up by slug; other errors (e.g. rest_forbidden_context) would create a duplicate
+      if (!(error instanceof WPApiError && error.status === 404)) throw error;
+      log.verbose(`  ${type} ID ${entry.id} from the ledger no longer exists`);
     }
-  } catch {
-    // Item doesn't exist
+  }
+  if (!existingItem) {
+    existingItem = await client.getItemBySlug(type, metadata.slug, { context: 'edit' });
+  }
+
+  // What was last synced with this remote item (a stale ledger entry may point elsewhere)
+  const synced = existingItem && entry?.id === existingItem.id ? entry : null;
+
+  if (existingItem) {
+    ids.set('posts', metadata.id, existingItem.id);
   }
 
-  // Load export checksums and check for changes (unless --force)
-  let exportChecksums = null;
+  // Hash the files as they are now, so edits made since the export count as changes
+  const savedChecksums = await loadChecksums(join(contentDir, 'checksums.json'));
+  const localChecksums = await generateChecksums(contentDir);
+  let comparison = null;
   let needsUpdate = true;
 
+  // Check for changes (unless --force) against the files last pushed from here,
+  // or the checksums stored on the remote by an import from elsewhere
   if (!options.force && existingItem) {
-    exportChecksums = await loadChecksums(join(contentDir, 'checksums.json'));
-
-    if (exportChecksums) {
-      const remoteChecksums = await fetchRemoteChecksums(client, existingItem.id, type);
-      const comparison = compareChecksums(exportChecksums, remoteChecksums);
-
-      if (!comparison.changed) {
-        log.verbose(`  No changes detected (checksum match)`);
-        return {
-          slug,
-          action: 'unchanged',
-          reason: 'checksum-match',
-          id: existingItem.id,
-        };
+    const remoteChecksums = synced?.checksums ?? await fetchRemoteChecksums(client, existingItem.id, type);
+    comparison = compareChecksums(localChecksums, remoteChecksums);
+
+    if (!comparison.changed) {
+      log.verbose(`  No changes detected (checksum match)`);
+      if (ledger && !synced && !options.dryRun) {
+        // Remember the remote ID for renames; the remote state is only recorded when pushing
+        ledger.set(type, slug, { id: existingItem.id, slug: existingItem.slug, sourceId: metadata.id ?? null });
+        await ledger.save();
       }
+      return {
+        slug,
+        action: 'unchanged',
+        reason: 'checksum-match',
+        id: existingItem.id,
+      };
+    }
 
-      if (comparison.details.files.length > 0) {
-        log.verbose(`  Changed files: ${comparison.details.files.join(', ')}`);
-      }
-      if (comparison.details.media.length > 0) {
-        log.verbose(`  Changed media: ${comparison.details.media.join(', ')}`);
-      }
+    if (comparison.details.files.length > 0) {
+      log.verbose(`  Changed files: ${comparison.details.files.join(', ')}`);
+    }
+    if (comparison.details.media.length > 0) {
+      log.verbose(`  Changed media: ${comparison.details.media.join(', ')}`);
     }
   }
 
@@ -450,7 +732,7 @@ async function importItem(slug, type, config, client, stats) {
     action = 'create';
   } else if (config.importMode === 'update' && existingItem) {
     action = 'update';
-  } else if (config.importMode === 'sync') {
+  } else if (config.importMode === 'sync' || config.importMode === 'mirror') {
     action = existingItem ? 'update' : 'create';
   }
 
@@ -462,6 +744,36 @@ async function importItem(slug, type, config, client, stats) {
     };
   }
 
+  if (action === 'update' && existingItem.slug !== metadata.slug) {
+    log.info(`Renaming ${type}/${existingItem.slug} → ${metadata.slug} (ID: ${existingItem.id})`);
+  }
+
+  // Detect edits made on the remote since the export (or the last import)
+  if (action === 'update') {
+    const baseline = remoteBaseline(synced, savedChecksums, metadata, config.url, ids.identity);
+    const { conflict, remote } = detectConflict(baseline, existingItem);
+
+    if (conflict) {
+      const message = `${type}/${slug} was modified on the remote (${remote.modified_gmt}) after export (${baseline.modified_gmt})`;
+      stats.conflicts.push({
+        type,
+        slug,
+        id: existingItem.id,
+        exported: baseline.modified_gmt,
+        remote: remote.modified_gmt,
+      });
+
+      if (config.onConflict === 'abort') {
+        throw new ConflictError(message);
+      }
+      if (config.onConflict === 'skip') {
+        log.warning(`Conflict: ${message}, skipping`);
+        return { slug, action: 'conflict', id: existingItem.id };
+      }
+      log.warning(`Conflict: ${message}, overwriting`);
+    }
+  }
+
   // Prepare post/page data
   const itemData = {
     title: metadata.title,
@@ -472,96 +784,201 @@ async function importItem(slug, type, config, client, stats) {
     template: metadata.template || '',
   };
 
-  if (type === 'posts') {
-    if (metadata.categories?.length > 0) {
-      itemData.categories = metadata.categories;
-    }
-    if (metadata.tags?.length > 0) {
-      itemData.tags = metadata.tags;
-    }
-    if (metadata.format) {
-      itemData.format = metadata.format;
-    }
-    if (metadata.sticky !== undefined) {
-      itemData.sticky = metadata.sticky;
+  // Resolve portable term references (by slug) to IDs on the target, creating missing terms
+  for (const field of contentType.taxonomyFields) {
+    if (metadata[field]?.length > 0) {
+      const termIds = await terms.resolveAll(field, metadata[field]);
+      if (termIds.length > 0) {
+        itemData[field] = termIds;
+      }
     }
   }
-
-  if (type === 'pages') {
-    if (metadata.parent) {
-      itemData.parent = metadata.parent;
-    }
-    if (metadata.menu_order) {
-      itemData.menu_order = metadata.menu_order;
-    }
+  if (featuredMediaId) {
+    itemData.featured_media = featuredMediaId;
+  }
+  const authorId = ids.resolve('users', metadata.author);
+  if (authorId) {
+    itemData.author = authorId;
+  }
+  if (metadata.format) {
+    itemData.format = metadata.format;
+  }
+  if (metadata.sticky !== undefined) {
+    itemData.sticky = metadata.sticky;
+  }
+  // Parents imported later (or in another post type) are linked after all items are imported
+  const parentId = metadata.parent ? ids.get('posts', metadata.parent) : null;
+  if (parentId) {
+    itemData.parent = parentId;
+  }
+  if (metadata.menu_order) {
+    itemData.menu_order = metadata.menu_order;
   }
 
   // Dry run
   if (options.dryRun) {
+    if (planning) {
+      const plan = await planItem(slug, action, contentType, contentDir, itemData, transformed.meta, existingItem, comparison, client);
+      return { slug, action: `would-${action}`, dryRun: true, plan };
+    }
     log.dryRun(`Would ${action} ${type}/${slug}`);
     return { slug, action: `would-${action}`, dryRun: true };
   }
 
   // Execute the action
   let result;
+  let allMeta = null;
   if (action === 'create') {
-    if (type === 'posts') {
-      result = await client.createPost(itemData);
-    } else {
-      result = await client.createPage(itemData);
-    }
+    result = await client.createItem(type, itemData);
     log.success(`Created ${type}/${slug} (ID: ${result.id})`);
+    if (backup) {
+      await backup.recordCreated(type, result.slug || metadata.slug, result.id);
+    }
   } else {
-    if (type === 'posts') {
-      result = await client.updatePost(existingItem.id, itemData);
-    } else {
-      result = await client.updatePage(existingItem.id, itemData);
+    if (backup) {
+      await backup.snapshotItem(contentType, existingItem);
     }
+    ({ item: result, allMeta } = await updateItemWithMeta(client, type, existingItem.id, itemData, transformed.meta));
     log.success(`Updated ${type}/${slug} (ID: ${result.id})`);
   }
 
+  ids.set('posts', metadata.id, result.id);
+  if (metadata.parent && !parentId) {
+    ids.defer(
+      'posts',
+      metadata.parent,
+      (targetParentId) => client.updateItem(type, result.id, { parent: targetParentId }),
+      `${type}/${slug}`
+    );
+  }
+
   // Import extension meta
   const importedExtensions = await importExtensionMeta(
     client,
-    contentDir,
+    transformed.meta,
+    extensions,
     result.id,
     type,
-    options.dryRun
+    options.dryRun,
+    allMeta
   );
 
   // Store checksums in WordPress for future change detection
   if (!options.dryRun) {
-    // Load checksums if not already loaded (for new items)
-    if (!exportChecksums) {
-      exportChecksums = await loadChecksums(join(contentDir, 'checksums.json'));
+    if (await storeRemoteChecksums(client, result.id, type, localChecksums)) {
+      log.verbose(`  Stored checksums for change tracking`);
     }
 
-    if (exportChecksums) {
-      await storeRemoteChecksums(client, result.id, type, exportChecksums);
-      log.verbose(`  Stored checksums for change tracking`);
+    // Record what was pushed, as the change and conflict baseline of the next import into this site
+    if (ledger) {
+      const { combined, files, media } = localChecksums;
+      ledger.set(type, slug, {
+        id: result.id,
+        slug: result.slug || metadata.slug,
+        sourceId: metadata.id ?? null,
+        checksums: { combined, files, media },
+        ...captureRemoteState(result),
+      });
+      await ledger.save();
     }
   }
 
   return { slug, action, id: result.id, extensions: importedExtensions };
 }
 
+/**
+ * Find remote items of a post type that have no folder in the export (mirror mode)
+ * Slugs excluded by the project config are left alone.
+ */
+async function findMirrorOrphans(client, contentType, local, status, ledger, sameSite, slugRules) {
+  const orphans = [];
+  let total = 0;
+
+  for await (const item of client.iterateItems(contentType.restBase, { status, _fields: 'id,slug,status' })) {
+    if (!isIncluded(item.slug, slugRules)) continue;
+    total++;
+    if (!hasLocalFolder(item, local, { type: contentType.restBase, ledger, sameSite })) {
+      orphans.push(item);
+    }
+  }
+
+  return { total, orphans };
+}
+
+/**
+ * Move a remote item to the trash
+ */
+async function trashItem(client, restBase, id) {
+  if (restBase === 'posts') return await client.deletePost(id);
+  if (restBase === 'pages') return await client.deletePage(id);
+  return await client.deleteItem(restBase, id);
+}
+
 /**
  * Main import function
  */
 async function main() {
   console.log(chalk.bold('\n📥 WordPress Content Import\n'));
 
-  if (options.dryRun) {
+  if (command && !planning && !applying) {
+    log.error(`Unknown command: ${command}. Use: plan, apply`);
+    process.exit(1);
+  }
+
+  // Planning reads everything a real import would, but writes only the plan file
+  if (planning) {
+    options.dryRun = true;
+    log.info(`PLAN MODE - No changes will be made, writing ${planFile}`);
+    console.log();
+  } else if (options.dryRun) {
     log.info('DRY-RUN MODE - No changes will be made');
     console.log();
   }
 
   // Load and validate config
-  const config = getConfig({
-    ...options,
-    input: options.input,
-  });
-  config.importDir = options.input || config.importDir;
+  let config;
+  try {
+    config = await getConfig(options);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  // Apply runs with the settings the plan was made with
+  let plan = null;
+  if (planning) {
+    plan = new ImportPlan({
+      siteUrl: config.url,
+      importDir: resolve(config.importDir),
+      contentType: config.contentType,
+      mode: config.importMode,
+      onConflict: config.onConflict,
+      status: options.status ?? null,
+      options: {
+        force: Boolean(options.force),
+        media: options.media !== false,
+        plugins: options.plugins !== false,
+        taxonomies: options.taxonomies !== false,
+      },
+    });
+  } else if (applying) {
+    try {
+      plan = await ImportPlan.load(planFile);
+    } catch (error) {
+      log.error(`Could not read plan: ${error.message}`);
+      process.exit(1);
+    }
+    if (plan.data.siteUrl !== config.url) {
+      log.error(`${planFile} was planned for ${plan.data.siteUrl}, not ${config.url}`);
+      process.exit(1);
+    }
+    config.importDir = plan.data.importDir;
+    config.contentType = plan.data.contentType;
+    config.importMode = plan.data.mode;
+    config.onConflict = plan.data.onConflict;
+    Object.assign(options, plan.data.options, { status: plan.data.status ?? undefined });
+    log.info(`Applying ${planFile} (planned ${plan.data.created})`);
+  }
 
   try {
     validateConfig(config);
@@ -574,9 +991,16 @@ async function main() {
   log.info(`Input: ${config.importDir}`);
   log.info(`Type: ${config.contentType}`);
   log.info(`Mode: ${config.importMode}`);
+  if (config.importMode === 'mirror' && !applying) {
+    log.info(`Mirror: trashing remote items missing locally (max ${config.maxDeletePercent}%)`);
+  }
   if (options.force) {
     log.info(`Force: enabled (ignoring checksums)`);
   }
+  log.info(`On conflict: ${config.onConflict}`);
+  if (config.project.file) {
+    log.info(`Project config: ${config.project.file}`);
+  }
   console.log();
 
   // Read manifest
@@ -593,36 +1017,120 @@ async function main() {
     log.warning('No manifest.json found, will scan directories');
   }
 
+  // Snapshots (wp-rollback) are restored as taken, without the project config's rules and transforms
+  if (manifest?.backup && config.project.file) {
+    log.info('Snapshot: restoring without the project config');
+    config.project = normalizeProjectConfig({});
+  }
+
   // Create API client
   const client = new WPApiClient(config);
+  client.onRetry = ({ method, url, attempt, delay, reason }) => {
+    log.verbose(`Retry ${attempt}/${client.maxRetries} for ${method} ${url} (${reason}) in ${delay}ms`);
+  };
+  client.onBatchFallback = (error) => {
+    log.warning(`Batch API not available on ${config.url}: sending writes one by one`);
+    log.verbose(`  ${error.message}`);
+  };
 
   // Test connection
-  if (!options.dryRun) {
+  if (!options.dryRun || planning) {
     try {
       log.info('Testing connection...');
       const siteInfo = await client.testConnection();
       log.success(`Connected to: ${siteInfo.name}`);
     } catch (error) {
       log.error(`Connection failed: ${error.message}`);
+      logHint(error);
+      process.exit(1);
+    }
+  }
+
+  // Checksums stored on the remote are only read back through the mu-plugin's sync-state route
+  if (!options.force && !(await client.hasSyncState())) {
+    log.warning(`Sync-state route (${SYNC_NAMESPACE}) not found on ${config.url}: remote change detection is disabled`);
+    log.warning('  Items not in the local ledger will always be updated. Install _wordpress-plugin/expose-all-meta.php');
+    log.warning('  (1.3.0+, written by wp-export) into wp-content/mu-plugins/ to enable it.');
+  }
+
+  // Refuse to apply a plan if the local files or the remote changed since planning
+  if (applying) {
+    log.info('Checking for changes since planning...');
+    const changed = [...await plan.findLocalChanges(), ...await plan.findRemoteDrift(client)];
+    if (changed.length > 0) {
+      log.error(`Refusing to apply ${planFile}: ${changed.length} change(s) since planning`);
+      for (const line of changed) {
+        console.log(chalk.gray(`    ${line}`));
+      }
+      log.info('Create a new plan with: node wp-import.js plan');
       process.exit(1);
     }
+    log.success('No changes since planning');
+  }
+
+  // Discover post types on the target and match them to exported folders
+  let availableTypes = DEFAULT_CONTENT_TYPES;
+  try {
+    availableTypes = await discoverContentTypes(client);
+  } catch (error) {
+    log.warning(`Could not discover post types (${error.message}), using posts and pages`);
+  }
+
+  let contentTypes;
+  try {
+    contentTypes = selectContentTypes(availableTypes, config.contentType, config.project);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  for (const exported of config.contentType === 'all' ? manifest?.contentTypes || [] : []) {
+    if (!availableTypes.some(t => t.restBase === exported.restBase)) {
+      log.warning(`Post type ${exported.restBase} is not registered on the target site, skipping`);
+    }
   }
 
   const stats = {
-    posts: { created: 0, updated: 0, skipped: 0, failed: 0, unchanged: 0 },
-    pages: { created: 0, updated: 0, skipped: 0, failed: 0, unchanged: 0 },
+    types: new Map(), // restBase -> { created, updated, skipped, failed, unchanged }
     pluginStats: null,
     mediaUploaded: 0,
     mediaReused: 0,
     extensions: new Set(),
+    conflicts: [], // { type, slug, id, exported, remote }
+    aborted: false,
+    mirrorRefused: false,
   };
+  const mirrored = []; // { contentType, local } of types whose folders define the remote set
+
+  // Snapshot of everything this import changes, restorable with wp-rollback
+  const backup = options.backup !== false && !options.dryRun
+    ? new ImportBackup(options.backupDir || join(config.importDir, BACKUP_DIR_NAME), {
+      siteUrl: config.url,
+      importDir: config.importDir,
+    })
+    : null;
+
+  // Folder -> remote ID and last pushed state for this site (snapshots restore by slug)
+  const ledger = manifest?.backup ? null : await SyncLedger.load(config.importDir, config.url);
 
   // ==================== Import Global Plugin Data ====================
-  if (options.plugins !== false) {
+  if (options.plugins !== false && planning) {
+    console.log();
+    log.info('Planning global plugin data...');
+    await planPlugins(client, config.importDir, manifest, config.project, plan);
+  } else if (options.plugins !== false) {
     console.log();
     log.info('Importing global plugin data...');
 
-    stats.pluginStats = await importAllPlugins(client, config.importDir, manifest, options.dryRun);
+    stats.pluginStats = await importAllPlugins(
+      client,
+      config.importDir,
+      manifest,
+      config.project,
+      options.dryRun,
+      backup,
+      applying ? plan.data.plugins : null
+    );
 
     if (stats.pluginStats.plugins.size > 0) {
       for (const [slug, info] of stats.pluginStats.plugins) {
@@ -636,103 +1144,293 @@ async function main() {
     }
   }
 
-  // ==================== Import Posts ====================
-  if (config.contentType === 'posts' || config.contentType === 'all') {
+  // ==================== ID Remapping ====================
+  // IDs in the export belong to the source site; map them to the target as objects are matched
+  const sameSite = !manifest?.sourceUrl || manifest.sourceUrl.replace(/\/$/, '') === config.url;
+  const ids = new IdMap({ identity: sameSite });
+  if (!sameSite) {
+    log.info(`Remapping IDs from ${manifest.sourceUrl} to ${config.url}`);
+    try {
+      const missingAuthors = await mapAuthors(client, manifest.authors, ids);
+      if (missingAuthors.length > 0) {
+        log.warning(`Authors not found on target (current user will be used): ${missingAuthors.join(', ')}`);
+      }
+    } catch (error) {
+      log.warning(`Could not map authors: ${error.message}`);
+    }
+  }
+
+  // ==================== Import Taxonomies ====================
+  const terms = new TermResolver(client, {
+    ids,
+    dryRun: options.dryRun,
+    onCreate: (restBase, ref, term) => {
+      if (options.dryRun) {
+        log.dryRun(`Would create term ${restBase}/${ref.slug}`);
+        if (planning) plan.addTerm(restBase, ref.slug);
+      } else {
+        log.verbose(`  Created term ${restBase}/${ref.slug} (ID: ${term.id})`);
+      }
+    },
+  });
+
+  const taxonomyFiles = await listFiles(join(config.importDir, 'taxonomies'), '.json');
+  if (options.taxonomies !== false && taxonomyFiles.length > 0) {
     console.log();
-    log.info('Processing posts...');
+    log.info('Importing taxonomies...');
 
-    const postsDir = join(config.importDir, 'posts');
-    const postSlugs = await listSubdirs(postsDir);
+    for (const file of taxonomyFiles) {
+      const taxonomyData = await readJson(join(config.importDir, 'taxonomies', file));
+      try {
+        const before = terms.created;
+        await terms.resolveAll(taxonomyData.restBase, taxonomyRefs(taxonomyData));
+        const created = terms.created - before;
+        log.success(`${taxonomyData.name}: ${taxonomyData.terms.length} term(s), ${created} new`);
+      } catch (error) {
+        log.warning(`Could not import ${taxonomyData.name}: ${error.message}`);
+        logHint(error);
+      }
+    }
+  }
 
-    if (postSlugs.length === 0) {
-      log.info('No posts found to import');
-    } else {
-      log.info(`Found ${postSlugs.length} posts`);
+  // ==================== Import Content ====================
+  for (const contentType of contentTypes) {
+    const type = contentType.restBase;
+    const label = contentType.name.toLowerCase();
+    const folders = await listSubdirs(join(config.importDir, type));
+    const slugs = folders.filter(folder => isIncluded(folder, config.project.slugs));
 
-      for (const slug of postSlugs) {
-        try {
-          const result = await importItem(slug, 'posts', config, client, stats);
+    // With --type all, only report types that were actually exported
+    if (folders.length === 0 && config.contentType === 'all') {
+      continue;
+    }
 
-          if (result.extensions) {
-            result.extensions.forEach(ext => stats.extensions.add(ext));
-          }
+    const counts = {
+      name: contentType.name,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      failed: 0,
+      unchanged: 0,
+      conflicts: 0,
+      trashed: 0,
+      excluded: folders.length - slugs.length,
+    };
+    stats.types.set(type, counts);
+    mirrored.push({
+      contentType,
+      local: config.importMode === 'mirror' ? await indexLocalItems(config.importDir, type, folders) : null,
+    });
 
-          if (result.action === 'create' || result.action === 'would-create') {
-            stats.posts.created++;
-          } else if (result.action === 'update' || result.action === 'would-update') {
-            stats.posts.updated++;
-          } else if (result.action === 'unchanged') {
-            stats.posts.unchanged++;
-            log.verbose(`Skipped ${slug} (no changes)`);
-          } else {
-            stats.posts.skipped++;
-          }
-        } catch (error) {
-          log.error(`Failed to import post ${slug}: ${error.message}`);
-          stats.posts.failed++;
+    console.log();
+    log.info(`Processing ${label}...`);
+
+    if (slugs.length === 0) {
+      log.info(`No ${label} found to import`);
+      continue;
+    }
+
+    log.info(`Found ${slugs.length} ${label}`);
+
+    for (const slug of slugs) {
+      if (applying && !plan.includes(type, slug)) {
+        continue;
+      }
+
+      try {
+        const result = await importItem(slug, contentType, config, client, terms, ids, stats, backup, ledger);
+
+        if (planning) {
+          plan.addItem(result.plan || {
+            type,
+            folder: slug,
+            action: result.action,
+            id: result.id ?? null,
+            reason: result.reason ?? null,
+          });
         }
+
+        if (result.extensions) {
+          result.extensions.forEach(ext => stats.extensions.add(ext));
+        }
+
+        if (result.action === 'create' || result.action === 'would-create') {
+          counts.created++;
+        } else if (result.action === 'update' || result.action === 'would-update') {
+          counts.updated++;
+        } else if (result.action === 'unchanged') {
+          counts.unchanged++;
+          log.verbose(`Skipped ${slug} (no changes)`);
+        } else if (result.action === 'conflict') {
+          counts.conflicts++;
+        } else {
+          counts.skipped++;
+        }
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          log.error(`Conflict: ${error.message}, aborting import`);
+          counts.conflicts++;
+          stats.aborted = true;
+          break;
+        }
+        log.error(`Failed to import ${type}/${slug}: ${error.message}`);
+        logHint(error);
+        counts.failed++;
       }
     }
+
+    if (stats.aborted) break;
   }
 
-  // ==================== Import Pages ====================
-  if (config.contentType === 'pages' || config.contentType === 'all') {
-    console.log();
-    log.info('Processing pages...');
+  // Link parents that were imported after their children
+  if (!options.dryRun && ids.deferred.length > 0) {
+    const linked = await ids.applyDeferred();
+    if (linked.applied > 0) {
+      log.success(`Linked ${linked.applied} item(s) to parents imported later`);
+    }
+    for (const label of linked.unresolved) {
+      log.warning(`Parent of ${label} was not found on the target`);
+    }
+    for (const { label, error } of linked.failed) {
+      log.error(`Failed to set parent of ${label}: ${error.message}`);
+      logHint(error);
+    }
+  }
 
-    const pagesDir = join(config.importDir, 'pages');
-    const pageSlugs = await listSubdirs(pagesDir);
+  // ==================== Mirror: Trash Remote Items Missing Locally ====================
+  if (config.importMode === 'mirror' && !stats.aborted) {
+    const status = options.status || manifest?.postStatus || config.postStatus;
+    const candidates = [];
+    let remoteTotal = 0;
 
-    if (pageSlugs.length === 0) {
-      log.info('No pages found to import');
+    console.log();
+    if (applying) {
+      // Trash exactly what was planned (the threshold was checked when planning)
+      log.info('Trashing planned remote items...');
+      for (const entry of plan.data.trash) {
+        const contentType = contentTypes.find(t => t.restBase === entry.type);
+        candidates.push({ contentType, item: { id: entry.id, slug: entry.slug } });
+      }
     } else {
-      log.info(`Found ${pageSlugs.length} pages`);
+      log.info(`Finding remote items (status: ${status}) missing from the export...`);
+    }
 
-      for (const slug of pageSlugs) {
-        try {
-          const result = await importItem(slug, 'pages', config, client, stats);
+    for (const { contentType, local } of applying ? [] : mirrored) {
+      try {
+        const { total, orphans } = await findMirrorOrphans(client, contentType, local, status, ledger, sameSite, config.project.slugs);
+        remoteTotal += total;
+        candidates.push(...orphans.map(item => ({ contentType, item })));
+      } catch (error) {
+        log.error(`Could not list remote ${contentType.name.toLowerCase()}, not pruning them: ${error.message}`);
+        logHint(error);
+      }
+    }
+
+    const percent = remoteTotal > 0 ? (candidates.length / remoteTotal) * 100 : 0;
+
+    if (candidates.length === 0) {
+      log.info('No remote items to trash');
+    } else if (!applying && percent > config.maxDeletePercent) {
+      stats.mirrorRefused = true;
+      log.error(
+        `Refusing to trash ${candidates.length} of ${remoteTotal} remote items ` +
+        `(${percent.toFixed(1)}% > --max-delete ${config.maxDeletePercent}%)`
+      );
+      for (const { contentType, item } of candidates) {
+        console.log(chalk.gray(`    ${contentType.restBase}/${item.slug} (ID: ${item.id})`));
+      }
+    } else {
+      for (const { contentType, item } of candidates) {
+        const type = contentType.restBase;
+        const counts = stats.types.get(type);
 
-          if (result.extensions) {
-            result.extensions.forEach(ext => stats.extensions.add(ext));
+        if (options.dryRun) {
+          if (planning) {
+            plan.addTrash(type, await client.getItem(type, item.id, { context: 'edit' }));
           }
+          log.dryRun(`Would trash ${type}/${item.slug} (ID: ${item.id})`);
+          counts.trashed++;
+          continue;
+        }
 
-          if (result.action === 'create' || result.action === 'would-create') {
-            stats.pages.created++;
-          } else if (result.action === 'update' || result.action === 'would-update') {
-            stats.pages.updated++;
-          } else if (result.action === 'unchanged') {
-            stats.pages.unchanged++;
-            log.verbose(`Skipped ${slug} (no changes)`);
-          } else {
-            stats.pages.skipped++;
+        try {
+          if (backup) {
+            await backup.snapshotTrashed(contentType, await client.getItem(type, item.id, { context: 'edit' }));
+          }
+          await trashItem(client, type, item.id);
+          log.success(`Trashed ${type}/${item.slug} (ID: ${item.id})`);
+          counts.trashed++;
+
+          const known = ledger?.findById(item.id);
+          if (known) {
+            ledger.delete(known.type, known.folder);
+            await ledger.save();
           }
         } catch (error) {
-          log.error(`Failed to import page ${slug}: ${error.message}`);
-          stats.pages.failed++;
+          log.error(`Failed to trash ${type}/${item.slug}: ${error.message}`);
+          logHint(error);
+          counts.failed++;
         }
       }
     }
   }
 
+  // Forget folders removed locally (renamed folders were moved in the ledger as they were imported)
+  if (ledger && !options.dryRun) {
+    const pruned = await ledger.prune(config.importDir, mirrored.map(({ contentType }) => contentType.restBase));
+    if (pruned > 0) {
+      log.verbose(`Removed ${pruned} ledger entr${pruned === 1 ? 'y' : 'ies'} of deleted folders`);
+    }
+    await ledger.save();
+  }
+
   // ==================== Summary ====================
   console.log();
   console.log(chalk.bold('═══════════════════════════════════════'));
   console.log(chalk.bold('Import Summary'));
   console.log(chalk.bold('═══════════════════════════════════════'));
 
-  console.log(chalk.bold('  Posts:'));
-  console.log(`    Created:   ${stats.posts.created}`);
-  console.log(`    Updated:   ${stats.posts.updated}`);
-  console.log(`    Unchanged: ${stats.posts.unchanged}`);
-  console.log(`    Skipped:   ${stats.posts.skipped}`);
-  console.log(`    Failed:    ${stats.posts.failed}`);
+  for (const counts of stats.types.values()) {
+    console.log(chalk.bold(`  ${counts.name}:`));
+    console.log(`    Created:   ${counts.created}`);
+    console.log(`    Updated:   ${counts.updated}`);
+    console.log(`    Unchanged: ${counts.unchanged}`);
+    console.log(`    Skipped:   ${counts.skipped}`);
+    console.log(`    Failed:    ${counts.failed}`);
+    if (counts.conflicts > 0) {
+      console.log(`    Conflicts: ${counts.conflicts}`);
+    }
+    if (counts.excluded > 0) {
+      console.log(`    Excluded:  ${counts.excluded}`);
+    }
+    if (config.importMode === 'mirror') {
+      console.log(`    Trashed:   ${counts.trashed}`);
+    }
+  }
+
+  if (stats.conflicts.length > 0) {
+    const resolution = { skip: 'skipped', overwrite: 'overwritten', abort: 'aborted' }[config.onConflict];
+    console.log(chalk.bold(`  Conflicts (${resolution}):`));
+    for (const conflict of stats.conflicts) {
+      console.log(`    ${chalk.yellow(`${conflict.type}/${conflict.slug}`)} (ID: ${conflict.id})`);
+      console.log(chalk.gray(`      exported: ${conflict.exported}, remote: ${conflict.remote}`));
+    }
+  }
 
-  console.log(chalk.bold('  Pages:'));
-  console.log(`    Created:   ${stats.pages.created}`);
-  console.log(`    Updated:   ${stats.pages.updated}`);
-  console.log(`    Unchanged: ${stats.pages.unchanged}`);
-  console.log(`    Skipped:   ${stats.pages.skipped}`);
-  console.log(`    Failed:    ${stats.pages.failed}`);
+  if (!ids.identity) {
+    const mapped = ids.counts();
+    const unmapped = Object.entries(ids.unmapped).filter(([, count]) => count > 0);
+    console.log(chalk.bold('  ID Remapping:'));
+    console.log(`    Mapped:    ${mapped.posts} posts, ${mapped.media} media, ${mapped.terms} terms, ${mapped.users} users`);
+    if (unmapped.length > 0) {
+      console.log(`    Unmapped:  ${unmapped.map(([kind, count]) => `${count} ${kind}`).join(', ')}`);
+    }
+  }
+
+  if (terms.created > 0) {
+    console.log(chalk.bold('  Terms:'));
+    console.log(`    Created:   ${terms.created}`);
+  }
 
   if (stats.pluginStats?.plugins.size > 0) {
     console.log(chalk.bold('  Global Plugin Data:'));
@@ -754,6 +1452,30 @@ async function main() {
     }
   }
 
+  if (client.batchStats.batches > 0) {
+    const { batches, requests } = client.batchStats;
+    console.log(chalk.bold('  Batch API:'));
+    console.log(`    Writes:    ${requests} in ${batches} request(s)`);
+  }
+
+  if (client.retryStats.retries > 0) {
+    const { retries, recovered, exhausted, reasons } = client.retryStats;
+    const breakdown = Object.entries(reasons).map(([reason, count]) => `${reason}: ${count}`).join(', ');
+    console.log(chalk.bold('  Retries:'));
+    console.log(`    Attempts:  ${retries} (${breakdown})`);
+    console.log(`    Recovered: ${recovered}`);
+    console.log(`    Gave up:   ${exhausted}`);
+  }
+
+  if (backup?.size > 0) {
+    const { items, trashed, created, exportedPlugins } = backup.manifest;
+    console.log(chalk.bold('  Backup:'));
+    console.log(`    Snapshot:  ${backup.dir}`);
+    console.log(`    Contents:  ${items.length} updated, ${trashed.length} trashed, ${created.length} created, ${exportedPlugins.length} plugin(s)`);
+    const backupDirArg = options.backupDir ? ` --backup-dir ${options.backupDir}` : ` -i ${config.importDir}`;
+    console.log(chalk.gray(`    Undo with: node wp-rollback.js${backupDirArg} --snapshot ${backup.name}`));
+  }
+
   if (stats.extensions.size > 0) {
     console.log();
     console.log(chalk.bold('  Per-Content Plugin Data:'));
@@ -765,7 +1487,21 @@ async function main() {
   console.log(chalk.bold('═══════════════════════════════════════'));
   console.log();
 
-  if (options.dryRun) {
+  if (stats.aborted) {
+    log.error('Import aborted due to a conflict (use --on-conflict skip or overwrite to continue past conflicts)');
+    process.exit(1);
+  } else if (stats.mirrorRefused) {
+    log.error('Mirror pruning refused (raise --max-delete if these items should be trashed)');
+    process.exit(1);
+  } else if (planning) {
+    await plan.save(planFile);
+    const { changes, data } = plan;
+    log.success(
+      `Plan written to ${planFile}: ${changes.length} item(s) to create/update, ` +
+      `${data.trash.length} to trash, ${data.plugins.length} plugin(s), ${data.terms.length} new term(s)`
+    );
+    log.info(`Review it, then run: node wp-import.js apply ${planFile}`);
+  } else if (options.dryRun) {
     log.info('DRY-RUN complete - no changes were made');
   } else {
     log.success('Import complete!');
@@ -775,8 +1511,9 @@ async function main() {
 // Run
 main().catch((error) => {
   log.error(`Unexpected error: ${error.message}`);
+  logHint(error);
   if (options.verbose) {
-    console.error(error.stack);
+    console.error(redact(error.stack));
   }
   process.exit(1);
 });
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+import { program } from 'commander';
+import chalk from 'chalk';
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { getSiteConfigs, validateConfig } from './config.js';
+import { readJson, listSubdirs, ensureDir } from './lib/file-utils.js';
+import { BACKUP_DIR_NAME } from './lib/backup.js';
+import { LEDGER_DIR_NAME, SyncLedger } from './lib/ledger.js';
+import { rewriteExportUrls } from './lib/promote.js';
+import { authEnv } from './lib/auth.js';
+import { redact } from './lib/redact.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// CLI setup
+program
+  .name('wp-promote')
+  .description('Promote content from one WordPress site to another (export + import in one pass)')
+  .requiredOption('--only <slugs>', 'Slugs of the items to promote (comma-separated)')
+  .option('--from <url|site>', 'Source site, URL or site profile, e.g. staging (default: WP_REMOTE_URL)')
+  .option('--from-user <user>', 'Username on the source site (default: WP_REMOTE_USER)')
+  .option('--from-password <password>', 'Application Password on the source site (default: WP_REMOTE_APP_PASSWORD)')
+  .option('--to <url|site>', 'Target site, URL or site profile, e.g. production (default: WP_TARGET_URL)')
+  .option('--to-user <user>', 'Username on the target site (default: WP_TARGET_USER, else the source site\'s)')
+  .option('--to-password <password>', 'Application Password on the target site (default: WP_TARGET_APP_PASSWORD, else the source site\'s)')
+  .option('-t, --type <type>', 'Content type(s): all, or comma-separated post types (e.g. posts,portfolio)', 'all')
+  .option('-s, --status <status>', 'Post status: publish, draft, or all', 'publish')
+  .option('-w, --work-dir <dir>', 'Directory for the intermediate export, sync ledgers and import snapshots', './promote')
+  .option('--no-media', 'Skip media (featured images and content images keep their source URLs)')
+  .option('--on-conflict <action>', 'When the target changed since the last promotion: skip, overwrite, or abort', 'skip')
+  .option('-f, --force', 'Import all selected items, ignoring checksums')
+  .option('--dry-run', 'Export and show what would be imported without changing the target')
+  .option('-r, --retries <n>', 'Retries for rate-limited/failed requests, 0 disables (default: 3)')
+  .option('-v, --verbose', 'Verbose output')
+  .parse();
+
+const options = program.opts();
+
+// Logging helpers
+const log = {
+  info: (msg) => console.log(chalk.blue('ℹ'), redact(msg)),
+  success: (msg) => console.log(chalk.green('✓'), redact(msg)),
+  warning: (msg) => console.log(chalk.yellow('⚠'), redact(msg)),
+  error: (msg) => console.log(chalk.red('✗'), redact(msg)),
+  verbose: (msg) => options.verbose && console.log(chalk.gray('  '), redact(msg)),
+};
+
+/**
+ * Run wp-export.js or wp-import.js against a site
+ * Credentials are handed over through the environment, not the command line.
+ */
+function runScript(script, args, config) {
+  return new Promise((resolvePromise, reject) => {
+    const child = spawn(process.execPath, [join(__dirname, script), ...args], {
+      stdio: 'inherit',
+      env: {
+        ...process.env,
+        WP_REMOTE_URL: config.url,
+        WP_REMOTE_USER: config.user,
+        WP_REMOTE_APP_PASSWORD: config.appPassword,
+        ...authEnv(config.auth),
+      },
+    });
+    child.on('error', reject);
+    child.on('close', (code) => resolvePromise(code));
+  });
+}
+
+/**
+ * Print a step banner
+ */
+function printStep(title) {
+  console.log();
+  console.log(chalk.bold.cyan(`▶ ${title}`));
+}
+
+/**
+ * Remove the content of an earlier promotion, keeping sync ledgers and snapshots
+ */
+async function clearWorkDir(workDir) {
+  for (const entry of await fs.readdir(workDir)) {
+    if (entry !== LEDGER_DIR_NAME && entry !== BACKUP_DIR_NAME) {
+      await fs.remove(join(workDir, entry));
+    }
+  }
+}
+
+/**
+ * Build the wp-rollback command that undoes the import into the target
+ * wp-rollback reads WP_REMOTE_* (the source site's credentials) unless told otherwise: a profile
+ * brings its own, a URL needs the target's user and Application Password (never printed).
+ */
+function rollbackCommand(to) {
+  const target = to.site ? `--site ${to.site}` : `-u ${to.url}`;
+  const command = `node wp-rollback.js ${target} -i ${options.workDir} -s latest`;
+  if (to.site || to.auth.method === 'oauth1') {
+    return { command, note: null };
+  }
+  return {
+    command: `${command} --user ${to.user} --password <application-password>`,
+    note: `Use the Application Password of ${to.user} on ${to.url} (or omit --password when it is stored with: node wp-auth.js add ${to.url}, and WP_REMOTE_APP_PASSWORD is unset).`,
+  };
+}
+
+/**
+ * Main promote function
+ */
+async function main() {
+  console.log(chalk.bold('\n🚀 WordPress Content Promotion\n'));
+
+  let configs;
+  try {
+    configs = await getSiteConfigs(options);
+    validateConfig(configs.from);
+    validateConfig(configs.to);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+  const { from, to } = configs;
+
+  if (from.url === to.url) {
+    log.error(`Both sites are ${from.url}; use --from and --to to pick two different sites`);
+    process.exit(1);
+  }
+
+  const onConflict = options.onConflict;
+  if (!['skip', 'overwrite', 'abort'].includes(onConflict)) {
+    log.error(`Invalid --on-conflict value: ${onConflict}. Use: skip, overwrite, abort`);
+    process.exit(1);
+  }
+
+  const slugs = [...new Set(options.only.split(',').map(s => s.trim()).filter(Boolean))];
+  if (slugs.length === 0) {
+    log.error('No slugs given to --only');
+    process.exit(1);
+  }
+
+  const workDir = resolve(options.workDir);
+  await ensureDir(workDir);
+  await clearWorkDir(workDir);
+
+  log.info(`From:  ${from.url}`);
+  log.info(`To:    ${to.url}`);
+  log.info(`Items: ${slugs.join(', ')}`);
+  if (options.dryRun) {
+    log.warning('DRY RUN - the target will not be changed');
+  }
+
+  const shared = ['-t', options.type];
+  if (options.media === false) shared.push('--no-media');
+  if (options.retries !== undefined) shared.push('-r', options.retries);
+  if (options.verbose) shared.push('-v');
+
+  // ==================== Export from the source ====================
+  printStep(`Exporting from ${from.url}`);
+  const exportCode = await runScript(
+    'wp-export.js',
+    ['-o', workDir, '-s', options.status, '--slug', slugs.join(','), '--no-plugins', ...shared],
+    from
+  );
+  if (exportCode !== 0) {
+    log.error(`Export failed (exit code ${exportCode}), nothing was imported`);
+    process.exit(1);
+  }
+
+  const manifest = await readJson(join(workDir, 'manifest.json'));
+  const types = manifest.contentTypes.map(t => t.restBase);
+  const exported = types.flatMap(type => (manifest[type] || []).map(item => ({ type, slug: item.slug })));
+
+  const missing = slugs.filter(slug => !exported.some(item => item.slug === slug));
+  for (const slug of missing) {
+    log.warning(`${slug}: not found on ${from.url} (status ${options.status})`);
+  }
+  if (exported.length === 0) {
+    log.error('Nothing to promote');
+    process.exit(1);
+  }
+
+  // ==================== Rewrite internal links ====================
+  printStep(`Rewriting links to ${from.url}`);
+  const rewritten = await rewriteExportUrls(workDir, types, from.url, to.url);
+  log.success(`Rewrote ${rewritten.links} link(s) in ${rewritten.files} file(s) to ${to.url}`);
+
+  // ==================== Import into the target ====================
+  // Global plugin options and the source's full term lists stay behind: referenced terms are
+  // created on demand, and snapshots go to <work-dir>/_backups for wp-rollback.
+  printStep(`Importing into ${to.url}`);
+  const importStarted = new Date().toISOString();
+  const importArgs = ['-i', workDir, '-m', 'sync', '--no-plugins', '--no-taxonomies', '--on-conflict', onConflict, ...shared];
+  if (options.force) importArgs.push('--force');
+  if (options.dryRun) importArgs.push('--dry-run');
+  const importCode = await runScript('wp-import.js', importArgs, to);
+
+  // ==================== Summary ====================
+  // Items written or confirmed by this import have a fresh entry in the target's ledger
+  const ledger = await SyncLedger.load(workDir, to.url);
+  const results = [];
+  for (const type of types) {
+    for (const folder of await listSubdirs(join(workDir, type))) {
+      const entry = ledger.get(type, folder);
+      const state = !entry ? 'not promoted' : (entry.synced >= importStarted ? 'promoted' : 'up to date');
+      results.push({ type, folder, id: entry?.id ?? null, state });
+    }
+  }
+
+  console.log();
+  console.log(chalk.bold('═══════════════════════════════════════'));
+  console.log(chalk.bold('Promotion Summary'));
+  console.log(chalk.bold('═══════════════════════════════════════'));
+  console.log(`  From:              ${from.url}`);
+  console.log(`  To:                ${to.url}`);
+  console.log(`  Links rewritten:   ${rewritten.links}`);
+  console.log();
+  for (const result of results) {
+    const id = result.id ? chalk.gray(` (ID: ${result.id})`) : '';
+    const label = options.dryRun ? 'dry run' : result.state;
+    const color = options.dryRun ? chalk.gray : { promoted: chalk.green, 'up to date': chalk.gray, 'not promoted': chalk.yellow }[result.state];
+    console.log(`  ${color(label.padEnd(14))}${result.type}/${result.folder}${id}`);
+  }
+  for (const slug of missing) {
+    console.log(`  ${chalk.red('not found'.padEnd(14))}${slug}`);
+  }
+  console.log(chalk.bold('═══════════════════════════════════════'));
+  console.log();
+
+  if (importCode !== 0) {
+    log.error(`Import failed (exit code ${importCode})`);
+    process.exit(1);
+  }
+  if (!options.dryRun && results.some(result => result.state === 'not promoted')) {
+    log.warning('Some items were not promoted (skipped or failed, see the import output above)');
+    process.exit(1);
+  }
+  if (!options.dryRun && results.some(result => result.state === 'promoted')) {
+    const undo = rollbackCommand(to);
+    log.success(`Done. Undo with: ${undo.command}`);
+    if (undo.note) log.info(undo.note);
+  }
+  if (missing.length > 0) {
+    process.exit(1);
+  }
+}
+
+// Run
+main().catch((error) => {
+  log.error(`Unexpected error: ${error.message}`);
+  if (options.verbose) {
+    console.error(redact(error.stack));
+  }
+  process.exit(1);
+});
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+import { program } from 'commander';
+import chalk from 'chalk';
+import { spawn } from 'child_process';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { getConfig, validateConfig } from './config.js';
+import { WPApiClient } from './lib/api-client.js';
+import { BACKUP_DIR_NAME, listSnapshots } from './lib/backup.js';
+import { authEnv } from './lib/auth.js';
+import { redact } from './lib/redact.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// CLI setup
+program
+  .name('wp-rollback')
+  .description('Restore a pre-import snapshot taken by wp-import')
+  .option('--site <name>', 'Site profile from wp-sites.json or .env.<name>')
+  .option('-u, --url <url>', 'WordPress site URL')
+  .option('--user <user>', 'WordPress username')
+  .option('--password <password>', 'WordPress Application Password')
+  .option('-i, --input <dir>', 'Export directory the import was run from (default: ./export)')
+  .option('--backup-dir <dir>', 'Directory with pre-import snapshots (default: <input>/_backups)')
+  .option('-s, --snapshot <name>', 'Snapshot to restore, or "latest" (lists snapshots if omitted)')
+  .option('--keep-created', 'Do not trash items the import created')
+  .option('--dry-run', 'Show what would be restored without making changes')
+  .option('-r, --retries <n>', 'Retries for rate-limited/failed requests, 0 disables (default: 3)')
+  .option('-v, --verbose', 'Verbose output')
+  .parse();
+
+const options = program.opts();
+
+// Logging helpers
+const log = {
+  info: (msg) => console.log(chalk.blue('ℹ'), redact(msg)),
+  success: (msg) => console.log(chalk.green('✓'), redact(msg)),
+  warning: (msg) => console.log(chalk.yellow('⚠'), redact(msg)),
+  error: (msg) => console.log(chalk.red('✗'), redact(msg)),
+  verbose: (msg) => options.verbose && console.log(chalk.gray('  '), redact(msg)),
+  dryRun: (msg) => console.log(chalk.cyan('[DRY-RUN]'), redact(msg)),
+};
+
+/**
+ * Print the available snapshots
+ */
+function printSnapshots(snapshots) {
+  if (snapshots.length === 0) {
+    log.info('No snapshots found');
+    return;
+  }
+
+  for (const { name, manifest } of snapshots) {
+    const { items, trashed, created, exportedPlugins } = manifest;
+    console.log(`  ${chalk.cyan(name)}  ${manifest.sourceUrl}`);
+    console.log(chalk.gray(
+      `    ${items.length} updated, ${trashed.length} trashed, ${created.length} created, ` +
+      `${exportedPlugins.length} plugin(s) — import of ${manifest.importDir}`
+    ));
+  }
+}
+
+/**
+ * Restore snapshot items and plugin options through wp-import
+ * @returns {Promise<number>} Exit code of wp-import
+ */
+function runImport(snapshotDir, backupRoot, config) {
+  const args = [
+    join(__dirname, 'wp-import.js'),
+    '--input', snapshotDir,
+    '--type', 'all',
+    '--mode', 'update',
+    '--force',
+    '--on-conflict', 'overwrite',
+    '--no-media',
+    '--no-taxonomies',
+    '--backup-dir', backupRoot,
+  ];
+  if (options.dryRun) args.push('--dry-run');
+  if (options.verbose) args.push('--verbose');
+  if (options.retries !== undefined) args.push('--retries', options.retries);
+
+  // Credentials are passed through the environment, not the command line
+  const env = {
+    ...process.env,
+    WP_REMOTE_URL: config.url,
+    WP_REMOTE_USER: config.user,
+    WP_REMOTE_APP_PASSWORD: config.appPassword,
+    ...authEnv(config.auth),
+  };
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, { stdio: 'inherit', env });
+    child.on('error', reject);
+    child.on('exit', (code) => resolve(code ?? 1));
+  });
+}
+
+/**
+ * Main rollback function
+ */
+async function main() {
+  console.log(chalk.bold('\n⏪ WordPress Import Rollback\n'));
+
+  let config;
+  try {
+    config = await getConfig(options);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+  const backupRoot = options.backupDir || join(config.importDir, BACKUP_DIR_NAME);
+  const snapshots = await listSnapshots(backupRoot);
+
+  if (!options.snapshot) {
+    log.info(`Snapshots in ${backupRoot}:`);
+    printSnapshots(snapshots);
+    if (snapshots.length > 0) {
+      console.log();
+      log.info('Restore one with --snapshot <name> (or --snapshot latest)');
+    }
+    return;
+  }
+
+  const snapshot = options.snapshot === 'latest'
+    ? snapshots[0]
+    : snapshots.find(s => s.name === options.snapshot);
+  if (!snapshot) {
+    log.error(`Snapshot not found: ${options.snapshot} (in ${backupRoot})`);
+    process.exit(1);
+  }
+
+  try {
+    validateConfig(config);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  const { manifest } = snapshot;
+  if (manifest.sourceUrl !== config.url) {
+    log.error(`Snapshot ${snapshot.name} was taken from ${manifest.sourceUrl}, not ${config.url}`);
+    process.exit(1);
+  }
+
+  log.info(`Target: ${config.url}`);
+  log.info(`Snapshot: ${snapshot.dir}`);
+  if (options.dryRun) {
+    log.info('DRY-RUN MODE - No changes will be made');
+  }
+
+  const client = new WPApiClient(config);
+  client.onRetry = ({ method, url, attempt, delay, reason }) => {
+    log.verbose(`Retry ${attempt}/${client.maxRetries} for ${method} ${url} (${reason}) in ${delay}ms`);
+  };
+
+  if (!options.dryRun) {
+    try {
+      const siteInfo = await client.testConnection();
+      log.success(`Connected to: ${siteInfo.name}`);
+    } catch (error) {
+      log.error(`Connection failed: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  let failed = 0;
+
+  // Untrash items removed by mirror mode, so the import finds them by slug
+  if (manifest.trashed.length > 0) {
+    console.log();
+    log.info(`Restoring ${manifest.trashed.length} trashed item(s)...`);
+    for (const { restBase, slug, id, status } of manifest.trashed) {
+      if (options.dryRun) {
+        log.dryRun(`Would restore ${restBase}/${slug} (ID: ${id}) from trash`);
+        continue;
+      }
+      try {
+        await client.updateItem(restBase, id, { status });
+        log.success(`Restored ${restBase}/${slug} (ID: ${id}) from trash`);
+      } catch (error) {
+        log.error(`Failed to restore ${restBase}/${slug}: ${error.message}`);
+        failed++;
+      }
+    }
+  }
+
+  // Put back content, meta and plugin options
+  if (manifest.items.length > 0 || manifest.trashed.length > 0 || manifest.exportedPlugins.length > 0) {
+    console.log();
+    log.info('Restoring snapshot content via wp-import...');
+    const code = await runImport(snapshot.dir, backupRoot, config);
+    if (code !== 0) {
+      log.error(`wp-import exited with code ${code}`);
+      failed++;
+    }
+  }
+
+  // Remove items the import created
+  if (manifest.created.length > 0 && !options.keepCreated) {
+    console.log();
+    log.info(`Trashing ${manifest.created.length} item(s) created by the import...`);
+    for (const { restBase, slug, id } of manifest.created) {
+      if (options.dryRun) {
+        log.dryRun(`Would trash ${restBase}/${slug} (ID: ${id})`);
+        continue;
+      }
+      try {
+        await client.deleteItem(restBase, id);
+        log.success(`Trashed ${restBase}/${slug} (ID: ${id})`);
+      } catch (error) {
+        log.error(`Failed to trash ${restBase}/${slug}: ${error.message}`);
+        failed++;
+      }
+    }
+  }
+
+  console.log();
+  if (failed > 0) {
+    log.error(`Rollback finished with ${failed} error(s)`);
+    process.exit(1);
+  } else if (options.dryRun) {
+    log.info('DRY-RUN complete - no changes were made');
+  } else {
+    log.success(`Rolled back to snapshot ${snapshot.name}`);
+  }
+}
+
+// Run
+main().catch((error) => {
+  log.error(`Unexpected error: ${error.message}`);
+  if (options.verbose) {
+    console.error(redact(error.stack));
+  }
+  process.exit(1);
+});
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+import { program } from 'commander';
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { join, relative } from 'path';
+import { CONFIG_DIR, getConfig, validateConfig } from './config.js';
+import { WPApiClient } from './lib/api-client.js';
+import { SITES_FILE, loadSiteProfiles, profileAuth } from './lib/sites.js';
+import { VAULT_FILE } from './lib/vault.js';
+import { WPApiError } from './lib/api-error.js';
+import { redact } from './lib/redact.js';
+
+// CLI setup
+program
+  .name('wp-sites')
+  .description('List the site profiles and test their connections')
+  .argument('[command]', 'list: show the site profiles; test: test their connections', 'list')
+  .argument('[sites...]', 'Profiles to test (default: all)')
+  .option('-r, --retries <n>', 'Retries for rate-limited/failed requests, 0 disables (default: 3)')
+  .option('-v, --verbose', 'Verbose output')
+  .parse();
+
+const options = program.opts();
+const [command, selection] = program.processedArgs;
+
+// Logging helpers
+const log = {
+  info: (msg) => console.log(chalk.blue('ℹ'), redact(msg)),
+  success: (msg) => console.log(chalk.green('✓'), redact(msg)),
+  warning: (msg) => console.log(chalk.yellow('⚠'), redact(msg)),
+  error: (msg) => console.log(chalk.red('✗'), redact(msg)),
+  verbose: (msg) => options.verbose && console.log(chalk.gray('  '), redact(msg)),
+};
+
+/**
+ * Describe where a profile's password comes from
+ * The vault is not unlocked for listing, so vault passwords show as such without a check.
+ */
+function describePassword(profile) {
+  if (profile.appPassword) return chalk.green('set');
+  if (profile.appPasswordEnv && process.env[profile.appPasswordEnv]) {
+    return chalk.green(`from ${profile.appPasswordEnv}`);
+  }
+  if (fs.existsSync(join(CONFIG_DIR, VAULT_FILE))) return chalk.gray('from the vault (wp-auth)');
+  return chalk.red(profile.appPasswordEnv ? `${profile.appPasswordEnv} not set` : 'missing');
+}
+
+/**
+ * Describe a profile's credentials: auth method, user and password or OAuth1 token, gate
+ */
+function describeCredentials(profile) {
+  const auth = profileAuth(profile);
+  const gate = auth.gate ? chalk.gray(`, behind HTTP Basic gate (${auth.gate.user})`) : '';
+
+  if (auth.method === 'oauth1') {
+    const complete = auth.oauth?.consumerSecret && auth.oauth.token && auth.oauth.tokenSecret;
+    return chalk.gray('oauth1, token ') + (complete ? chalk.green('set') : chalk.red('missing')) + gate;
+  }
+  const method = auth.method === 'application-password' ? '' : `${auth.method} auth, `;
+  return chalk.gray(`${method}user ${profile.user || 'admin'}, password `) + describePassword(profile) + gate;
+}
+
+/**
+ * Print the profiles with their connection and defaults
+ */
+function listProfiles(profiles) {
+  for (const profile of profiles.values()) {
+    console.log(`  ${chalk.bold(profile.name.padEnd(16))}${profile.url}`);
+    console.log(`  ${''.padEnd(16)}${describeCredentials(profile)}`);
+
+    const defaults = [];
+    if (profile.type) defaults.push(`type ${profile.type}`);
+    if (profile.status) defaults.push(`status ${profile.status}`);
+    if (profile.exportDir) defaults.push(`export ${relative(process.cwd(), profile.exportDir) || '.'}`);
+    if (profile.concurrency) defaults.push(`concurrency ${profile.concurrency}`);
+    if (defaults.length > 0) {
+      console.log(chalk.gray(`  ${''.padEnd(16)}${defaults.join(', ')}`));
+    }
+    console.log(chalk.gray(`  ${''.padEnd(16)}${relative(CONFIG_DIR, profile.source)}`));
+    console.log();
+  }
+}
+
+/**
+ * Test the connection and credentials of one profile
+ * @returns {Promise<boolean>} Whether the site is reachable and the credentials work
+ */
+async function testProfile(profile) {
+  let config;
+  try {
+    config = await getConfig({ site: profile.name, retries: options.retries ?? '1' });
+    validateConfig(config);
+  } catch (error) {
+    log.error(`${profile.name}: ${error.message}`);
+    return false;
+  }
+
+  const client = new WPApiClient(config);
+  client.onRetry = ({ method, url, attempt, delay, reason }) => {
+    log.verbose(`Retry ${attempt}/${client.maxRetries} for ${method} ${url} (${reason}) in ${delay}ms`);
+  };
+
+  let siteInfo;
+  try {
+    siteInfo = await client.testConnection();
+  } catch (error) {
+    log.error(`${profile.name}: ${config.url} not reachable (${error.message})`);
+    if (error instanceof WPApiError && error.hint) log.info(error.hint);
+    return false;
+  }
+
+  try {
+    const user = await client.getCurrentUser();
+    log.success(`${profile.name}: connected to ${siteInfo.name || config.url} as ${user.name || user.slug}`);
+    return true;
+  } catch (error) {
+    log.error(`${profile.name}: ${config.url} reachable, but authentication failed (${error.message})`);
+    if (error instanceof WPApiError && error.hint) log.info(error.hint);
+    return false;
+  }
+}
+
+/**
+ * Main sites function
+ */
+async function main() {
+  console.log(chalk.bold('\n🌐 WordPress Site Profiles\n'));
+
+  if (!['list', 'test'].includes(command)) {
+    log.error(`Unknown command: ${command}. Use: list, test`);
+    process.exit(1);
+  }
+
+  let profiles;
+  try {
+    profiles = loadSiteProfiles(CONFIG_DIR);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  if (profiles.size === 0) {
+    log.warning(`No site profiles. Create ${SITES_FILE} or .env.<name> files in ${CONFIG_DIR}`);
+    return;
+  }
+
+  const unknown = selection.filter(name => !profiles.has(name));
+  if (unknown.length > 0) {
+    log.error(`Unknown site(s): ${unknown.join(', ')}. Available: ${[...profiles.keys()].join(', ')}`);
+    process.exit(1);
+  }
+  const selected = selection.length > 0
+    ? new Map(selection.map(name => [name, profiles.get(name)]))
+    : profiles;
+
+  if (command === 'list') {
+    listProfiles(selected);
+    log.info('Use a profile with --site <name>, or --from/--to <name> in wp-compare and wp-promote');
+    return;
+  }
+
+  let failed = 0;
+  for (const profile of selected.values()) {
+    if (!(await testProfile(profile))) failed++;
+  }
+
+  console.log();
+  if (failed > 0) {
+    log.error(`${failed} of ${selected.size} site(s) failed`);
+    process.exit(1);
+  }
+  log.success(`All ${selected.size} site(s) connected`);
+}
+
+// Run
+main().catch((error) => {
+  log.error(`Unexpected error: ${error.message}`);
+  if (options.verbose) {
+    console.error(redact(error.stack));
+  }
+  process.exit(1);
+});
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+import { program } from 'commander';
+import chalk from 'chalk';
+import { join } from 'path';
+import { getConfig, validateConfig } from './config.js';
+import { WPApiClient } from './lib/api-client.js';
+import { readJson, listSubdirs } from './lib/file-utils.js';
+import {
+  DEFAULT_CONTENT_TYPES,
+  discoverContentTypes,
+  selectContentTypes,
+} from './lib/post-types.js';
+import { SyncLedger } from './lib/ledger.js';
+import { ITEM_STATES, collectStatus } from './lib/status.js';
+import { isIncluded } from './lib/project-config.js';
+import { redact } from './lib/redact.js';
+
+// CLI setup
+program
+  .name('wp-status')
+  .description('Show which exported items changed locally, on the remote, or both')
+  .option('--site <name>', 'Site profile from wp-sites.json or .env.<name>')
+  .option('-u, --url <url>', 'WordPress site URL')
+  .option('--user <user>', 'WordPress username')
+  .option('--password <password>', 'WordPress Application Password')
+  .option('-i, --input <dir>', 'Export directory (default: ./export)')
+  .option('-t, --type <type>', 'Content type(s): all, or comma-separated post types (e.g. posts,portfolio) (default: all)')
+  .option('-s, --status <status>', 'Remote statuses to compare: publish, draft, or all (default: status of the export)')
+  .option('--json', 'Print the status as JSON')
+  .option('-r, --retries <n>', 'Retries for rate-limited/failed requests, 0 disables (default: 3)')
+  .option('-v, --verbose', 'Also list unchanged items')
+  .parse();
+
+const options = program.opts();
+
+// Logging helpers (stderr with --json, so stdout stays parseable)
+const print = (...args) => (options.json ? console.error(...args) : console.log(...args));
+const log = {
+  info: (msg) => print(chalk.blue('ℹ'), redact(msg)),
+  success: (msg) => print(chalk.green('✓'), redact(msg)),
+  warning: (msg) => print(chalk.yellow('⚠'), redact(msg)),
+  error: (msg) => print(chalk.red('✗'), redact(msg)),
+  verbose: (msg) => options.verbose && print(chalk.gray('  '), redact(msg)),
+};
+
+// How each state is listed
+const STATE_LABELS = {
+  'modified': chalk.yellow('modified:       '),
+  'remote-modified': chalk.cyan('remote modified:'),
+  'both-modified': chalk.red('both modified:  '),
+  'new': chalk.green('new:            '),
+  'missing': chalk.magenta('missing locally:'),
+  'unchanged': chalk.gray('unchanged:      '),
+};
+
+/**
+ * Describe the details of an item's state
+ */
+function describe(item) {
+  const details = [];
+  if (!item.baseline) details.push('no sync baseline');
+  const changed = [...item.files, ...item.media.map(file => `media/${file}`)];
+  if (changed.length > 0) details.push(changed.join(', '));
+  if (item.remoteModified) details.push(`remote ${item.remoteModified}`);
+  if (item.id && item.state !== 'new') details.push(`ID: ${item.id}`);
+  return details.length > 0 ? chalk.gray(` (${details.join('; ')})`) : '';
+}
+
+/**
+ * Print the items of one post type, grouped by state
+ */
+function printType(contentType, items) {
+  console.log(chalk.bold(`${contentType.name}:`));
+
+  const listed = items.filter(item => item.state !== 'unchanged' || options.verbose);
+  if (listed.length === 0) {
+    console.log(chalk.gray('  nothing to sync'));
+  }
+
+  for (const state of ITEM_STATES) {
+    for (const item of listed.filter(i => i.state === state)) {
+      console.log(`  ${STATE_LABELS[state]} ${item.type}/${item.folder ?? item.slug}${describe(item)}`);
+    }
+  }
+
+  const unchanged = items.filter(item => item.state === 'unchanged').length;
+  if (unchanged > 0 && !options.verbose) {
+    console.log(chalk.gray(`  ${unchanged} unchanged`));
+  }
+  console.log();
+}
+
+/**
+ * Main status function
+ */
+async function main() {
+  print(chalk.bold('\n🔎 WordPress Sync Status\n'));
+
+  let config;
+  try {
+    config = await getConfig(options);
+    validateConfig(config);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  let manifest = null;
+  try {
+    manifest = await readJson(join(config.importDir, 'manifest.json'));
+  } catch {
+    log.warning('No manifest.json found, will scan directories');
+  }
+
+  const client = new WPApiClient(config);
+  client.onRetry = ({ method, url, attempt, delay, reason }) => {
+    log.verbose(`Retry ${attempt}/${client.maxRetries} for ${method} ${url} (${reason}) in ${delay}ms`);
+  };
+
+  try {
+    await client.testConnection();
+  } catch (error) {
+    log.error(`Connection failed: ${error.message}`);
+    process.exit(1);
+  }
+
+  let availableTypes = DEFAULT_CONTENT_TYPES;
+  try {
+    availableTypes = await discoverContentTypes(client);
+  } catch (error) {
+    log.warning(`Could not discover post types (${error.message}), using posts and pages`);
+  }
+
+  let contentTypes;
+  try {
+    contentTypes = selectContentTypes(availableTypes, config.contentType, config.project);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  const status = options.status || manifest?.postStatus || 'publish';
+  const ledger = await SyncLedger.load(config.importDir, config.url);
+  const sameSite = !manifest?.sourceUrl || manifest.sourceUrl.replace(/\/$/, '') === config.url;
+
+  const report = [];
+  let failed = false;
+  for (const contentType of contentTypes) {
+    // With --type all, only compare types that were exported
+    const folders = await listSubdirs(join(config.importDir, contentType.restBase));
+    if (folders.length === 0 && config.contentType === 'all') continue;
+
+    try {
+      const items = await collectStatus(client, contentType, {
+        importDir: config.importDir,
+        ledger,
+        siteUrl: config.url,
+        sameSite,
+        status,
+      });
+      // Slugs excluded by the project config are not synced, so not reported either
+      report.push({ contentType, items: items.filter(item => isIncluded(item.folder ?? item.slug, config.project.slugs)) });
+    } catch (error) {
+      log.error(`Could not compare ${contentType.name.toLowerCase()}: ${error.message}`);
+      failed = true;
+    }
+  }
+
+  const items = report.flatMap(entry => entry.items);
+  const summary = Object.fromEntries(ITEM_STATES.map(state => [state, items.filter(i => i.state === state).length]));
+
+  if (options.json) {
+    console.log(JSON.stringify({ site: config.url, input: config.importDir, status, summary, items }, null, 2));
+  } else {
+    console.log(`On ${chalk.cyan(config.url)} (${status}), comparing ${config.importDir}`);
+    console.log();
+    for (const { contentType, items: typeItems } of report) {
+      printType(contentType, typeItems);
+    }
+
+    const counts = ITEM_STATES.filter(state => summary[state] > 0).map(state => `${summary[state]} ${state}`);
+    log.info(counts.length > 0 ? counts.join(', ') : 'No items found');
+    if (summary['both-modified'] > 0) {
+      log.warning('Items modified on both sides are conflicts: wp-import skips them (--on-conflict overwrite replaces the remote edits)');
+    }
+  }
+
+  if (failed) process.exit(1);
+}
+
+// Run
+main().catch((error) => {
+  log.error(`Unexpected error: ${error.message}`);
+  if (options.verbose) {
+    console.error(redact(error.stack));
+  }
+  process.exit(1);
+});